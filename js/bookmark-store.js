@@ -0,0 +1,120 @@
+// Bookmark Store Module - named dashboard states kept in localStorage and shared as JSON files.
+// A bookmark stores the same hash a shareable link uses, so opening one goes through UrlState.
+class BookmarkStore {
+    constructor(storageKey = 'bookmarks') {
+        this.storageKey = storageKey;
+        this.bookmarks = this.read();
+    }
+
+    // Saved bookmarks, dropping entries that no longer parse
+    read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            if (!Array.isArray(stored)) return [];
+            return stored.map(entry => BookmarkStore.normalize(entry)).filter(Boolean);
+        } catch (error) {
+            console.warn('Ignoring unreadable bookmarks:', error);
+            return [];
+        }
+    }
+
+    write() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.bookmarks));
+    }
+
+    // Bookmarks, newest first
+    list() {
+        return this.bookmarks.slice().sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    get(id) {
+        return this.bookmarks.find(bookmark => bookmark.id === id) || null;
+    }
+
+    add(name, hash) {
+        const bookmark = BookmarkStore.normalize({ name, hash, savedAt: new Date().toISOString() });
+        if (!bookmark) {
+            throw new Error('A bookmark needs a name and a dashboard state');
+        }
+        this.bookmarks.push(bookmark);
+        this.write();
+        return bookmark;
+    }
+
+    // Blank names are ignored so a bookmark is never left unnamed
+    rename(id, name) {
+        const bookmark = this.get(id);
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, BookmarkStore.NAME_LIMIT) : '';
+        if (!bookmark || !trimmed) return null;
+        bookmark.name = trimmed;
+        this.write();
+        return bookmark;
+    }
+
+    remove(id) {
+        const count = this.bookmarks.length;
+        this.bookmarks = this.bookmarks.filter(bookmark => bookmark.id !== id);
+        if (this.bookmarks.length === count) return false;
+        this.write();
+        return true;
+    }
+
+    // Contents of an export file; ids are local to each browser and left out
+    export() {
+        return {
+            format: BookmarkStore.FORMAT,
+            version: BookmarkStore.VERSION,
+            bookmarks: this.list().map(({ name, hash, savedAt }) => ({ name, hash, savedAt }))
+        };
+    }
+
+    // Add the bookmarks of an export file. Bookmarks already saved with the same name and state
+    // are skipped, as are entries that are not dashboard states.
+    import(data) {
+        if (!data || data.format !== BookmarkStore.FORMAT || !Array.isArray(data.bookmarks)) {
+            throw new Error('Not a bookmarks file');
+        }
+        if (data.version > BookmarkStore.VERSION) {
+            throw new Error(`Bookmarks file version ${data.version} is newer than this dashboard supports`);
+        }
+
+        const result = { added: 0, duplicates: 0, invalid: 0 };
+        data.bookmarks.forEach(entry => {
+            const bookmark = BookmarkStore.normalize({ ...entry, id: null });
+            if (!bookmark) {
+                result.invalid++;
+            } else if (this.bookmarks.some(existing => existing.name === bookmark.name && existing.hash === bookmark.hash)) {
+                result.duplicates++;
+            } else {
+                this.bookmarks.push(bookmark);
+                result.added++;
+            }
+        });
+        if (result.added > 0) this.write();
+        return result;
+    }
+
+    // Validated bookmark (given an id when it has none), or null when it has no name or no dashboard state
+    static normalize(entry) {
+        if (!entry || typeof entry.name !== 'string' || typeof entry.hash !== 'string') return null;
+        const name = entry.name.trim().slice(0, BookmarkStore.NAME_LIMIT);
+        if (!name || !UrlState.parse(entry.hash)) return null;
+
+        const savedAt = new Date(entry.savedAt);
+        return {
+            id: typeof entry.id === 'string' && entry.id ? entry.id : BookmarkStore.createId(),
+            name,
+            hash: entry.hash.startsWith('#') ? entry.hash : `#${entry.hash}`,
+            savedAt: isNaN(savedAt.getTime()) ? new Date().toISOString() : savedAt.toISOString()
+        };
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+// Marks export files so other JSON is rejected on import
+BookmarkStore.FORMAT = 'youtube-trending-bookmarks';
+BookmarkStore.VERSION = 1;
+BookmarkStore.NAME_LIMIT = 80;
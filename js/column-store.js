@@ -0,0 +1,386 @@
+// Column Store Module - typed-array columns and indexes over the loaded video rows
+class ColumnStore {
+    constructor(videoData) {
+        const countryCodes = Object.keys(videoData);
+        const size = countryCodes.reduce((sum, country) => sum + videoData[country].length, 0);
+        this.size = size;
+
+        // Row objects stay available for text fields (title, description, ...)
+        this.rows = new Array(size);
+
+        // Numeric columns
+        this.views = new Float64Array(size);
+        this.likes = new Float64Array(size);
+        this.dislikes = new Float64Array(size);
+        this.comments = new Float64Array(size);
+        // Newer dataset formats have no dislikes; those rows hold 0 and are marked here
+        this.hasDislikes = new Uint8Array(size);
+
+        // Publish instant in epoch milliseconds (NaN when missing or unparseable)
+        this.publishTime = new Float64Array(size);
+
+        // Dictionary-encoded columns (-1 in the date column means missing)
+        this.countries = ColumnStore.createDictionary();
+        this.categories = ColumnStore.createDictionary();
+        this.channels = ColumnStore.createDictionary();
+        this.dates = ColumnStore.createDictionary();
+        this.tags = ColumnStore.createDictionary();
+        this.country = new Uint32Array(size);
+        this.category = new Uint32Array(size);
+        this.channel = new Uint32Array(size);
+        this.date = new Int32Array(size);
+        // Bit set of ColumnStore.FLAGS per row
+        this.flags = new Uint8Array(size);
+
+        // Parsed Date for each trending date code (the Date of its first row)
+        this.dateValues = [];
+
+        // Tags per row in compressed sparse row layout: tagIds[tagOffsets[i]..tagOffsets[i + 1]]
+        this.hasTags = new Uint8Array(size);
+        this.tagOffsets = new Uint32Array(size + 1);
+        const tagIds = [];
+
+        // Every loaded country gets a code, even when it has no rows
+        countryCodes.forEach(country => this.encode(this.countries, country));
+
+        let index = 0;
+        countryCodes.forEach(country => {
+            videoData[country].forEach(video => {
+                this.rows[index] = video;
+                this.views[index] = video.views;
+                this.likes[index] = video.likes;
+                this.dislikes[index] = video.dislikes || 0;
+                this.hasDislikes[index] = video.dislikes === null || video.dislikes === undefined ? 0 : 1;
+                this.comments[index] = video.comment_count;
+                this.country[index] = this.encode(this.countries, country);
+                this.category[index] = this.encode(this.categories, video.category_name);
+                this.channel[index] = this.encode(this.channels, video.channel_title);
+                this.date[index] = this.encodeDate(video.trending_date_parsed);
+                this.publishTime[index] = video.publish_time ? new Date(video.publish_time).getTime() : NaN;
+                this.flags[index] = ColumnStore.encodeFlags(video);
+
+                if (video.tags) {
+                    this.hasTags[index] = 1;
+                    video.tags.split('|').forEach(tag => {
+                        const normalized = tag.replace(/"/g, '').trim().toLowerCase();
+                        if (normalized) {
+                            tagIds.push(this.encode(this.tags, normalized));
+                        }
+                    });
+                }
+                index++;
+                this.tagOffsets[index] = tagIds.length;
+            });
+        });
+        this.tagIds = Uint32Array.from(tagIds);
+
+        // Row ids grouped by key, in row order within each group
+        this.indexes = {
+            country: this.buildIndex(this.country, this.countries.values.length),
+            category: this.buildIndex(this.category, this.categories.values.length),
+            channel: this.buildIndex(this.channel, this.channels.values.length),
+            date: this.buildIndex(this.date, this.dates.values.length)
+        };
+
+        this.cache = new Map();
+    }
+
+    static createDictionary() {
+        return { values: [], codes: new Map() };
+    }
+
+    // Combine a row's boolean flag columns into one bit set
+    static encodeFlags(video) {
+        let bits = 0;
+        Object.entries(ColumnStore.FLAGS).forEach(([flag, bit]) => {
+            if (video[flag] === true) bits |= bit;
+        });
+        return bits;
+    }
+
+    // YouTube video ids are 11 characters of [A-Za-z0-9_-]
+    static isVideoId(value) {
+        return /^[A-Za-z0-9_-]{11}$/.test(value || '');
+    }
+
+    // Get the code for a value, adding it to the dictionary on first sight
+    encode(dictionary, value) {
+        let code = dictionary.codes.get(value);
+        if (code === undefined) {
+            code = dictionary.values.length;
+            dictionary.values.push(value);
+            dictionary.codes.set(value, code);
+        }
+        return code;
+    }
+
+    // Trending dates are keyed by their ISO day (the key every date-based getter uses)
+    encodeDate(date) {
+        if (!date || isNaN(date.getTime())) return -1;
+        const dateKey = date.toISOString().split('T')[0];
+        const code = this.encode(this.dates, dateKey);
+        if (code === this.dateValues.length) {
+            this.dateValues.push(date);
+        }
+        return code;
+    }
+
+    // Counting sort of row ids by code
+    buildIndex(codes, keyCount) {
+        const offsets = new Uint32Array(keyCount + 1);
+        codes.forEach(code => {
+            if (code >= 0) offsets[code + 1]++;
+        });
+        for (let key = 0; key < keyCount; key++) {
+            offsets[key + 1] += offsets[key];
+        }
+
+        const ids = new Uint32Array(offsets[keyCount]);
+        const cursor = offsets.slice(0, keyCount);
+        codes.forEach((code, row) => {
+            if (code >= 0) ids[cursor[code]++] = row;
+        });
+        return { offsets, ids };
+    }
+
+    // Row ids for a value of an indexed column ('country', 'category', 'channel' or 'date')
+    rowIds(column, value) {
+        const code = this.getDictionary(column).codes.get(value);
+        if (code === undefined) return new Uint32Array(0);
+        return this.codeRowIds(column, code);
+    }
+
+    // Row ids for a dictionary code of an indexed column
+    codeRowIds(column, code) {
+        const index = this.indexes[column];
+        return index.ids.subarray(index.offsets[code], index.offsets[code + 1]);
+    }
+
+    // All row ids in load order
+    allRowIds() {
+        return this.memo('allRowIds', () => {
+            const ids = new Uint32Array(this.size);
+            for (let i = 0; i < this.size; i++) ids[i] = i;
+            return ids;
+        });
+    }
+
+    getDictionary(column) {
+        const dictionaries = {
+            country: this.countries,
+            category: this.categories,
+            channel: this.channels,
+            date: this.dates,
+            tag: this.tags
+        };
+        return dictionaries[column];
+    }
+
+    // Sum a numeric column over row ids
+    sum(column, ids) {
+        const values = this[column];
+        let total = 0;
+        for (let i = 0; i < ids.length; i++) {
+            total += values[ids[i]];
+        }
+        return total;
+    }
+
+    // Count rows per code; the Map keeps the order in which codes first appear
+    countBy(column, ids) {
+        const codes = this[column];
+        const counts = new Map();
+        for (let i = 0; i < ids.length; i++) {
+            const code = codes[ids[i]];
+            counts.set(code, (counts.get(code) || 0) + 1);
+        }
+        return counts;
+    }
+
+    // Row ids sorted by views, highest first (ties keep load order)
+    viewsOrder() {
+        return this.memo('viewsOrder', () => {
+            const ids = Array.from(this.allRowIds());
+            ids.sort((a, b) => this.views[b] - this.views[a]);
+            return Uint32Array.from(ids);
+        });
+    }
+
+    // Trending time of a row (rows without a valid date sort first)
+    rowTime(row) {
+        const dateCode = this.date[row];
+        return dateCode >= 0 ? this.dateValues[dateCode].getTime() : -Infinity;
+    }
+
+    // Group the daily trending rows into videos by video_id (across countries)
+    getVideos() {
+        return this.memo('videos', () => {
+            const keys = ColumnStore.createDictionary();
+            const code = new Uint32Array(this.size);
+            for (let row = 0; row < this.size; row++) {
+                const videoId = this.rows[row].video_id;
+                // Broken ids (empty, "#NAME?") would merge unrelated videos, so each such row stands alone
+                code[row] = this.encode(keys, ColumnStore.isVideoId(videoId) ? videoId : `#row${row}`);
+            }
+
+            const count = keys.values.length;
+            const videos = {
+                keys,
+                count,
+                code,
+                index: this.buildIndex(code, count),
+                // Row of the latest trending day, globally and per country; its values are the final ones
+                latest: new Uint32Array(count),
+                isLatest: new Uint8Array(this.size),
+                isCountryLatest: new Uint8Array(this.size),
+                // First and last trending date codes (-1 when no row has a valid date)
+                firstDate: new Int32Array(count),
+                lastDate: new Int32Array(count),
+                countryFirstDate: new Int32Array(this.size).fill(-1),
+                days: new Uint16Array(count),
+                peakViews: new Float64Array(count),
+                peakLikes: new Float64Array(count),
+                peakComments: new Float64Array(count),
+                countries: new Array(count)
+            };
+
+            for (let video = 0; video < count; video++) {
+                const ids = videos.index.ids.subarray(videos.index.offsets[video], videos.index.offsets[video + 1]);
+                const dates = new Set();
+                const byCountry = new Map();
+                let latest = ids[0];
+                let first = ids[0];
+
+                // Rows are in load order, so on equal dates the later row wins
+                ids.forEach(row => {
+                    const time = this.rowTime(row);
+                    if (time >= this.rowTime(latest)) latest = row;
+                    if (this.date[row] >= 0 && (this.date[first] < 0 || time < this.rowTime(first))) first = row;
+                    if (this.date[row] >= 0) dates.add(this.date[row]);
+
+                    videos.peakViews[video] = Math.max(videos.peakViews[video], this.views[row]);
+                    videos.peakLikes[video] = Math.max(videos.peakLikes[video], this.likes[row]);
+                    videos.peakComments[video] = Math.max(videos.peakComments[video], this.comments[row]);
+
+                    const country = this.country[row];
+                    const entry = byCountry.get(country);
+                    if (!entry) {
+                        byCountry.set(country, { latest: row, first: row });
+                    } else {
+                        if (time >= this.rowTime(entry.latest)) entry.latest = row;
+                        if (this.date[row] >= 0 && (this.date[entry.first] < 0 || time < this.rowTime(entry.first))) entry.first = row;
+                    }
+                });
+
+                videos.latest[video] = latest;
+                videos.isLatest[latest] = 1;
+                videos.firstDate[video] = this.date[first];
+                videos.lastDate[video] = this.date[latest];
+                videos.days[video] = dates.size;
+                videos.countries[video] = Array.from(byCountry.keys());
+                byCountry.forEach(entry => {
+                    videos.isCountryLatest[entry.latest] = 1;
+                    videos.countryFirstDate[entry.latest] = this.date[entry.first];
+                });
+            }
+            return videos;
+        });
+    }
+
+    // Search indexes over videos (title, channel, tags and description of their latest row) and channel names,
+    // built on first use
+    getSearchIndex() {
+        return this.memo('searchIndex', () => {
+            const videos = this.getVideos();
+            const row = video => this.rows[videos.latest[video]];
+            return {
+                videos: new SearchIndex(videos.count, [
+                    { name: 'title', weight: 3, text: video => row(video).title },
+                    { name: 'channel', weight: 2, text: video => row(video).channel_title },
+                    { name: 'tags', weight: 1.5, text: video => (row(video).tags || '').replace(/\[none\]/g, '') },
+                    {
+                        name: 'description',
+                        weight: 0.5,
+                        text: video => (row(video).description || '').slice(0, ColumnStore.SEARCH_DESCRIPTION_LENGTH)
+                    }
+                ]),
+                channels: new SearchIndex(this.channels.values.length, [
+                    { name: 'channel', weight: 1, text: code => this.channels.values[code] }
+                ])
+            };
+        });
+    }
+
+    // Publish weekday and hour of every row (-1 when missing), each row read in the time zone
+    // zones[countryCode] names: an IANA zone, or null for the viewer's own time zone
+    publishSlots(zones) {
+        return this.memo(`publishSlots:${zones.join(',')}`, () => {
+            const day = new Int8Array(this.size).fill(-1);
+            const hour = new Int8Array(this.size).fill(-1);
+            const readers = zones.map(zone => ColumnStore.createSlotReader(zone));
+            for (let row = 0; row < this.size; row++) {
+                const time = this.publishTime[row];
+                if (isNaN(time)) continue;
+                const slot = readers[this.country[row]](time);
+                day[row] = Math.floor(slot / 24);
+                hour[row] = slot % 24;
+            }
+            return { day, hour };
+        });
+    }
+
+    // Function from an instant to its weekday * 24 + hour in a time zone. Every UTC offset is a
+    // multiple of 15 minutes, so one Intl lookup per quarter hour covers all rows inside it.
+    static createSlotReader(timeZone) {
+        if (!timeZone) {
+            return time => {
+                const date = new Date(time);
+                return date.getDay() * 24 + date.getHours();
+            };
+        }
+
+        const format = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' });
+        const slots = new Map();
+        return time => {
+            const key = Math.floor(time / ColumnStore.QUARTER_HOUR);
+            let slot = slots.get(key);
+            if (slot === undefined) {
+                const parts = {};
+                format.formatToParts(time).forEach(part => {
+                    parts[part.type] = part.value;
+                });
+                slot = ColumnStore.WEEKDAYS.indexOf(parts.weekday) * 24 + parseInt(parts.hour, 10) % 24;
+                slots.set(key, slot);
+            }
+            return slot;
+        };
+    }
+
+    // Cache derived structures; the store is rebuilt whenever the data changes
+    memo(key, compute) {
+        if (!this.cache.has(key)) {
+            this.cache.set(key, compute());
+        }
+        return this.cache.get(key);
+    }
+}
+
+// Characters of a description the search index reads (long descriptions are mostly links and credits)
+ColumnStore.SEARCH_DESCRIPTION_LENGTH = 1000;
+
+// Weekday names as Intl formats them with weekday: 'short' in en-US, in getDay() order
+ColumnStore.WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+ColumnStore.QUARTER_HOUR = 15 * 60 * 1000;
+
+// Boolean columns of the trending CSVs, stored as bits of the flags column
+ColumnStore.FLAGS = {
+    comments_disabled: 1,
+    ratings_disabled: 2,
+    video_error_or_removed: 4
+};
+
+ColumnStore.FLAG_LABELS = {
+    comments_disabled: 'Comments disabled',
+    ratings_disabled: 'Ratings disabled',
+    video_error_or_removed: 'Error or removed'
+};
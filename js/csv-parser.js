@@ -0,0 +1,200 @@
+// Streaming CSV Parser Module (RFC 4180)
+class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.onRecord = options.onRecord || (() => {});
+        this.reset();
+    }
+
+    // Reset parser state so the instance can be reused for another file
+    reset() {
+        this.field = '';
+        this.record = [];
+        this.state = CSVParser.FIELD_START;
+        this.recordRepaired = false;
+        this.skipLineFeed = false;
+        this.atStart = true;
+        this.line = 1;
+        this.recordLine = 1;
+        this.recordCount = 0;
+    }
+
+    // Feed the next chunk of text; complete records are emitted through onRecord
+    push(chunk) {
+        if (!chunk) return;
+
+        let text = chunk;
+        if (this.atStart) {
+            // Strip UTF-8 byte order mark
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+            this.atStart = false;
+        }
+
+        const delimiter = this.delimiter.charCodeAt(0);
+        const length = text.length;
+        let i = 0;
+
+        while (i < length) {
+            const code = text.charCodeAt(i);
+
+            // A CR ended the previous record; swallow the LF of a CRLF pair
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (code === 10) {
+                    i++;
+                    continue;
+                }
+            }
+
+            switch (this.state) {
+                case CSVParser.FIELD_START:
+                    if (code === 34) {
+                        this.state = CSVParser.QUOTED;
+                        i++;
+                    } else if (code === delimiter) {
+                        this.endField();
+                        i++;
+                    } else if (code === 10 || code === 13) {
+                        this.endRecord(code);
+                        i++;
+                    } else {
+                        this.state = CSVParser.UNQUOTED;
+                    }
+                    break;
+
+                case CSVParser.UNQUOTED: {
+                    // Consume a run of plain characters in one slice
+                    let j = i;
+                    while (j < length) {
+                        const c = text.charCodeAt(j);
+                        if (c === delimiter || c === 10 || c === 13 || c === 34) break;
+                        j++;
+                    }
+                    this.field += text.slice(i, j);
+                    i = j;
+                    if (i >= length) break;
+
+                    const c = text.charCodeAt(i);
+                    if (c === 34) {
+                        // Stray quote inside an unquoted field: keep it literally
+                        this.field += '"';
+                        this.recordRepaired = true;
+                    } else if (c === delimiter) {
+                        this.endField();
+                    } else {
+                        this.endRecord(c);
+                    }
+                    i++;
+                    break;
+                }
+
+                case CSVParser.QUOTED: {
+                    // Jump to the next quote; everything before it (including newlines) is field content
+                    const quoteIndex = text.indexOf('"', i);
+                    const end = quoteIndex === -1 ? length : quoteIndex;
+                    const content = text.slice(i, end);
+                    this.field += content;
+                    this.line += this.countLineBreaks(content);
+                    i = end;
+                    if (quoteIndex !== -1) {
+                        this.state = CSVParser.QUOTE_IN_QUOTED;
+                        i++;
+                    }
+                    break;
+                }
+
+                case CSVParser.QUOTE_IN_QUOTED:
+                    if (code === 34) {
+                        // Escaped quote ("")
+                        this.field += '"';
+                        this.state = CSVParser.QUOTED;
+                        i++;
+                    } else if (code === delimiter) {
+                        this.endField();
+                        i++;
+                    } else if (code === 10 || code === 13) {
+                        this.endRecord(code);
+                        i++;
+                    } else {
+                        // Text after a closing quote: keep the quote and continue unquoted
+                        this.field += '"';
+                        this.recordRepaired = true;
+                        this.state = CSVParser.UNQUOTED;
+                    }
+                    break;
+            }
+        }
+    }
+
+    // Flush the final record once the input is exhausted
+    end() {
+        if (this.state === CSVParser.QUOTED) {
+            // Unterminated quoted field: close it at end of input
+            this.recordRepaired = true;
+        }
+        if (this.state !== CSVParser.FIELD_START || this.record.length > 0) {
+            this.endRecord(10);
+        }
+        this.skipLineFeed = false;
+        return this.recordCount;
+    }
+
+    // Close the current field
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+        this.state = CSVParser.FIELD_START;
+    }
+
+    // Close the current record and emit it (blank lines are skipped)
+    endRecord(terminator) {
+        this.endField();
+        const record = this.record;
+        const isBlankLine = record.length === 1 && record[0] === '' && !this.recordRepaired;
+
+        if (!isBlankLine) {
+            this.recordCount++;
+            this.onRecord(record, {
+                line: this.recordLine,
+                repaired: this.recordRepaired
+            });
+        }
+
+        this.record = [];
+        this.recordRepaired = false;
+        this.skipLineFeed = terminator === 13;
+        this.line++;
+        this.recordLine = this.line;
+    }
+
+    // Count line feeds inside quoted content
+    countLineBreaks(text) {
+        let count = 0;
+        let index = text.indexOf('\n');
+        while (index !== -1) {
+            count++;
+            index = text.indexOf('\n', index + 1);
+        }
+        return count;
+    }
+
+    // Parse a complete string and return all records
+    static parse(text, options = {}) {
+        const records = [];
+        const parser = new CSVParser({
+            ...options,
+            onRecord: (record, info) => records.push(options.withInfo ? { record, info } : record)
+        });
+        parser.push(text);
+        parser.end();
+        return records;
+    }
+}
+
+// Parser states
+CSVParser.FIELD_START = 0;
+CSVParser.UNQUOTED = 1;
+CSVParser.QUOTED = 2;
+CSVParser.QUOTE_IN_QUOTED = 3;
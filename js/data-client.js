@@ -0,0 +1,199 @@
+// Data Client Module - async facade over a DataLoader running in a Web Worker
+class DataClient {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'js/data-worker.js';
+        this.onProgress = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        // Manifest entries cached for synchronous name lookups
+        this.datasets = [];
+        const defaults = new DataLoader();
+        this.loadOptions = defaults.loadOptions;
+        this.queryOptions = defaults.queryOptions;
+
+        this.worker = this.createWorker();
+        if (!this.worker) {
+            // No worker support (e.g. opened from file://): run the loader on the main thread
+            console.warn('Web Workers unavailable; loading data on the main thread');
+            this.localLoader = new DataLoader();
+            this.localLoader.onProgress = (progress) => this.handleProgress(progress);
+        }
+    }
+
+    // Start the data worker, or return null when workers cannot be used
+    createWorker() {
+        if (typeof Worker === 'undefined' || window.location.protocol === 'file:') {
+            return null;
+        }
+
+        try {
+            const worker = new Worker(this.workerUrl);
+            worker.onmessage = (event) => this.handleMessage(event.data);
+            worker.onerror = (event) => {
+                console.error('Data worker error:', event.message);
+                this.rejectAll(new Error(event.message || 'Data worker failed'));
+            };
+            return worker;
+        } catch (error) {
+            console.warn('Could not start data worker:', error);
+            return null;
+        }
+    }
+
+    // Call a DataLoader method in the worker and resolve with its result
+    call(method, ...args) {
+        if (!this.worker) {
+            try {
+                return Promise.resolve(this.localLoader[method](...args));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, method });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    // Route worker messages to pending requests or the progress callback
+    handleMessage(message) {
+        if (message.type === 'progress') {
+            this.handleProgress(message.progress);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+
+        if (message.type === 'error') {
+            const error = new Error(message.error.message);
+            error.stack = message.error.stack;
+            console.error(`Data worker failed in ${request.method}:`, error);
+            request.reject(error);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    handleProgress(progress) {
+        if (typeof this.onProgress === 'function') {
+            this.onProgress(progress);
+        }
+    }
+
+    rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    // Initialize loading and cache the dataset list for synchronous lookups
+    async init(countriesToLoad) {
+        const dataPath = new URL('data/', window.location.href).href;
+        await this.call('setDataPath', dataPath);
+        const success = await this.call('init', countriesToLoad);
+        await this.refreshDatasets();
+        return success;
+    }
+
+    async refreshDatasets() {
+        this.datasets = await this.call('getDatasets');
+        return this.datasets;
+    }
+
+    getDataset(code) {
+        return this.datasets.find(dataset => dataset.code === code) || null;
+    }
+
+    setLoadOptions(options = {}) {
+        this.loadOptions = { ...this.loadOptions, ...options };
+        return this.call('setLoadOptions', options);
+    }
+
+    // Keep the loader's validated copy so reads match what the getters apply
+    async setQueryOptions(options = {}) {
+        this.queryOptions = await this.call('setQueryOptions', options);
+        return this.queryOptions;
+    }
+
+    // Synchronous display-name lookups (names are cached after loading)
+    getCountryName(code) {
+        const dataset = this.getDataset(code);
+        return dataset ? dataset.label : `🏳️ ${code}`;
+    }
+
+    // Plain name without the flag
+    getCountryDisplayName(code) {
+        const dataset = this.getDataset(code);
+        return dataset ? dataset.name : code;
+    }
+
+    getCountryDisplayNames() {
+        const names = {};
+        this.datasets.forEach(dataset => {
+            names[dataset.code] = dataset.name;
+        });
+        return names;
+    }
+}
+
+// DataLoader methods exposed as async methods on the client
+DataClient.METHODS = [
+    'getParseStats',
+    'getQualityReports',
+    'getSampleInfo',
+    'isSampleInUse',
+    'getCacheStatus',
+    'clearCache',
+    'loadUploads',
+    'getDatasets',
+    'getFilterSuggestions',
+    'getSummaryStats',
+    'getSelectionSummary',
+    'getVideoEntities',
+    'getVideo',
+    'getVideoDetail',
+    'search',
+    'getViewsByCountry',
+    'getCategoryDistribution',
+    'getCategoryDistributionByCountry',
+    'getViewsVsLikes',
+    'getTimelineData',
+    'getTimelineDataByCountry',
+    'getEngagementMetrics',
+    'getFilteredEngagementMetrics',
+    'getAvailableCategories',
+    'getTopVideosByViews',
+    'getTopVideosByViewsFiltered',
+    'getCategoryEngagementByCountry',
+    'getFlagBreakdown',
+    'getTopChannelsByEngagement',
+    'getCategoryPerformance',
+    'getCountryPerformance',
+    'getCountryVideoCounts',
+    'getTotalChannelCount',
+    'getAllChannels',
+    'getTopChannels',
+    'getChannelsByCountry',
+    'getChannelLeaderboard',
+    'getChannelProfile',
+    'getDataTable',
+    'getHeatmapData',
+    'getPublishingTimingData',
+    'getTagEvolutionData',
+    'getTagRacingData',
+    'getAvailableCountries',
+    'getAvailableCountriesLegacy',
+    'getTagFlowData'
+];
+
+// DataLoader methods the client calls through its own wrappers (init, option setters)
+DataClient.SETUP_METHODS = ['setDataPath', 'init', 'setLoadOptions', 'setQueryOptions'];
+
+DataClient.METHODS.forEach(method => {
+    DataClient.prototype[method] = function(...args) {
+        return this.call(method, ...args);
+    };
+});
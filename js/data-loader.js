@@ -1,30 +1,233 @@
 // Data Loader Module
 class DataLoader {
     constructor() {
-        this.countries = ['CA', 'DE', 'FR', 'GB', 'IN', 'JP', 'KR', 'MX', 'RU', 'US'];
+        // Countries in manifest order (plus uploaded ones) and their manifest entries by code
+        this.countries = [];
+        this.datasets = {};
         this.categories = {};
         this.videoData = {};
+        this.parseStats = {};
+        this.sampleInfo = {};
+        // Default column types (each file gets its own from its SchemaAdapter) and the issues found per country
+        this.schema = new Schema();
+        this.qualityReports = {};
+        // rowBudget is a number for every country or an object keyed by country code (plus 'default')
+        this.loadOptions = {
+            rowBudget: Infinity,
+            sampling: 'head',
+            seed: 1
+        };
+        // Base URL for data files (the worker resolves paths relative to the page, not itself)
+        this.dataPath = 'data/';
+        // How getters count: 'rows' (one per video per trending day) or 'videos' (unique videos),
+        // whether flagged videos are included, excluded or the only ones counted, the filter
+        // (countries, categories, dates, channels, tags, value ranges) every getter applies, the
+        // selection made in one chart and the chart being drawn (the selection does not narrow its own chart)
+        this.queryOptions = {
+            unit: 'rows',
+            flags: {
+                comments_disabled: 'include',
+                ratings_disabled: 'include',
+                video_error_or_removed: 'include'
+            },
+            filters: FilterState.normalize(),
+            selection: null,
+            view: null
+        };
+        // Optional callback receiving per-country loading progress
+        this.onProgress = null;
+        // Columnar copy of videoData with indexes, built after loading
+        this.store = null;
+        // Parsed datasets persisted in IndexedDB, plus where each country's data came from
+        this.cache = new DatasetCache();
+        this.cacheStatus = {};
+        this.categoryEtags = {};
+        // User-supplied files by country ({ videos: File, categories: File }); they replace data/ files
+        this.uploads = {};
         this.isLoaded = false;
+        // Columns of the Data view's table and their sorted, filtered order, for the latest query only
+        this.dataTableSource = null;
+        this.dataTableOrder = null;
+        // Latest row of each video within the filtered countries, for the last country filter used
+        this.countriesLatest = null;
+        // Per-channel totals for the last query options they were asked for
+        this.channelStats = null;
+    }
+
+    // Set the base URL data files are fetched from
+    setDataPath(path) {
+        this.dataPath = path.endsWith('/') ? path : `${path}/`;
+        return this.dataPath;
+    }
+
+    // Report loading progress ({ country, stage, rows, bytesLoaded, bytesTotal })
+    reportProgress(progress) {
+        if (typeof this.onProgress === 'function') {
+            this.onProgress(progress);
+        }
+    }
+
+    // Update row budget / sampling strategy used by the next load
+    setLoadOptions(options = {}) {
+        this.loadOptions = { ...this.loadOptions, ...options };
+        return this.loadOptions;
+    }
+
+    // Update how getters count rows (applies to every following call)
+    setQueryOptions(options = {}) {
+        const queryOptions = {
+            ...this.queryOptions,
+            ...options,
+            flags: { ...this.queryOptions.flags, ...(options.flags || {}) }
+        };
+        if (!DataLoader.UNITS.includes(queryOptions.unit)) {
+            console.warn(`Unknown counting unit "${queryOptions.unit}", using rows`);
+            queryOptions.unit = 'rows';
+        }
+        Object.keys(queryOptions.flags).forEach(flag => {
+            if (!(flag in ColumnStore.FLAGS)) {
+                delete queryOptions.flags[flag];
+            } else if (!DataLoader.FLAG_MODES.includes(queryOptions.flags[flag])) {
+                console.warn(`Unknown mode "${queryOptions.flags[flag]}" for ${flag}, including all videos`);
+                queryOptions.flags[flag] = 'include';
+            }
+        });
+        queryOptions.filters = FilterState.normalize(queryOptions.filters);
+        queryOptions.selection = SelectionState.normalize(queryOptions.selection);
+        queryOptions.view = typeof queryOptions.view === 'string' ? queryOptions.view : null;
+        this.queryOptions = queryOptions;
+        return this.queryOptions;
+    }
+
+    // Resolve the row budget for a country
+    getRowBudget(country) {
+        const budget = this.loadOptions.rowBudget;
+        if (budget && typeof budget === 'object') {
+            const value = budget[country] !== undefined ? budget[country] : budget.default;
+            return Number.isFinite(value) && value > 0 ? value : Infinity;
+        }
+        return Number.isFinite(budget) && budget > 0 ? budget : Infinity;
+    }
+
+    // Load the dataset manifest (data/manifest.json) listing every available region
+    async loadManifest() {
+        const url = `${this.dataPath}manifest.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        const manifest = await response.json();
+
+        this.datasets = {};
+        (manifest.datasets || []).forEach(entry => {
+            if (!entry || !entry.code) {
+                console.warn('Skipping manifest entry without a code:', entry);
+                return;
+            }
+            const code = entry.code.toUpperCase();
+            this.datasets[code] = {
+                code,
+                name: entry.name || code,
+                flag: entry.flag || '🏳️',
+                timeZone: this.normalizeTimeZone(code, entry.timeZone),
+                videos: entry.videos || null,
+                categories: entry.categories || null
+            };
+        });
+
+        // Uploaded regions stay available when the manifest is reloaded
+        const uploaded = Object.keys(this.uploads).filter(country => !this.datasets[country]);
+        this.countries = [...Object.keys(this.datasets), ...uploaded];
+        console.log(`Manifest lists ${Object.keys(this.datasets).length} datasets`);
+        return this.getDatasets();
+    }
+
+    // URL of a country's 'videos' or 'categories' file, or null when the manifest has none
+    getDataUrl(country, kind) {
+        const dataset = this.datasets[country];
+        const path = dataset && dataset[kind];
+        if (!path) return null;
+        // Absolute URLs and root-relative paths are used as-is
+        return /^([a-z][a-z0-9+.-]*:|\/)/i.test(path) ? path : `${this.dataPath}${path}`;
     }
 
     // Load category mapping for all countries
-    async loadCategories() {
-        const categoryPromises = this.countries.map(async (country) => {
+    async loadCategories(countriesToLoad = this.countries) {
+        const withoutCategories = [];
+        const categoryPromises = countriesToLoad.map(async (country) => {
+            const url = this.getDataUrl(country, 'categories');
+            const upload = this.uploads[country];
             try {
-                const response = await fetch(`data/${country}_category_id.json`);
+                if (upload && upload.categories) {
+                    const data = JSON.parse(await upload.categories.text());
+                    this.categories[country] = this.processCategoryData(data);
+                    this.categoryEtags[country] = data.etag || null;
+                    this.setCacheStatus(country, 'categories', 'upload');
+                    return { country, success: true };
+                }
+
+                if (!url) {
+                    throw new Error(`No category file listed for ${country}`);
+                }
+                const file = await this.getFileSignature(url);
+                const cached = await this.cache.get(url);
+                if (cached && DatasetCache.isSameFile(cached.file, file)) {
+                    this.categories[country] = cached.categories;
+                    this.categoryEtags[country] = cached.etag;
+                    this.setCacheStatus(country, 'categories', 'cache', cached.savedAt);
+                    return { country, success: true, cached: true };
+                }
+
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} for ${url}`);
+                }
                 const data = await response.json();
                 this.categories[country] = this.processCategoryData(data);
+                this.categoryEtags[country] = data.etag || null;
+                this.setCacheStatus(country, 'categories', 'network');
+                this.cache.put({
+                    key: url,
+                    file,
+                    etag: this.categoryEtags[country],
+                    categories: this.categories[country]
+                });
                 return { country, success: true };
             } catch (error) {
+                if (upload || !url) {
+                    // Region without a category file of its own
+                    withoutCategories.push(country);
+                    return { country, success: true, shared: true };
+                }
                 console.error(`Error loading categories for ${country}:`, error);
                 return { country, success: false, error };
             }
         });
 
         await Promise.all(categoryPromises);
+
+        // YouTube category ids are shared across regions, so borrow names from the other files
+        withoutCategories.forEach(country => {
+            this.categories[country] = this.getSharedCategories(withoutCategories);
+            this.categoryEtags[country] = null;
+            this.setCacheStatus(country, 'categories', 'shared');
+        });
         console.log('Categories loaded:', this.categories);
     }
 
+    // Merge every country's category names (first mapping wins for each id)
+    getSharedCategories(excludedCountries = []) {
+        const shared = {};
+        Object.keys(this.categories)
+            .filter(country => !excludedCountries.includes(country))
+            .forEach(country => {
+                Object.entries(this.categories[country]).forEach(([id, name]) => {
+                    if (!(id in shared)) shared[id] = name;
+                });
+            });
+        return shared;
+    }
+
     // Process category data to create id-to-name mapping
     processCategoryData(data) {
         const categoryMap = {};
@@ -36,118 +239,1098 @@ class DataLoader {
         return categoryMap;
     }
 
-    // Load video data for specific countries (limited for performance)
-    async loadVideoData(countriesToLoad = ['US', 'CA', 'GB', 'DE', 'FR', 'IN', 'JP', 'KR', 'MX', 'RU']) {
+    // Load video data for specific countries
+    async loadVideoData(countriesToLoad = this.countries) {
         const videoPromises = countriesToLoad.map(async (country) => {
             try {
-                const response = await fetch(`data/${country}videos.csv`);
-                const text = await response.text();
-                this.videoData[country] = this.parseCSV(text, country);
-                return { country, success: true, count: this.videoData[country].length };
+                this.reportProgress({ country, stage: 'downloading', rows: 0, bytesLoaded: 0, bytesTotal: 0 });
+                const upload = this.uploads[country];
+                let cached = false;
+
+                if (upload && upload.videos) {
+                    this.videoData[country] = await this.parseCSVStream(this.createFileResponse(upload.videos), country);
+                    this.setCacheStatus(country, 'videos', 'upload');
+                } else {
+                    cached = await this.fetchVideoData(country);
+                }
+
+                this.reportProgress({
+                    country,
+                    stage: cached ? 'cached' : 'done',
+                    rows: this.videoData[country].length,
+                    bytesLoaded: 0,
+                    bytesTotal: 0
+                });
+                return {
+                    country,
+                    success: true,
+                    count: this.videoData[country].length,
+                    stats: this.parseStats[country],
+                    cached
+                };
             } catch (error) {
                 console.error(`Error loading video data for ${country}:`, error);
-                return { country, success: false, error };
+                this.reportProgress({ country, stage: 'error', rows: 0, bytesLoaded: 0, bytesTotal: 0 });
+                return { country, success: false, error: error.message };
             }
         });
 
         const results = await Promise.all(videoPromises);
         console.log('Video data loaded:', results);
+        this.logParseStats();
+        this.invalidateStore();
+        this.getStore();
         this.isLoaded = true;
         return results;
     }
 
+    // Fetch and parse a country's CSV from the data folder; returns true when served from the cache
+    async fetchVideoData(country) {
+        const url = this.getDataUrl(country, 'videos');
+        if (!url) {
+            throw new Error(`No video file listed for ${country} in the manifest`);
+        }
+        const file = await this.getFileSignature(url);
+        const options = this.getCacheOptions(country);
+        const cached = await this.cache.get(url);
+
+        // Unchanged file, same load options and categories: skip downloading and parsing
+        if (cached && DatasetCache.isSameFile(cached.file, file) &&
+            JSON.stringify(cached.options) === JSON.stringify(options)) {
+            this.videoData[country] = cached.rows;
+            this.parseStats[country] = cached.parseStats;
+            this.sampleInfo[country] = cached.sampleInfo;
+            this.qualityReports[country] = cached.quality;
+            this.setCacheStatus(country, 'videos', 'cache', cached.savedAt);
+            return true;
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        this.videoData[country] = await this.parseCSVStream(response, country);
+        this.setCacheStatus(country, 'videos', 'network');
+        // Written in the background; the data is already usable
+        this.cache.put({
+            key: url,
+            file,
+            options,
+            rows: this.videoData[country],
+            parseStats: this.parseStats[country],
+            sampleInfo: this.sampleInfo[country],
+            quality: this.qualityReports[country]
+        });
+        return false;
+    }
+
+    // Load user-supplied files ([{ country, videos, categories }]) and merge them into videoData
+    async loadUploads(uploads) {
+        const countries = [...new Set(uploads.map(upload => upload.country.toUpperCase()))];
+
+        // A category file alone can only re-label a country that already has video rows
+        const missingVideos = countries.filter(country =>
+            !uploads.some(upload => upload.country.toUpperCase() === country && upload.videos) &&
+            !(this.uploads[country] && this.uploads[country].videos) &&
+            !this.videoData[country]
+        );
+        if (missingVideos.length > 0) {
+            throw new Error(`No video CSV for ${missingVideos.join(', ')}`);
+        }
+
+        uploads.forEach(upload => {
+            const country = upload.country.toUpperCase();
+            const existing = this.uploads[country] || {};
+            this.uploads[country] = {
+                videos: upload.videos || existing.videos || null,
+                categories: upload.categories || existing.categories || null
+            };
+            if (!this.countries.includes(country)) {
+                this.countries.push(country);
+            }
+        });
+
+        await this.loadCategories(countries);
+        return this.loadVideoData(countries);
+    }
+
+    // Wrap a File so it can be streamed like a fetch response
+    createFileResponse(file) {
+        return new Response(file, {
+            headers: { 'content-length': String(file.size) }
+        });
+    }
+
+    // Guess a country code from names like "USvideos.csv", "US_category_id.json" or "BR_youtube_trending_data.csv"
+    static inferCountryCode(fileName) {
+        const baseName = fileName.split(/[\\/]/).pop();
+        const match = /^([a-z]{2})(?=videos|[_\-. ])/i.exec(baseName);
+        return match ? match[1].toUpperCase() : '';
+    }
+
+    // Size / last-modified / etag of a data file from a HEAD request (null if unavailable)
+    async getFileSignature(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD' });
+            return response.ok ? DatasetCache.getFileSignature(response.headers) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Everything besides the file itself that shapes the parsed rows of a country
+    getCacheOptions(country) {
+        const categories = this.categories[country] || {};
+        return {
+            rowFormat: DataLoader.ROW_FORMAT_VERSION,
+            sampling: this.loadOptions.sampling,
+            budget: this.getRowBudget(country),
+            seed: this.loadOptions.seed,
+            // Category names are baked into the rows; without an etag compare the mapping itself
+            categories: this.categoryEtags[country] || JSON.stringify(categories)
+        };
+    }
+
+    // Record whether a country's videos / categories came from the cache or the network
+    setCacheStatus(country, kind, source, savedAt = null) {
+        if (!this.cacheStatus[country]) {
+            this.cacheStatus[country] = {};
+        }
+        this.cacheStatus[country][kind] = { source, savedAt };
+    }
+
+    // Get cache usage per country ({ videos: { source, savedAt }, categories: { ... } })
+    getCacheStatus() {
+        return {
+            supported: this.cache.isSupported(),
+            countries: this.cacheStatus
+        };
+    }
+
+    // Delete all cached datasets; the next load downloads and parses everything again
+    async clearCache() {
+        const cleared = await this.cache.clear();
+        if (cleared) {
+            this.cacheStatus = {};
+        }
+        return cleared;
+    }
+
+    // Parse a fetch response body incrementally as it downloads
+    async parseCSVStream(response, country) {
+        const builder = this.createRowBuilder(country);
+        const parser = new CSVParser({ onRecord: builder.onRecord });
+
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            // Streams unsupported: fall back to reading the whole body
+            parser.push(await response.text());
+            parser.end();
+            return builder.finish();
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        const bytesTotal = parseInt(response.headers.get('content-length'), 10) || 0;
+        let bytesLoaded = 0;
+        let lastReport = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.push(decoder.decode(value, { stream: true }));
+            bytesLoaded += value.byteLength;
+
+            // Throttle progress messages; chunks arrive far more often than the UI can use
+            const now = Date.now();
+            if (now - lastReport > 150) {
+                lastReport = now;
+                this.reportProgress({ country, stage: 'parsing', rows: builder.getRowCount(), bytesLoaded, bytesTotal });
+            }
+            if (builder.isFull()) {
+                // Row limit reached; stop downloading the rest of the file
+                await reader.cancel();
+                break;
+            }
+        }
+
+        if (builder.isFull()) {
+            return builder.finish(false);
+        }
+        parser.push(decoder.decode());
+        parser.end();
+        return builder.finish();
+    }
+
     // Parse CSV data
     parseCSV(text, country) {
-        const lines = text.trim().split('\n');
-        const headers = lines[0].split(',');
-        const data = [];
+        const builder = this.createRowBuilder(country);
+        const parser = new CSVParser({ onRecord: builder.onRecord });
+        parser.push(text);
+        parser.end();
+        return builder.finish();
+    }
 
-        // Process a subset for performance (first 1000 rows)
-        const maxRows = Math.min(lines.length, 1001); // 1000 data rows + header
-        
-        for (let i = 1; i < maxRows; i++) {
-            const values = this.parseCSVLine(lines[i]);
-            if (values.length >= headers.length) {
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header.trim()] = values[index] ? values[index].trim() : '';
-                });
-                
-                // Add country information
-                row.country = country;
-                
-                // Convert numeric fields
-                row.views = parseInt(row.views) || 0;
-                row.likes = parseInt(row.likes) || 0;
-                row.dislikes = parseInt(row.dislikes) || 0;
-                row.comment_count = parseInt(row.comment_count) || 0;
-                row.category_id = parseInt(row.category_id) || 0;
-                
-                // Add category name
-                row.category_name = this.categories[country] ? 
-                    this.categories[country][row.category_id] || 'Unknown' : 'Unknown';
-                
-                // Parse trending date
-                if (row.trending_date) {
-                    row.trending_date_parsed = this.parseTrendingDate(row.trending_date);
+    // Create a record handler that turns parsed CSV records into video rows
+    createRowBuilder(country) {
+        const sampler = new RowSampler({
+            strategy: this.loadOptions.sampling,
+            budget: this.getRowBudget(country),
+            seed: this.loadOptions.seed
+        });
+        const stats = { parsed: 0, repaired: 0, rejected: 0, format: null };
+        let headers = null;
+        let schema = this.schema;
+        let report = null;
+
+        const onRecord = (values, info) => {
+            if (!headers) {
+                // The header row decides the format; its columns are renamed to the internal names
+                const adapter = this.detectFormat(values.map(header => header.trim()), country);
+                headers = adapter.mapHeaders(values.map(header => header.trim()));
+                schema = adapter.schema;
+                stats.format = adapter.id;
+                report = schema.createReport(headers);
+                return;
+            }
+            if (sampler.isFull()) return;
+
+            let repaired = info.repaired;
+            let fields = values;
+
+            if (fields.length > headers.length) {
+                // Trailing empty fields (e.g. a dangling comma) can be dropped safely
+                const extra = fields.slice(headers.length);
+                if (extra.some(value => value.trim() !== '')) {
+                    stats.rejected++;
+                    return;
                 }
-                
-                data.push(row);
+                fields = fields.slice(0, headers.length);
+                repaired = true;
+            } else if (fields.length === headers.length - 1) {
+                // Only the last column (description) is missing
+                fields = [...fields, ''];
+                repaired = true;
+            } else if (fields.length < headers.length) {
+                stats.rejected++;
+                return;
             }
+
+            sampler.add(this.buildRow(headers, fields, country, report, info.line, schema));
+            stats.parsed++;
+            if (repaired) stats.repaired++;
+        };
+
+        return {
+            onRecord,
+            isFull: () => sampler.isFull(),
+            getRowCount: () => stats.parsed,
+            finish: (complete = true) => {
+                const rows = sampler.getRows();
+                this.parseStats[country] = stats;
+                this.qualityReports[country] = report || schema.createReport();
+                this.sampleInfo[country] = {
+                    strategy: sampler.strategy,
+                    budget: sampler.budget,
+                    seen: sampler.seen,
+                    kept: rows.length,
+                    // Head sampling stops reading early, so the file may hold more rows than were seen
+                    complete,
+                    sampled: !complete || sampler.isSampled()
+                };
+                return rows;
+            }
+        };
+    }
+
+    // Schema adapter for a header row (unknown formats are read as the first registered one)
+    detectFormat(headers, country) {
+        const adapter = SchemaAdapter.detect(headers);
+        if (adapter) return adapter;
+        const fallback = SchemaAdapter.ADAPTERS[0];
+        console.warn(`Unrecognized CSV header for ${country}; reading it as ${fallback.label}`);
+        return fallback;
+    }
+
+    // Build a typed video row from header names and field values, noting schema issues in report
+    buildRow(headers, values, country, report = null, line = null, schema = this.schema) {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = values[index] ? values[index].trim() : '';
+        });
+
+        // Add country information
+        row.country = country;
+
+        // Convert typed fields; missing columns are reported once per file, not per row
+        const issues = [];
+        schema.columns.forEach(column => {
+            const present = row[column.name] !== undefined;
+            if (!present && column.missingValue !== undefined) {
+                row[column.target || column.name] = column.missingValue;
+                return;
+            }
+            const raw = present ? row[column.name] : '';
+            const { value, issue } = schema.parseValue(column, raw);
+            row[column.target || column.name] = value;
+            if (issue && present) issues.push([column.name, issue, raw]);
+        });
+
+        // Add category name
+        const categoryName = this.categories[country] && this.categories[country][row.category_id];
+        row.category_name = categoryName || 'Unknown';
+        if (!categoryName && row.category_id > 0) {
+            issues.push(['category_id', 'unknown', String(row.category_id)]);
         }
-        
-        return data;
+
+        if (report) {
+            report.checked++;
+            if (issues.length > 0) report.rowsWithIssues++;
+            issues.forEach(([column, kind, value]) => {
+                schema.recordIssue(report, column, kind, {
+                    line,
+                    videoId: row.video_id,
+                    title: row.title.length > 60 ? row.title.substring(0, 60) + '...' : row.title,
+                    value
+                });
+            });
+        }
+
+        return row;
     }
 
-    // Parse CSV line handling quoted fields
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current);
-                current = '';
+    // Get schema issues per country ({ checked, rowsWithIssues, missingColumns, issues })
+    getQualityReports() {
+        return this.qualityReports;
+    }
+
+    // Get parse statistics (parsed, repaired and rejected records) per country
+    getParseStats() {
+        return this.parseStats;
+    }
+
+    // Get sampling details per country ({ strategy, budget, seen, kept, complete, sampled })
+    getSampleInfo() {
+        return this.sampleInfo;
+    }
+
+    // Whether any loaded country holds only a sample of its file
+    isSampleInUse() {
+        return Object.values(this.sampleInfo).some(info => info.sampled);
+    }
+
+    // Log a per-country parsing summary
+    logParseStats() {
+        const summary = Object.entries(this.parseStats).map(([country, stats]) => ({
+            country,
+            parsed: stats.parsed,
+            repaired: stats.repaired,
+            rejected: stats.rejected,
+            format: stats.format,
+            withIssues: this.qualityReports[country] ? this.qualityReports[country].rowsWithIssues : 0
+        }));
+        if (summary.length > 0) {
+            console.table(summary);
+        }
+    }
+
+    // Parse trending date format (e.g., "17.14.11"); null for anything that is not a real day
+    parseTrendingDate(dateStr) {
+        return Schema.parseTrendingDate(dateStr);
+    }
+
+    // Get the column store for the loaded data, building it on first use
+    getStore() {
+        if (!this.store) {
+            const start = Date.now();
+            this.store = new ColumnStore(this.videoData);
+            console.log(`Column store built: ${this.store.size} rows in ${Date.now() - start}ms`);
+        }
+        return this.store;
+    }
+
+    // Drop the column store after videoData changes
+    invalidateStore() {
+        this.store = null;
+    }
+
+    // Row ids for a country selection ('all' and 'global' mean every country), in the current unit
+    getRowIds(country = 'all') {
+        const store = this.getStore();
+        if (this.isGlobal(country)) {
+            return this.selectRows(store.allRowIds());
+        }
+        return this.selectRows(store.rowIds('country', country), country);
+    }
+
+    isGlobal(country) {
+        return country === 'all' || country === 'global';
+    }
+
+    // Row mask for the current unit: null for trending-day rows, otherwise one row per video (its latest
+    // trending day within the country when one is selected, else within the filtered countries, else overall)
+    getRowMask(country = 'all', filterList = this.getActiveFilters()) {
+        if (this.queryOptions.unit !== 'videos') return null;
+        const store = this.getStore();
+        const videos = store.getVideos();
+        if (!this.isGlobal(country)) return videos.isCountryLatest;
+
+        const listed = filterList.filter(filters => filters.countries.length > 0);
+        if (listed.length === 0) return videos.isLatest;
+        const codes = store.countries.values
+            .map((value, code) => listed.every(filters => filters.countries.includes(value)) ? code : -1)
+            .filter(code => code >= 0);
+        return this.getCountriesLatestMask(codes);
+    }
+
+    // 1 on the latest row of each video among its rows in the given countries (by country code)
+    getCountriesLatestMask(codes) {
+        const store = this.getStore();
+        const key = codes.join(',');
+        if (this.countriesLatest && this.countriesLatest.store === store && this.countriesLatest.key === key) {
+            return this.countriesLatest.mask;
+        }
+
+        const videos = store.getVideos();
+        const allowed = new Uint8Array(store.countries.values.length);
+        codes.forEach(code => {
+            allowed[code] = 1;
+        });
+        const mask = new Uint8Array(store.size);
+        for (let video = 0; video < videos.count; video++) {
+            // Rows are in load order, so on equal dates the later row wins (as in ColumnStore.getVideos)
+            let latest = -1;
+            for (let i = videos.index.offsets[video]; i < videos.index.offsets[video + 1]; i++) {
+                const row = videos.index.ids[i];
+                if (allowed[store.country[row]] && (latest < 0 || store.rowTime(row) >= store.rowTime(latest))) latest = row;
+            }
+            if (latest >= 0) mask[latest] = 1;
+        }
+        this.countriesLatest = { store, key, mask };
+        return mask;
+    }
+
+    // Test for the rows that count under the query options (unit, flag filter and filters), or null when all do.
+    // In unique-video mode without a single country, a video belongs to the country of its latest trending day
+    // among the filtered countries.
+    getRowFilter(country = 'all', applyFlags = true, filterList = this.getActiveFilters()) {
+        const store = this.getStore();
+        const mask = this.getRowMask(country, filterList);
+        const dateReader = this.getRowDateReader(country);
+        const tests = filterList
+            .map(filters => FilterState.createRowTest(filters, store, dateReader))
+            .filter(Boolean);
+        const matches = tests.length > 1 ? id => tests.every(test => test(id)) : tests[0] || null;
+        let reject = 0;
+        let require = 0;
+        if (applyFlags) {
+            Object.entries(this.queryOptions.flags).forEach(([flag, mode]) => {
+                if (mode === 'exclude') reject |= ColumnStore.FLAGS[flag];
+                if (mode === 'only') require |= ColumnStore.FLAGS[flag];
+            });
+        }
+        if (!mask && !matches && !reject && !require) return null;
+
+        const flags = store.flags;
+        return id => (!mask || mask[id] === 1) && (flags[id] & reject) === 0 && (flags[id] & require) === require &&
+            (!matches || matches(id));
+    }
+
+    // Keep the rows that count under the query options
+    selectRows(ids, country = 'all', applyFlags = true) {
+        const keep = this.getRowFilter(country, applyFlags);
+        return keep ? ids.filter(keep) : ids;
+    }
+
+    // Filters the getters apply: the filter bar's, plus the selection's unless it was made in the chart being drawn
+    getActiveFilters() {
+        const selected = SelectionState.filtersFor(this.queryOptions.selection, this.queryOptions.view);
+        return selected ? [this.queryOptions.filters, selected] : [this.queryOptions.filters];
+    }
+
+    // Cache key for results that depend on the query options
+    getQueryKey() {
+        const { unit, flags } = this.queryOptions;
+        return JSON.stringify({ unit, flags, filters: this.getActiveFilters() });
+    }
+
+    // How much of the filtered data the selection keeps (what every chart but its own is narrowed to)
+    getSelectionSummary() {
+        const selection = this.queryOptions.selection;
+        if (!selection) return null;
+
+        const store = this.getStore();
+        const keep = this.getRowFilter('all', true, [this.queryOptions.filters, selection.filters]);
+        const ids = keep ? store.allRowIds().filter(keep) : store.allRowIds();
+        return {
+            unit: this.queryOptions.unit,
+            source: selection.source,
+            label: selection.label,
+            count: ids.length,
+            totalViews: store.sum('views', ids)
+        };
+    }
+
+    // Most frequent channels and tags over all rows, offered as filter suggestions
+    getFilterSuggestions(limit = 500) {
+        const store = this.getStore();
+        return store.memo(`filterSuggestions:${limit}`, () => {
+            const tagCounts = new Uint32Array(store.tags.values.length);
+            store.tagIds.forEach(tag => {
+                tagCounts[tag]++;
+            });
+            const top = (dictionary, counts) => dictionary.values
+                .map((value, code) => ({ value, count: counts(code) }))
+                .filter(entry => entry.value && entry.count > 0)
+                .sort((a, b) => b.count - a.count)
+                .slice(0, limit)
+                .map(entry => entry.value);
+
+            return {
+                channels: top(store.channels, code => store.codeRowIds('channel', code).length),
+                tags: top(store.tags, code => tagCounts[code])
+            };
+        });
+    }
+
+    // Loaded countries the filters keep, for charts with one entry per country
+    getSelectedCountries() {
+        return this.keepListed(Object.keys(this.videoData), 'countries');
+    }
+
+    // Categories the filters keep, for charts with one entry per category
+    getSelectedCategories() {
+        return this.keepListed(this.getAvailableCategories(), 'categories');
+    }
+
+    // Values every active filter that lists the field includes
+    keepListed(values, field) {
+        return this.getActiveFilters().reduce((kept, filters) => {
+            const selected = filters[field];
+            return selected.length > 0 ? kept.filter(value => selected.includes(value)) : kept;
+        }, values);
+    }
+
+    // Likes, dislikes or comments per 1,000 views, over the views of the rows that show that metric.
+    // Videos with ratings or comments disabled report 0, so counting their views would understate the rate.
+    engagementRate(column, ids) {
+        const store = this.getStore();
+        const flag = column === 'comments' ? ColumnStore.FLAGS.comments_disabled : ColumnStore.FLAGS.ratings_disabled;
+        const values = store[column];
+        // Rows from formats without dislikes do not count towards dislikes either
+        const known = column === 'dislikes' ? store.hasDislikes : null;
+        let total = 0;
+        let views = 0;
+        for (let i = 0; i < ids.length; i++) {
+            if (!(store.flags[ids[i]] & flag) && (!known || known[ids[i]])) {
+                total += values[ids[i]];
+                views += store.views[ids[i]];
+            }
+        }
+        return views > 0 ? total / views * 1000 : 0;
+    }
+
+    // Flags set on a row, as booleans
+    getRowFlags(id) {
+        const bits = this.getStore().flags[id];
+        return {
+            commentsDisabled: Boolean(bits & ColumnStore.FLAGS.comments_disabled),
+            ratingsDisabled: Boolean(bits & ColumnStore.FLAGS.ratings_disabled),
+            errorOrRemoved: Boolean(bits & ColumnStore.FLAGS.video_error_or_removed)
+        };
+    }
+
+    // How often each flag occurs per country and per category, in the current unit
+    // (the flag filter is ignored here, otherwise excluded flags would always read 0)
+    getFlagBreakdown() {
+        const store = this.getStore();
+        const flagNames = Object.keys(ColumnStore.FLAGS);
+        const countFlags = (key, ids) => {
+            const counts = {};
+            flagNames.forEach(flag => {
+                counts[flag] = 0;
+            });
+            ids.forEach(id => {
+                flagNames.forEach(flag => {
+                    if (store.flags[id] & ColumnStore.FLAGS[flag]) counts[flag]++;
+                });
+            });
+            return { key, total: ids.length, counts };
+        };
+
+        return {
+            unit: this.queryOptions.unit,
+            flags: flagNames,
+            overall: countFlags('all', this.selectRows(store.allRowIds(), 'all', false)),
+            byCountry: this.getSelectedCountries().map(country =>
+                countFlags(country, this.selectRows(store.rowIds('country', country), country, false))),
+            byCategory: this.getSelectedCategories().map(category =>
+                countFlags(category, this.selectRows(store.rowIds('category', category), 'all', false)))
+        };
+    }
+
+    // Trending date code a row is charted on; unique videos sit on the day they started trending
+    getRowDateCode(id, country = 'all') {
+        return this.getRowDateReader(country)(id);
+    }
+
+    // getRowDateCode for many rows: the lookup is resolved once per call instead of per row
+    getRowDateReader(country = 'all') {
+        const store = this.getStore();
+        if (this.queryOptions.unit !== 'videos') return id => store.date[id];
+        const videos = store.getVideos();
+        return this.isGlobal(country)
+            ? id => videos.firstDate[videos.code[id]]
+            : id => videos.countryFirstDate[id];
+    }
+
+    // Per-video summary for a video code
+    getVideoEntity(video) {
+        const store = this.getStore();
+        const videos = store.getVideos();
+        const latest = videos.latest[video];
+        const row = store.rows[latest];
+        const dateKey = (code) => code >= 0 ? store.dates.values[code] : null;
+
+        return {
+            videoId: row.video_id,
+            title: row.title,
+            channel: row.channel_title,
+            category: row.category_name,
+            countries: videos.countries[video].map(code => store.countries.values[code]),
+            firstTrendingDate: dateKey(videos.firstDate[video]),
+            lastTrendingDate: dateKey(videos.lastDate[video]),
+            daysTrending: videos.days[video],
+            trendingRows: videos.index.offsets[video + 1] - videos.index.offsets[video],
+            peakViews: videos.peakViews[video],
+            peakLikes: videos.peakLikes[video],
+            peakComments: videos.peakComments[video],
+            finalViews: store.views[latest],
+            finalLikes: store.likes[latest],
+            finalComments: store.comments[latest]
+        };
+    }
+
+    // Unique videos ranked by final views, optionally limited to one country
+    getVideoEntities(country = 'all', limit = 100) {
+        const store = this.getStore();
+        const videos = store.getVideos();
+        const countryCode = store.countries.codes.get(country);
+        const keep = this.getRowFilter('all');
+        const order = store.viewsOrder();
+        const entities = [];
+
+        for (let i = 0; i < order.length && entities.length < limit; i++) {
+            const id = order[i];
+            if (!videos.isLatest[id] || (keep && !keep(id))) continue;
+            const video = videos.code[id];
+            if (!this.isGlobal(country) && !videos.countries[video].includes(countryCode)) continue;
+            entities.push(this.getVideoEntity(video));
+        }
+        return entities;
+    }
+
+    // Look up one video by its YouTube id
+    getVideo(videoId) {
+        const videos = this.getStore().getVideos();
+        const video = videos.keys.codes.get(videoId);
+        return video === undefined ? null : this.getVideoEntity(video);
+    }
+
+    // Everything known about the video a row belongs to, for the video detail drawer: its summary,
+    // metadata from its latest trending day and one history entry per trending row (every day and
+    // country, oldest first). Filters do not apply, so the history is always complete.
+    getVideoDetail(id) {
+        const store = this.getStore();
+        if (!(id >= 0 && id < store.size)) return null;
+        const videos = store.getVideos();
+        const video = videos.code[id];
+        const latest = videos.latest[video];
+        const row = store.rows[latest];
+        const rows = Array.from(videos.index.ids.subarray(videos.index.offsets[video], videos.index.offsets[video + 1]));
+        rows.sort((a, b) => store.rowTime(a) - store.rowTime(b) || store.country[a] - store.country[b]);
+
+        const tags = (row.tags || '').split('|')
+            .map(tag => tag.replace(/"/g, '').trim())
+            .filter(tag => tag && tag !== '[none]');
+
+        return {
+            ...this.getVideoEntity(video),
+            publishTime: isNaN(store.publishTime[latest]) ? null : store.publishTime[latest],
+            tags: Array.from(new Set(tags)),
+            description: row.description || '',
+            thumbnail: row.thumbnail_link || null,
+            ...this.getRowFlags(latest),
+            history: rows.map(rowId => ({
+                date: store.date[rowId] >= 0 ? store.dates.values[store.date[rowId]] : null,
+                time: store.date[rowId] >= 0 ? store.dateValues[store.date[rowId]].getTime() : null,
+                country: store.countries.values[store.country[rowId]],
+                views: store.views[rowId],
+                likes: store.likes[rowId],
+                dislikes: store.hasDislikes[rowId] ? store.dislikes[rowId] : null,
+                comments: store.comments[rowId]
+            }))
+        };
+    }
+
+    // Best full-text matches for the search box: videos (by title, channel, tags and description) and
+    // channels (by name), equal matches ordered by views. Filters do not apply, so anything loaded can be found.
+    search(query, limit = 8) {
+        const store = this.getStore();
+        const index = store.getSearchIndex();
+        const videos = store.getVideos();
+
+        return {
+            query,
+            videos: index.videos.search(query, limit, video => store.views[videos.latest[video]]).map(({ doc, score }) => {
+                const latest = videos.latest[doc];
+                return {
+                    row: latest,
+                    title: store.rows[latest].title,
+                    channel: store.rows[latest].channel_title,
+                    country: store.countries.values[store.country[latest]],
+                    views: store.views[latest],
+                    score
+                };
+            }),
+            channels: index.channels.search(query, limit, code => store.codeRowIds('channel', code).length).map(({ doc, score }) => {
+                const ids = store.codeRowIds('channel', doc);
+                return {
+                    name: store.channels.values[doc],
+                    rows: ids.length,
+                    totalViews: store.sum('views', ids),
+                    score
+                };
+            })
+        };
+    }
+
+    // One window of the Data view's table: the rows that count under the query options ('rows'), or their
+    // totals grouped by one of DataLoader.DATA_TABLE_SOURCES. options.sort ({ key, direction }) orders the
+    // table and options.filters ({ columnKey: text }) narrow it; the resulting order is kept, so scrolling
+    // only reads windows. keys says what each row opens: a row id (rows) or a channel name (channel totals).
+    getDataTable(source = 'rows', options = {}, offset = 0, limit = 100) {
+        const store = this.getStore();
+        const table = this.getDataTableSource(source);
+        const known = (key) => table.columns.some(column => column.key === key);
+        const sort = options.sort && known(options.sort.key)
+            ? { key: options.sort.key, direction: options.sort.direction === 'asc' ? 'asc' : 'desc' }
+            : table.sort;
+        const filters = {};
+        Object.entries(options.filters || {}).forEach(([key, text]) => {
+            if (known(key) && typeof text === 'string' && text.trim()) filters[key] = text.trim();
+        });
+
+        const key = JSON.stringify({ query: this.getQueryKey(), source: table.source, sort, filters });
+        if (!this.dataTableOrder || this.dataTableOrder.store !== store || this.dataTableOrder.key !== key) {
+            this.dataTableOrder = { store, key, ...this.orderDataTable(table, sort, filters) };
+        }
+        const { order, invalid } = this.dataTableOrder;
+        const page = order.subarray(offset, offset + limit);
+
+        return {
+            source: table.source,
+            columns: table.columns.map(column => ({ key: column.key, label: column.label, type: column.type, hidden: Boolean(column.hidden) })),
+            opens: table.opens,
+            sort,
+            filters,
+            invalid,
+            total: table.size,
+            count: order.length,
+            offset,
+            rows: Array.from(page, i => table.columns.map(column => column.value(i))),
+            keys: table.opens ? Array.from(page, i => table.keyOf(i)) : null
+        };
+    }
+
+    // Columns of a Data view source under the query options (only the latest query's table is kept).
+    // Each column reads value(i) for table row i; sortKey(i), when present, orders it numerically.
+    getDataTableSource(source) {
+        const store = this.getStore();
+        if (!DataLoader.DATA_TABLE_SOURCES.includes(source)) {
+            console.warn(`Unknown data table source "${source}", showing rows`);
+            source = 'rows';
+        }
+
+        const key = `${source}:${this.getQueryKey()}`;
+        if (!this.dataTableSource || this.dataTableSource.store !== store || this.dataTableSource.key !== key) {
+            this.dataTableSource = { store, key, table: this.buildDataTableSource(source) };
+        }
+        return this.dataTableSource.table;
+    }
+
+    // Columns of a Data view source under the current query options (see getDataTableSource)
+    buildDataTableSource(source) {
+        const store = this.getStore();
+        const ids = this.selectRows(store.allRowIds());
+        const dateOf = this.getRowDateReader('all');
+        const countryName = code => this.datasets[store.countries.values[code]]?.name || store.countries.values[code];
+        const dictionaryColumn = (key, label, codes, naming, name, hidden = false) => {
+            const ranks = this.getDictionaryRanks(key, naming, name);
+            return { key, label, type: 'text', hidden, value: i => name(codes(i)), sortKey: i => ranks[codes(i)] };
+        };
+        const countLabel = this.queryOptions.unit === 'videos' ? 'Videos' : 'Rows';
+
+        if (source === 'rows') {
+            const videos = store.getVideos();
+            const flag = (key, label, bit) => ({
+                key, label, type: 'flag', hidden: true, value: i => Boolean(store.flags[ids[i]] & bit)
+            });
+            return {
+                source,
+                size: ids.length,
+                opens: 'video',
+                keyOf: i => ids[i],
+                sort: { key: 'views', direction: 'desc' },
+                columns: [
+                    { key: 'title', label: 'Title', type: 'text', value: i => store.rows[ids[i]].title },
+                    dictionaryColumn('channel', 'Channel', i => store.channel[ids[i]], 'value', code => store.channels.values[code]),
+                    dictionaryColumn('category', 'Category', i => store.category[ids[i]], 'value', code => store.categories.values[code]),
+                    dictionaryColumn('country', 'Country', i => store.country[ids[i]], 'countryName', countryName),
+                    {
+                        key: 'date', label: 'Trending Date', type: 'date',
+                        value: i => dateOf(ids[i]) >= 0 ? store.dates.values[dateOf(ids[i])] : null,
+                        sortKey: i => dateOf(ids[i]) >= 0 ? store.dateValues[dateOf(ids[i])].getTime() : NaN
+                    },
+                    {
+                        key: 'published', label: 'Published (UTC)', type: 'date',
+                        value: i => isNaN(store.publishTime[ids[i]]) ? null
+                            : new Date(store.publishTime[ids[i]]).toISOString().slice(0, 16).replace('T', ' '),
+                        sortKey: i => store.publishTime[ids[i]]
+                    },
+                    { key: 'views', label: 'Views', type: 'number', value: i => store.views[ids[i]] },
+                    { key: 'likes', label: 'Likes', type: 'number', value: i => store.likes[ids[i]] },
+                    {
+                        key: 'dislikes', label: 'Dislikes', type: 'number',
+                        value: i => store.hasDislikes[ids[i]] ? store.dislikes[ids[i]] : null
+                    },
+                    { key: 'comments', label: 'Comments', type: 'number', value: i => store.comments[ids[i]] },
+                    {
+                        key: 'likeRatio', label: 'Like Ratio', type: 'percent',
+                        value: i => {
+                            const id = ids[i];
+                            const rated = !(store.flags[id] & ColumnStore.FLAGS.ratings_disabled) && store.views[id] > 0;
+                            return rated ? store.likes[id] / store.views[id] * 100 : null;
+                        }
+                    },
+                    { key: 'days', label: 'Days Trending', type: 'number', value: i => videos.days[videos.code[ids[i]]] },
+                    {
+                        key: 'tags', label: 'Tags', type: 'text', hidden: true,
+                        value: i => (store.rows[ids[i]].tags || '').replace(/"/g, '').split('|').filter(tag => tag && tag !== '[none]').join(', ')
+                    },
+                    { key: 'videoId', label: 'Video ID', type: 'text', hidden: true, value: i => store.rows[ids[i]].video_id },
+                    flag('commentsDisabled', 'Comments Disabled', ColumnStore.FLAGS.comments_disabled),
+                    flag('ratingsDisabled', 'Ratings Disabled', ColumnStore.FLAGS.ratings_disabled),
+                    flag('errorOrRemoved', 'Error or Removed', ColumnStore.FLAGS.video_error_or_removed)
+                ]
+            };
+        }
+
+        // Grouping columns: the code of a row and the label of a code (-1 for rows without one)
+        const groupings = {
+            country: { key: 'country', label: 'Country', code: id => store.country[id], naming: 'countryName', name: countryName },
+            category: { key: 'category', label: 'Category', code: id => store.category[id], naming: 'value', name: code => store.categories.values[code] },
+            channel: { key: 'channel', label: 'Channel', code: id => store.channel[id], naming: 'value', name: code => store.channels.values[code] },
+            date: { key: 'date', label: 'Trending Date', code: id => dateOf(id), name: code => code >= 0 ? store.dates.values[code] : null }
+        };
+        const by = source === 'country-category' ? [groupings.country, groupings.category] : [groupings[source]];
+
+        const groups = new Map();
+        ids.forEach(id => {
+            const codes = by.map(grouping => grouping.code(id));
+            const groupKey = codes.join(',');
+            let group = groups.get(groupKey);
+            if (!group) {
+                group = { codes, count: 0, views: 0, likes: 0, comments: 0, ratedViews: 0 };
+                groups.set(groupKey, group);
+            }
+            group.count++;
+            group.views += store.views[id];
+            group.likes += store.likes[id];
+            group.comments += store.comments[id];
+            if (!(store.flags[id] & ColumnStore.FLAGS.ratings_disabled)) group.ratedViews += store.views[id];
+        });
+        const rows = Array.from(groups.values());
+        const totalViews = rows.reduce((sum, group) => sum + group.views, 0);
+
+        return {
+            source,
+            size: rows.length,
+            opens: source === 'channel' ? 'channel' : null,
+            keyOf: i => store.channels.values[rows[i].codes[0]],
+            sort: { key: 'views', direction: 'desc' },
+            columns: [
+                ...by.map((grouping, g) => grouping.key === 'date'
+                    ? {
+                        key: 'date', label: grouping.label, type: 'date',
+                        value: i => grouping.name(rows[i].codes[g]),
+                        sortKey: i => rows[i].codes[g] >= 0 ? store.dateValues[rows[i].codes[g]].getTime() : NaN
+                    }
+                    : dictionaryColumn(grouping.key, grouping.label, i => rows[i].codes[g], grouping.naming, grouping.name)),
+                { key: 'count', label: countLabel, type: 'number', value: i => rows[i].count },
+                { key: 'views', label: 'Total Views', type: 'number', value: i => rows[i].views },
+                { key: 'viewShare', label: 'Share of Views', type: 'percent', value: i => totalViews > 0 ? rows[i].views / totalViews * 100 : null },
+                { key: 'avgViews', label: 'Avg Views', type: 'number', value: i => rows[i].views / rows[i].count },
+                { key: 'likes', label: 'Total Likes', type: 'number', value: i => rows[i].likes },
+                { key: 'comments', label: 'Total Comments', type: 'number', value: i => rows[i].comments },
+                { key: 'likeRatio', label: 'Like Ratio', type: 'percent', value: i => rows[i].ratedViews > 0 ? rows[i].likes / rows[i].ratedViews * 100 : null }
+            ]
+        };
+    }
+
+    // Position of each code of a dictionary column when its labels, name(code), are sorted (for sorting by rank).
+    // naming tells label sets apart in the cache (a country's code and its display name sort differently).
+    getDictionaryRanks(column, naming, name) {
+        const store = this.getStore();
+        return store.memo(`ranks:${column}:${naming}`, () => {
+            const dictionary = store.getDictionary(column);
+            const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+            const ranks = new Uint32Array(dictionary.values.length);
+            dictionary.values
+                .map((_, code) => code)
+                .sort((a, b) => collator.compare(name(a) || '', name(b) || ''))
+                .forEach((code, rank) => {
+                    ranks[code] = rank;
+                });
+            return ranks;
+        });
+    }
+
+    // Table rows passing every column filter, in sort order; missing values always sort last.
+    // invalid lists the filters that could not be read (they are ignored).
+    orderDataTable(table, sort, filters) {
+        const invalid = [];
+        const tests = [];
+        Object.entries(filters).forEach(([key, text]) => {
+            const column = table.columns.find(entry => entry.key === key);
+            const test = DataLoader.parseColumnFilter(column.type, text);
+            if (test) {
+                tests.push(i => test(column.value(i)));
             } else {
-                current += char;
+                invalid.push(key);
             }
+        });
+
+        const kept = [];
+        for (let i = 0; i < table.size; i++) {
+            if (tests.every(test => test(i))) kept.push(i);
         }
-        
-        result.push(current);
-        return result;
+
+        const column = table.columns.find(entry => entry.key === sort.key);
+        const sign = sort.direction === 'asc' ? 1 : -1;
+        if (column.sortKey || column.type !== 'text') {
+            const keys = new Float64Array(table.size);
+            kept.forEach(i => {
+                const value = column.sortKey ? column.sortKey(i) : column.value(i);
+                keys[i] = value === null ? NaN : Number(value);
+            });
+            kept.sort((a, b) => {
+                if (isNaN(keys[a]) || isNaN(keys[b])) return isNaN(keys[a]) - isNaN(keys[b]) || a - b;
+                return sign * (keys[a] - keys[b]) || a - b;
+            });
+        } else {
+            const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+            const values = new Array(table.size);
+            kept.forEach(i => {
+                values[i] = column.value(i);
+            });
+            kept.sort((a, b) => {
+                if (values[a] === null || values[b] === null) return (values[a] === null) - (values[b] === null) || a - b;
+                return sign * collator.compare(values[a], values[b]) || a - b;
+            });
+        }
+        return { order: Uint32Array.from(kept), invalid };
     }
 
-    // Parse trending date format (e.g., "17.14.11")
-    parseTrendingDate(dateStr) {
-        try {
-            const parts = dateStr.split('.');
-            if (parts.length === 3) {
-                const year = 2000 + parseInt(parts[0]);
-                const day = parseInt(parts[1]);
-                const month = parseInt(parts[2]);
-                return new Date(year, month - 1, day);
-            }
-        } catch (error) {
-            console.warn('Could not parse date:', dateStr);
-        }
-        return null;
+    // Test for a Data view column filter, or null when the text cannot be read. Numbers and percentages take
+    // "5000", ">1m", "<=2.5k" or "1k..10k"; dates take a prefix ("2018-01") or the same comparisons and
+    // ranges; flags take yes or no; text matches anywhere, ignoring case.
+    static parseColumnFilter(type, text) {
+        const query = text.trim();
+        if (type === 'flag') {
+            if (/^(y|yes|true|1)$/i.test(query)) return value => value === true;
+            if (/^(n|no|false|0)$/i.test(query)) return value => value === false;
+            return null;
+        }
+        if (type === 'text') {
+            const needle = query.toLowerCase();
+            return value => value !== null && value.toLowerCase().includes(needle);
+        }
+
+        const read = type === 'date'
+            ? value => DataLoader.DATE_FILTER_PATTERN.test(value) ? value : null
+            : value => {
+                const match = /^(-?\d+(?:\.\d+)?)\s*([kmb]?)$/i.exec(value);
+                return match ? Number(match[1]) * { '': 1, k: 1e3, m: 1e6, b: 1e9 }[match[2].toLowerCase()] : null;
+            };
+        // A date bound covers every time within it, so "..2018-01" runs to the end of January
+        const upper = type === 'date' ? value => `${value}\uffff` : value => value;
+
+        const range = /^(.*?)\s*\.\.\s*(.*)$/.exec(query);
+        if (range) {
+            const low = range[1] ? read(range[1]) : -Infinity;
+            const high = range[2] ? read(range[2]) : Infinity;
+            if (low === null || high === null) return null;
+            return value => value !== null && (low === -Infinity || value >= low) && (high === Infinity || value <= upper(high));
+        }
+
+        const [, operator = '', operand] = /^(>=|<=|>|<|=)?\s*(.*)$/.exec(query);
+        const bound = read(operand);
+        if (bound === null) return null;
+        const tests = {
+            '>': value => type === 'date' ? value > upper(bound) : value > bound,
+            '>=': value => value >= bound,
+            '<': value => value < bound,
+            '<=': value => value <= upper(bound),
+            '=': value => type === 'date' ? value.startsWith(bound) : value === bound,
+            '': value => type === 'date' ? value.startsWith(bound) : value === bound
+        };
+        return value => value !== null && tests[operator](value);
+    }
+
+    // Trending days and countries of the video a row belongs to
+    getRowVideoInfo(id) {
+        const store = this.getStore();
+        const videos = store.getVideos();
+        const video = videos.code[id];
+        return {
+            daysTrending: videos.days[video],
+            countries: videos.countries[video].map(code => store.countries.values[code])
+        };
+    }
+
+    // Get overall summary statistics for the overview cards
+    getSummaryStats() {
+        const store = this.getStore();
+        const ids = this.getRowIds('all');
+        const totalViews = store.sum('views', ids);
+        const totalLikes = store.sum('likes', ids);
+
+        return {
+            unit: this.queryOptions.unit,
+            totalVideos: ids.length,
+            trendingRows: store.size,
+            uniqueVideos: store.getVideos().count,
+            totalViews,
+            totalLikes,
+            countriesCount: store.countBy('country', ids).size,
+            categoriesCount: store.countBy('category', ids).size,
+            filtered: this.getActiveFilters().some(filters => !FilterState.isEmpty(filters)),
+            avgViewsPerVideo: totalViews / ids.length,
+            avgLikesPerVideo: totalLikes / ids.length
+        };
     }
 
     // Get aggregated data for visualizations
     getViewsByCountry() {
+        const store = this.getStore();
         const result = {};
-        Object.keys(this.videoData).forEach(country => {
-            const totalViews = this.videoData[country].reduce((sum, video) => sum + video.views, 0);
-            const avgViews = totalViews / this.videoData[country].length;
+        this.getSelectedCountries().forEach(country => {
+            const ids = this.getRowIds(country);
+            const totalViews = store.sum('views', ids);
             result[country] = {
                 totalViews,
-                avgViews,
-                videoCount: this.videoData[country].length
+                avgViews: totalViews / ids.length,
+                videoCount: ids.length
             };
         });
         return result;
@@ -155,27 +1338,21 @@ class DataLoader {
 
     // Get category distribution across all countries
     getCategoryDistribution() {
-        const categoryCount = {};
-        Object.values(this.videoData).flat().forEach(video => {
-            const category = video.category_name;
-            categoryCount[category] = (categoryCount[category] || 0) + 1;
-        });
-        return categoryCount;
+        return this.countCategories(this.getRowIds('all'));
     }
 
     // Get category distribution for a specific country
     getCategoryDistributionByCountry(country) {
-        if (country === 'all') {
-            return this.getCategoryDistribution();
-        }
-        
+        return this.countCategories(this.getRowIds(country));
+    }
+
+    // Count rows per category name
+    countCategories(ids) {
+        const store = this.getStore();
         const categoryCount = {};
-        if (this.videoData[country]) {
-            this.videoData[country].forEach(video => {
-                const category = video.category_name;
-                categoryCount[category] = (categoryCount[category] || 0) + 1;
-            });
-        }
+        store.countBy('category', ids).forEach((count, code) => {
+            categoryCount[store.categories.values[code]] = count;
+        });
         return categoryCount;
     }
 
@@ -184,207 +1361,283 @@ class DataLoader {
         return Object.keys(this.videoData).sort();
     }
 
-    // Get views vs likes data for scatter plot
-    getViewsVsLikes(sampleSize = 500, country = 'all', filters = {}) {
-        let videos;
-        
-        if (country === 'all') {
-            videos = Object.values(this.videoData).flat();
+    // Get views vs likes data for the scatter plot (view and like ranges come from the filter).
+    // The sample is seeded, so the same seed draws the same points; stratify ('none', 'country' or
+    // 'category') splits it across groups in proportion to their size or equally, so small groups still show.
+    // A sampleSize of Infinity keeps every video. Points come back as columns, which reach the page far
+    // faster than one object per point when hundreds of thousands are plotted.
+    getViewsVsLikes(sampleSize = 500, country = 'all', sampling = {}) {
+        const store = this.getStore();
+        let size = sampleSize === Infinity ? Infinity : Math.floor(sampleSize);
+        if (!(size > 0)) size = 500;
+        const seed = Number.isInteger(sampling.seed) && sampling.seed > 0 ? sampling.seed : 1;
+        let stratify = sampling.stratify || 'none';
+        if (!DataLoader.SCATTER_STRATA.includes(stratify)) {
+            console.warn(`Unknown scatter stratification "${stratify}", sampling without strata`);
+            stratify = 'none';
+        }
+        const allocation = sampling.allocation === 'equal' ? 'equal' : 'proportional';
+
+        // Rows without views or likes carry no correlation signal
+        const candidates = this.getRowIds(country).filter(id => store.views[id] > 0 && store.likes[id] > 0);
+
+        // Group by country or category code (groups keep the order their first row appears in)
+        const groups = new Map();
+        if (stratify === 'none') {
+            groups.set(null, candidates);
         } else {
-            videos = this.videoData[country] || [];
+            const codes = store[stratify];
+            candidates.forEach(id => {
+                if (!groups.has(codes[id])) groups.set(codes[id], []);
+                groups.get(codes[id]).push(id);
+            });
         }
-        
-        const minViews = Number.isFinite(filters.minViews) ? filters.minViews : 0;
-        const maxViews = Number.isFinite(filters.maxViews) ? filters.maxViews : Infinity;
-        const minLikes = Number.isFinite(filters.minLikes) ? filters.minLikes : 0;
-        const maxLikes = Number.isFinite(filters.maxLikes) ? filters.maxLikes : Infinity;
-
-        // Sample data for performance
-        const sampled = videos
-            .filter(video => video.views > 0 && video.likes > 0)
-            .filter(video => video.views >= minViews && video.views <= maxViews)
-            .filter(video => video.likes >= minLikes && video.likes <= maxLikes)
-            .sort(() => 0.5 - Math.random())
-            .slice(0, sampleSize);
-        
-        return sampled.map(video => ({
-            views: video.views,
-            likes: video.likes,
-            title: video.title,
-            country: video.country,
-            category: video.category_name
-        }));
+
+        const random = RowSampler.createRandom(seed);
+        const sizes = Array.from(groups.values(), ids => ids.length);
+        const counts = RowSampler.allocate(sizes, size, sizes, allocation);
+        const dictionary = stratify === 'none' ? null : store.getDictionary(stratify);
+        const strata = [];
+        const ids = [];
+        Array.from(groups.entries()).forEach(([code, groupIds], i) => {
+            RowSampler.pick(groupIds, counts[i], random).forEach(id => ids.push(id));
+            if (dictionary) {
+                strata.push({ key: dictionary.values[code], available: groupIds.length, sampled: counts[i] });
+            }
+        });
+
+        const points = {
+            ids: Uint32Array.from(ids),
+            views: new Float64Array(ids.length),
+            likes: new Float64Array(ids.length),
+            country: new Uint32Array(ids.length),
+            category: new Uint32Array(ids.length),
+            titles: new Array(ids.length)
+        };
+        ids.forEach((id, i) => {
+            points.views[i] = store.views[id];
+            points.likes[i] = store.likes[id];
+            points.country[i] = store.country[id];
+            points.category[i] = store.category[id];
+            points.titles[i] = store.rows[id].title;
+        });
+
+        return {
+            points,
+            // Country and category names by the codes in points.country / points.category
+            countries: store.countries.values,
+            categories: store.categories.values,
+            candidates: candidates.length,
+            seed,
+            stratify,
+            allocation,
+            strata
+        };
     }
 
     // Get timeline data
     getTimelineData() {
-        const timelineData = {};
-        Object.values(this.videoData).flat().forEach(video => {
-            if (video.trending_date_parsed) {
-                const dateKey = video.trending_date_parsed.toISOString().split('T')[0];
-                if (!timelineData[dateKey]) {
-                    timelineData[dateKey] = {
-                        date: video.trending_date_parsed,
-                        count: 0,
-                        totalViews: 0
-                    };
-                }
-                timelineData[dateKey].count++;
-                timelineData[dateKey].totalViews += video.views;
-            }
-        });
-        
-        return Object.values(timelineData).sort((a, b) => a.date - b.date);
+        return this.getTimelineDataByCountry('all');
     }
 
     // Get timeline data for a specific country
     getTimelineDataByCountry(country) {
-        if (country === 'all') {
-            return this.getTimelineData();
-        }
-        
-        const timelineData = {};
-        if (this.videoData[country]) {
-            this.videoData[country].forEach(video => {
-                if (video.trending_date_parsed) {
-                    const dateKey = video.trending_date_parsed.toISOString().split('T')[0];
-                    if (!timelineData[dateKey]) {
-                        timelineData[dateKey] = {
-                            date: video.trending_date_parsed,
-                            count: 0,
-                            totalViews: 0
-                        };
-                    }
-                    timelineData[dateKey].count++;
-                    timelineData[dateKey].totalViews += video.views;
-                }
-            });
-        }
-        
-        return Object.values(timelineData).sort((a, b) => a.date - b.date);
+        const store = this.getStore();
+        const timelineData = new Map();
+        const dateOf = this.getRowDateReader(country);
+
+        this.getRowIds(country).forEach(id => {
+            const dateCode = dateOf(id);
+            if (dateCode < 0) return;
+
+            let entry = timelineData.get(dateCode);
+            if (!entry) {
+                entry = {
+                    date: store.dateValues[dateCode],
+                    count: 0,
+                    totalViews: 0
+                };
+                timelineData.set(dateCode, entry);
+            }
+            entry.count++;
+            entry.totalViews += store.views[id];
+        });
+
+        return Array.from(timelineData.values()).sort((a, b) => a.date - b.date);
     }
 
     // Get overall engagement metrics
     getEngagementMetrics() {
-        const allVideos = Object.values(this.videoData).flat();
-        return {
-            Likes: allVideos.reduce((sum, v) => sum + v.likes, 0),
-            Dislikes: allVideos.reduce((sum, v) => sum + v.dislikes, 0),
-            Comments: allVideos.reduce((sum, v) => sum + v.comment_count, 0)
-        };
+        return this.getFilteredEngagementMetrics('all', 'all');
     }
 
     // Get filtered engagement metrics
     getFilteredEngagementMetrics(country = 'all', category = 'all') {
-        let filteredVideos = Object.values(this.videoData).flat();
-
-        // Filter by country
-        if (country !== 'all') {
-            filteredVideos = filteredVideos.filter(video => video.country === country);
-        }
+        const store = this.getStore();
+        let ids;
 
-        // Filter by category
-        if (category !== 'all') {
-            filteredVideos = filteredVideos.filter(video => video.category_name === category);
+        if (category === 'all') {
+            ids = this.getRowIds(country);
+        } else if (country === 'all') {
+            ids = this.selectRows(store.rowIds('category', category));
+        } else {
+            const categoryCode = store.categories.codes.get(category);
+            ids = this.getRowIds(country).filter(id => store.category[id] === categoryCode);
         }
 
-        return {
-            Likes: filteredVideos.reduce((sum, v) => sum + v.likes, 0),
-            Dislikes: filteredVideos.reduce((sum, v) => sum + v.dislikes, 0),
-            Comments: filteredVideos.reduce((sum, v) => sum + v.comment_count, 0)
+        // Rates rather than totals, so each metric is read over the videos that show it
+        const metrics = {
+            Likes: this.engagementRate('likes', ids),
+            Dislikes: this.engagementRate('dislikes', ids),
+            Comments: this.engagementRate('comments', ids)
         };
+        // Formats without dislikes leave them out rather than reporting 0
+        if (!ids.some(id => store.hasDislikes[id])) {
+            delete metrics.Dislikes;
+        }
+        return metrics;
     }
 
     // Get all available categories
     getAvailableCategories() {
-        const categories = new Set();
-        Object.values(this.videoData).flat().forEach(video => {
-            if (video.category_name) {
-                categories.add(video.category_name);
-            }
-        });
-        return Array.from(categories).sort();
+        return this.getStore().categories.values.filter(Boolean).sort();
     }
 
     // Get top videos by views
     getTopVideosByViews(limit = 10) {
-        const allVideos = Object.values(this.videoData).flat();
-        return allVideos
-            .sort((a, b) => b.views - a.views)
-            .slice(0, limit)
-            .map(video => ({
+        const store = this.getStore();
+        const keep = this.getRowFilter('all');
+        const ids = [];
+        const order = store.viewsOrder();
+        for (let i = 0; i < order.length && ids.length < limit; i++) {
+            if (!keep || keep(order[i])) ids.push(order[i]);
+        }
+
+        return ids.map(id => {
+            const video = store.rows[id];
+            return {
                 title: video.title.length > 30 ? video.title.substring(0, 30) + '...' : video.title,
                 views: video.views,
                 likes: video.likes,
                 comments: video.comment_count,
                 channel: video.channel_title,
                 country: video.country,
-                category: video.category_name
-            }));
+                category: video.category_name,
+                ...this.getRowVideoInfo(id),
+                ...this.getRowFlags(id)
+            };
+        });
     }
 
     // Top videos by views with optional country filter
     getTopVideosByViewsFiltered(limit = 30, country = 'all') {
-        let videos = Object.values(this.videoData).flat();
-        if (country !== 'all') {
-            videos = videos.filter(v => v.country === country);
+        const store = this.getStore();
+        const countryCode = store.countries.codes.get(country);
+        const keep = this.getRowFilter(country);
+        const order = store.viewsOrder();
+        const ids = [];
+
+        for (let i = 0; i < order.length && ids.length < limit; i++) {
+            const id = order[i];
+            // Rows are sorted by views, so everything after the first zero is zero too
+            if (store.views[id] <= 0) break;
+            if (country !== 'all' && store.country[id] !== countryCode) continue;
+            if (keep && !keep(id)) continue;
+            ids.push(id);
         }
-        return videos
-            .filter(v => v.views > 0)
-            .sort((a, b) => b.views - a.views)
-            .slice(0, limit)
-            .map(video => ({
+
+        return ids.map(id => {
+            const video = store.rows[id];
+            const flags = this.getRowFlags(id);
+            return {
                 id: video.video_id || video.title,
+                // Row id, for looking the video up again (getVideoDetail)
+                row: id,
                 title: video.title,
                 views: video.views,
                 likes: video.likes,
                 comments: video.comment_count,
                 country: video.country,
                 category: video.category_name,
-                ratio: video.views > 0 ? video.likes / video.views : 0
-            }));
+                // No like ratio for videos whose ratings are hidden
+                ratio: flags.ratingsDisabled ? null : (video.views > 0 ? video.likes / video.views : 0),
+                ...this.getRowVideoInfo(id),
+                ...flags
+            };
+        });
     }
 
     // Engagement by category (likes, dislikes, comments)
+    // Likes, comments and dislikes per 1,000 views in each category (see engagementRate)
     getCategoryEngagementByCountry(country = 'all') {
+        const store = this.getStore();
+        const byCategory = new Map();
+        let hasDislikes = false;
+        this.getRowIds(country).forEach(id => {
+            const cat = store.categories.values[store.category[id]] || 'Unknown';
+            if (!byCategory.has(cat)) byCategory.set(cat, []);
+            byCategory.get(cat).push(id);
+            if (store.hasDislikes[id]) hasDislikes = true;
+        });
+
         const result = {};
-        const source = country === 'all' ? Object.values(this.videoData).flat() : (this.videoData[country] || []);
-        source.forEach(v => {
-            const cat = v.category_name || 'Unknown';
-            if (!result[cat]) {
-                result[cat] = { Likes: 0, Comments: 0, Dislikes: 0 };
-            }
-            result[cat].Likes += v.likes || 0;
-            result[cat].Comments += v.comment_count || 0;
-            result[cat].Dislikes += v.dislikes || 0;
+        byCategory.forEach((ids, cat) => {
+            result[cat] = {
+                Likes: this.engagementRate('likes', ids),
+                Comments: this.engagementRate('comments', ids)
+            };
+            // Formats without dislikes leave them out rather than reporting 0
+            if (hasDislikes) result[cat].Dislikes = this.engagementRate('dislikes', ids);
         });
-        return result; // { category: { Likes, Comments, Dislikes } }
+        return result; // { category: { Likes, Comments, Dislikes? } } per 1,000 views
     }
 
-    // Get top channels by engagement
-    getTopChannelsByEngagement(limit = 10) {
-        const channelData = {};
-        Object.values(this.videoData).flat().forEach(video => {
-            const channel = video.channel_title;
-            if (!channelData[channel]) {
-                channelData[channel] = {
-                    name: channel,
-                    totalViews: 0,
-                    totalLikes: 0,
-                    totalComments: 0,
-                    videoCount: 0
-                };
-            }
-            channelData[channel].totalViews += video.views;
-            channelData[channel].totalLikes += video.likes;
-            channelData[channel].totalComments += video.comment_count;
-            channelData[channel].videoCount++;
+    // Per-channel totals in order of first appearance (kept for the latest query options only)
+    getChannelStats() {
+        const store = this.getStore();
+        const key = this.getQueryKey();
+        if (this.channelStats && this.channelStats.store === store && this.channelStats.key === key) {
+            return this.channelStats.stats;
+        }
+
+        // One row test for every channel (building it allocates masks over the dictionaries)
+        const keep = this.getRowFilter();
+        const videos = store.getVideos();
+        const selectedCountries = new Set(this.getSelectedCountries());
+        const stats = store.channels.values.map((name, code) => {
+            const channelIds = store.codeRowIds('channel', code);
+            const ids = keep ? channelIds.filter(keep) : channelIds;
+            // Every country the kept videos trended in (a unique video's row is only its latest day),
+            // within the country filter
+            const countries = new Set();
+            ids.forEach(id => videos.countries[videos.code[id]].forEach(country => {
+                const value = store.countries.values[country];
+                if (selectedCountries.has(value)) countries.add(value);
+            }));
+
+            return {
+                name,
+                videoCount: ids.length,
+                totalViews: store.sum('views', ids),
+                totalLikes: store.sum('likes', ids),
+                totalComments: store.sum('comments', ids),
+                // Views of videos that show their likes, the base for like ratios
+                ratedViews: store.sum('views', ids.filter(id => !(store.flags[id] & ColumnStore.FLAGS.ratings_disabled))),
+                countries: Array.from(countries)
+            };
         });
+        this.channelStats = { store, key, stats };
+        return stats;
+    }
 
-        return Object.values(channelData)
+    // Get top channels by engagement
+    getTopChannelsByEngagement(limit = 10) {
+        // Channels whose videos all hide their ratings have no like ratio to rank by
+        return this.getChannelStats()
+            .filter(channel => channel.ratedViews > 0)
             .map(channel => ({
                 name: channel.name.length > 20 ? channel.name.substring(0, 20) + '...' : channel.name,
-                engagementScore: (channel.totalLikes / channel.totalViews) * 100,
+                engagementScore: (channel.totalLikes / channel.ratedViews) * 100,
                 totalViews: channel.totalViews,
                 totalLikes: channel.totalLikes,
                 videoCount: channel.videoCount
@@ -395,23 +1648,20 @@ class DataLoader {
 
     // Get category performance data
     getCategoryPerformance() {
-        const categories = this.getAvailableCategories();
-        return categories.map(category => {
-            const categoryVideos = Object.values(this.videoData).flat()
-                .filter(video => video.category_name === category);
-            
-            if (categoryVideos.length > 0) {
-                const totalViews = categoryVideos.reduce((sum, v) => sum + v.views, 0);
-                const totalLikes = categoryVideos.reduce((sum, v) => sum + v.likes, 0);
-                const totalComments = categoryVideos.reduce((sum, v) => sum + v.comment_count, 0);
-                
+        const store = this.getStore();
+        return this.getSelectedCategories().map(category => {
+            const ids = this.selectRows(store.rowIds('category', category));
+
+            if (ids.length > 0) {
+                const totalViews = store.sum('views', ids);
+
                 return {
                     category: category,
                     totalViews: totalViews,
-                    totalLikes: totalLikes,
-                    totalComments: totalComments,
-                    videoCount: categoryVideos.length,
-                    avgViews: totalViews / categoryVideos.length
+                    totalLikes: store.sum('likes', ids),
+                    totalComments: store.sum('comments', ids),
+                    videoCount: ids.length,
+                    avgViews: totalViews / ids.length
                 };
             }
             return null;
@@ -421,21 +1671,19 @@ class DataLoader {
 
     // Get country performance data
     getCountryPerformance() {
-        const countries = Object.keys(this.videoData);
-        return countries.map(country => {
-            const countryVideos = this.videoData[country] || [];
-            if (countryVideos.length > 0) {
-                const totalViews = countryVideos.reduce((sum, v) => sum + v.views, 0);
-                const totalLikes = countryVideos.reduce((sum, v) => sum + v.likes, 0);
-                const totalComments = countryVideos.reduce((sum, v) => sum + v.comment_count, 0);
-                
+        const store = this.getStore();
+        return this.getSelectedCountries().map(country => {
+            const ids = this.getRowIds(country);
+            if (ids.length > 0) {
+                const totalViews = store.sum('views', ids);
+
                 return {
                     country: country,
                     totalViews: totalViews,
-                    totalLikes: totalLikes,
-                    totalComments: totalComments,
-                    videoCount: countryVideos.length,
-                    avgViews: totalViews / countryVideos.length
+                    totalLikes: store.sum('likes', ids),
+                    totalComments: store.sum('comments', ids),
+                    videoCount: ids.length,
+                    avgViews: totalViews / ids.length
                 };
             }
             return null;
@@ -446,59 +1694,35 @@ class DataLoader {
     // Get country video counts for choropleth map
     getCountryVideoCounts() {
         const countryCounts = {};
-        Object.keys(this.videoData).forEach(country => {
-            countryCounts[country] = this.videoData[country].length;
+        this.getSelectedCountries().forEach(country => {
+            countryCounts[country] = this.getRowIds(country).length;
         });
         return countryCounts;
     }
 
     // Get country display names mapping
     getCountryDisplayNames() {
-        return {
-            'CA': 'Canada',
-            'DE': 'Germany', 
-            'FR': 'France',
-            'GB': 'United Kingdom',
-            'IN': 'India',
-            'JP': 'Japan',
-            'KR': 'South Korea',
-            'MX': 'Mexico',
-            'RU': 'Russia',
-            'US': 'United States'
-        };
+        const names = {};
+        this.countries.forEach(code => {
+            names[code] = this.datasets[code] ? this.datasets[code].name : code;
+        });
+        return names;
     }
 
-    // Get total number of unique channels
+    // Get total number of unique channels with rows in the current slice
     getTotalChannelCount() {
-        const uniqueChannels = new Set();
-        Object.values(this.videoData).flat().forEach(video => {
-            uniqueChannels.add(video.channel_title);
-        });
-        return uniqueChannels.size;
+        return this.getChannelStats().filter(channel => channel.videoCount > 0).length;
     }
 
     // Get all channels data (without limit)
     getAllChannels() {
-        const channelData = {};
-        Object.values(this.videoData).flat().forEach(video => {
-            const channel = video.channel_title;
-            if (!channelData[channel]) {
-                channelData[channel] = {
-                    name: channel,
-                    videoCount: 0,
-                    totalViews: 0,
-                    countries: new Set()
-                };
-            }
-            channelData[channel].videoCount++;
-            channelData[channel].totalViews += video.views;
-            channelData[channel].countries.add(video.country);
-        });
-
-        return Object.values(channelData)
+        return this.getChannelStats()
+            .filter(channel => channel.videoCount > 0)
             .map(channel => ({
-                ...channel,
-                countries: Array.from(channel.countries)
+                name: channel.name,
+                videoCount: channel.videoCount,
+                totalViews: channel.totalViews,
+                countries: channel.countries.slice()
             }))
             .sort((a, b) => b.totalViews - a.totalViews);
     }
@@ -526,40 +1750,200 @@ class DataLoader {
         return channels.slice(0, limit);
     }
 
+    // Everything the channel profile shows for one channel under the query options: totals, category and
+    // country mix, top videos, most used tags and its rank among the channels of its main category.
+    // The timeline counts the channel's videos trending each day whatever the counting unit.
+    // Null when the channel is unknown.
+    getChannelProfile(name) {
+        const store = this.getStore();
+        const code = store.channels.codes.get(name);
+        if (code === undefined) return null;
+
+        const channelIds = store.codeRowIds('channel', code);
+        const ids = this.selectRows(channelIds);
+        const videos = store.getVideos();
+        const rated = ids.filter(id => !(store.flags[id] & ColumnStore.FLAGS.ratings_disabled));
+        const totals = {
+            rows: ids.length,
+            videos: new Set(Array.from(ids, id => videos.code[id])).size,
+            views: store.sum('views', ids),
+            likes: store.sum('likes', ids),
+            comments: store.sum('comments', ids),
+            ratedViews: store.sum('views', rated)
+        };
+        const average = (value) => ids.length > 0 ? value / ids.length : 0;
+
+        // Rows and views per code of a dictionary column, largest share first
+        const mix = (column, dictionary) => {
+            const entries = new Map();
+            ids.forEach(id => {
+                const entry = entries.get(store[column][id]) || { name: dictionary.values[store[column][id]], count: 0, views: 0 };
+                entry.count++;
+                entry.views += store.views[id];
+                entries.set(store[column][id], entry);
+            });
+            return Array.from(entries.values()).sort((a, b) => b.count - a.count || b.views - a.views);
+        };
+
+        // Trending days ignore the unit and flag filter but keep the filters
+        const dayTests = this.getActiveFilters()
+            .map(filters => FilterState.createRowTest(filters, store))
+            .filter(Boolean);
+        const days = new Map();
+        channelIds.forEach(id => {
+            if (store.date[id] < 0 || !dayTests.every(test => test(id))) return;
+            if (!days.has(store.date[id])) days.set(store.date[id], new Set());
+            days.get(store.date[id]).add(videos.code[id]);
+        });
+        const timeline = Array.from(days.entries())
+            .sort((a, b) => store.dateValues[a[0]] - store.dateValues[b[0]])
+            .map(([date, dayVideos]) => ({
+                date: store.dates.values[date],
+                time: store.dateValues[date].getTime(),
+                videos: dayVideos.size
+            }));
+
+        // Each video counted once, on its most viewed counted row
+        const best = new Map();
+        ids.forEach(id => {
+            const video = videos.code[id];
+            if (!best.has(video) || store.views[id] > store.views[best.get(video)]) best.set(video, id);
+        });
+        const topVideos = Array.from(best.values())
+            .sort((a, b) => store.views[b] - store.views[a])
+            .slice(0, DataLoader.PROFILE_TOP_VIDEOS)
+            .map(id => ({
+                row: id,
+                title: store.rows[id].title,
+                views: store.views[id],
+                likes: store.likes[id],
+                comments: store.comments[id],
+                country: store.countries.values[store.country[id]],
+                date: store.date[id] >= 0 ? store.dates.values[store.date[id]] : null,
+                daysTrending: videos.days[videos.code[id]]
+            }));
+
+        const tagMask = this.getTagMask(30, true);
+        const tagCounts = new Map();
+        best.forEach(id => {
+            new Set(this.getRowTags(id, tagMask)).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+        });
+        const tags = Array.from(tagCounts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+            .slice(0, DataLoader.PROFILE_TOP_TAGS);
+
+        const categories = mix('category', store.categories);
+        const countries = mix('country', store.countries);
+
+        return {
+            name,
+            totals,
+            averages: {
+                views: average(totals.views),
+                likes: average(totals.likes),
+                comments: average(totals.comments)
+            },
+            likeRatio: totals.ratedViews > 0 ? totals.likes / totals.ratedViews * 100 : null,
+            categories,
+            countries,
+            timeline,
+            topVideos,
+            tags,
+            peers: categories.length > 0 ? this.getChannelPeerRanks(code, categories[0].name) : null
+        };
+    }
+
+    // Where a channel ranks among every channel with counted rows in a category (by their rows in it)
+    getChannelPeerRanks(channelCode, category) {
+        const store = this.getStore();
+        const ids = this.selectRows(store.rowIds('category', category));
+        const size = store.channels.values.length;
+        const counts = new Uint32Array(size);
+        const views = new Float64Array(size);
+        const likes = new Float64Array(size);
+        const ratedViews = new Float64Array(size);
+        ids.forEach(id => {
+            const channel = store.channel[id];
+            counts[channel]++;
+            views[channel] += store.views[id];
+            if (!(store.flags[id] & ColumnStore.FLAGS.ratings_disabled)) {
+                likes[channel] += store.likes[id];
+                ratedViews[channel] += store.views[id];
+            }
+        });
+
+        const peers = [];
+        for (let channel = 0; channel < size; channel++) {
+            if (counts[channel] === 0) continue;
+            peers.push({
+                code: channel,
+                name: store.channels.values[channel],
+                count: counts[channel],
+                views: views[channel],
+                avgViews: views[channel] / counts[channel],
+                likeRatio: ratedViews[channel] > 0 ? likes[channel] / ratedViews[channel] * 100 : null
+            });
+        }
+        const own = peers.find(peer => peer.code === channelCode);
+        if (!own) return null;
+
+        // 1-based rank by a metric, among the peers that have it
+        const rank = (metric) => {
+            if (own[metric] === null) return null;
+            const ranked = peers.filter(peer => peer[metric] !== null);
+            return {
+                value: own[metric],
+                rank: 1 + ranked.filter(peer => peer[metric] > own[metric]).length,
+                of: ranked.length
+            };
+        };
+        const byViews = peers.slice().sort((a, b) => b.views - a.views);
+        // The leaders plus the channel's own neighbours
+        const position = byViews.indexOf(own);
+        const shown = new Set(byViews.slice(0, DataLoader.PROFILE_PEERS));
+        byViews.slice(Math.max(0, position - 1), position + 2).forEach(peer => shown.add(peer));
+
+        return {
+            category,
+            count: peers.length,
+            ranks: {
+                views: rank('views'),
+                avgViews: rank('avgViews'),
+                likeRatio: rank('likeRatio')
+            },
+            neighbours: byViews
+                .filter(peer => shown.has(peer))
+                .map(peer => ({
+                    name: peer.name,
+                    rank: byViews.indexOf(peer) + 1,
+                    views: peer.views,
+                    count: peer.count,
+                    likeRatio: peer.likeRatio,
+                    isChannel: peer === own
+                }))
+        };
+    }
+
     // Get heatmap data for category distribution by country
     getHeatmapData() {
         try {
-            // Get all unique categories from all videos
-            const allCategories = new Set();
-            Object.values(this.videoData).flat().forEach(video => {
-                if (video && video.category_name) {
-                    allCategories.add(video.category_name);
-                }
-            });
-            
-            const categories = Array.from(allCategories).sort();
-            const countries = Object.keys(this.videoData);
-            
+            const store = this.getStore();
+            const categories = this.getSelectedCategories();
+            const countries = this.getSelectedCountries();
+
             // Create simple heatmap data structure
             const heatmapData = [];
-            
+
             countries.forEach(country => {
-                const countryVideos = this.videoData[country] || [];
-                const categoryCounts = {};
-                
-                // Count videos per category
-                countryVideos.forEach(video => {
-                    if (video && video.category_name) {
-                        categoryCounts[video.category_name] = (categoryCounts[video.category_name] || 0) + 1;
-                    }
-                });
-                
+                const ids = this.getRowIds(country);
+                const categoryCounts = store.countBy('category', ids);
+
                 // Create data points for each category
                 categories.forEach(category => {
-                    const count = categoryCounts[category] || 0;
-                    const totalVideos = countryVideos.length;
+                    const count = categoryCounts.get(store.categories.codes.get(category)) || 0;
+                    const totalVideos = ids.length;
                     const percentage = totalVideos > 0 ? (count / totalVideos) * 100 : 0;
-                    
+
                     heatmapData.push({
                         country: country,
                         category: category,
@@ -569,13 +1953,13 @@ class DataLoader {
                     });
                 });
             });
-            
+
             return {
                 data: heatmapData,
                 categories: categories,
                 countries: countries
             };
-            
+
         } catch (error) {
             console.error('Error in getHeatmapData:', error);
             return {
@@ -586,18 +1970,19 @@ class DataLoader {
         }
     }
 
-    // Get publishing timing data for heatmap visualization
-    getPublishingTimingData(selectedCountry = 'global') {
+    // Get publishing timing data for heatmap visualization; timeBasis is 'country' (each row in its
+    // country's time zone), 'utc' or 'viewer' (the browser's time zone)
+    getPublishingTimingData(selectedCountry = 'global', timeBasis = 'country') {
         try {
             const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
             
-            // Determine data source based on country selection
-            let videosToProcess;
-            if (selectedCountry === 'global') {
-                videosToProcess = Object.values(this.videoData).flat();
-            } else {
-                videosToProcess = this.videoData[selectedCountry] || [];
+            const store = this.getStore();
+            if (!DataLoader.TIME_BASES.includes(timeBasis)) {
+                console.warn(`Unknown time basis "${timeBasis}", using country time`);
+                timeBasis = 'country';
             }
+            const zones = this.getTimeZones(timeBasis);
+            const publish = store.publishSlots(zones);
             
             // Initialize 7x24 grid for days and hours
             const timingData = [];
@@ -614,33 +1999,25 @@ class DataLoader {
                 }
             }
             
-            // Process videos
-            videosToProcess.forEach(video => {
-                if (video && video.publish_time) {
-                    const publishDate = new Date(video.publish_time);
-                    
-                    // Validate the date and ensure day/hour are valid numbers
-                    if (!isNaN(publishDate.getTime())) {
-                        const day = publishDate.getDay(); // 0-6 (Sun-Sat)
-                        const hour = publishDate.getHours(); // 0-23
-                        
-                        // Double check that day and hour are valid indices
-                        if (day >= 0 && day <= 6 && hour >= 0 && hour <= 23) {
-                            const slot = timingData[day][hour];
-                            if (slot) {
-                                slot.count++;
-                                slot.totalViews += video.views || 0;
-                                slot.totalLikes += video.likes || 0;
-                                slot.totalComments += video.comment_count || 0;
-                                slot.videos.push({
-                                    title: video.title,
-                                    views: video.views,
-                                    country: video.country
-                                });
-                            }
-                        }
-                    }
-                }
+            // Process videos (publish day and hour come from the store, per time zone)
+            const ids = this.getRowIds(selectedCountry);
+            ids.forEach(id => {
+                const day = publish.day[id];
+                const hour = publish.hour[id];
+                if (day < 0 || hour < 0) return;
+
+                const video = store.rows[id];
+                const slot = timingData[day][hour];
+                slot.count++;
+                slot.totalViews += store.views[id];
+                slot.totalLikes += store.likes[id];
+                slot.totalComments += store.comments[id];
+                slot.videos.push({
+                    id,
+                    title: video.title,
+                    views: video.views,
+                    country: video.country
+                });
             });
             
             // Calculate overall statistics for proper success rate calculation
@@ -702,7 +2079,9 @@ class DataLoader {
                 days: daysOfWeek,
                 maxSuccess: maxSuccess,
                 selectedCountry: selectedCountry,
-                countryName: selectedCountry === 'global' ? 'Global' : this.getCountryName(selectedCountry)
+                countryName: selectedCountry === 'global' ? 'Global' : this.getCountryName(selectedCountry),
+                timeBasis: timeBasis,
+                timeZones: this.describeTimeZones(timeBasis, zones, ids)
             };
             
         } catch (error) {
@@ -711,76 +2090,91 @@ class DataLoader {
         }
     }
 
+    // Whether a normalized tag is worth charting (skips short, long and placeholder tags such as "[none]")
+    isChartableTag(tag, maxLength, rejectNoneWords) {
+        if (!tag || tag.length <= 2 || tag.length >= maxLength) return false;
+
+        const nonePatterns = DataLoader.NONE_TAG_PATTERNS;
+        if (nonePatterns.includes(tag)) return false;
+        if (tag.startsWith('[') && tag.endsWith(']')) {
+            const innerTag = tag.slice(1, -1);
+            if (nonePatterns.includes(innerTag)) return false;
+        }
+
+        // Optionally also drop tags that contain "none" as a word
+        if (rejectNoneWords && tag.includes('none') && (
+            tag === 'none' ||
+            tag.startsWith('none ') ||
+            tag.endsWith(' none') ||
+            tag.includes(' none ')
+        )) return false;
+
+        return true;
+    }
+
+    // Per-tag flags (indexed by tag code) marking chartable tags
+    getTagMask(maxLength, rejectNoneWords) {
+        const store = this.getStore();
+        return store.memo(`tagMask:${maxLength}:${rejectNoneWords}`, () =>
+            Uint8Array.from(store.tags.values, tag => this.isChartableTag(tag, maxLength, rejectNoneWords) ? 1 : 0)
+        );
+    }
+
+    // Chartable tags of a row in their original order, optionally only the first few
+    getRowTags(id, tagMask, limit = Infinity) {
+        const store = this.getStore();
+        const tags = [];
+        for (let i = store.tagOffsets[id]; i < store.tagOffsets[id + 1] && tags.length < limit; i++) {
+            const code = store.tagIds[i];
+            if (tagMask[code]) {
+                tags.push(store.tags.values[code]);
+            }
+        }
+        return tags;
+    }
+
+    // Week-of-year label ("Week N") for each trending date code
+    getWeekPeriods() {
+        const store = this.getStore();
+        return store.memo('weekPeriods', () => store.dateValues.map(trendingDate => {
+            const weekNumber = Math.floor((trendingDate.getTime() - new Date(trendingDate.getFullYear(), 0, 1).getTime()) / (7 * 24 * 60 * 60 * 1000));
+            return `Week ${weekNumber + 1}`;
+        }));
+    }
+
     // Get tag evolution timeline data
     getTagEvolutionData(filterType = 'overview') {
         try {
+            const store = this.getStore();
+            const tagMask = this.getTagMask(30, true);
             const tagTimelineData = {};
             const allDates = new Set();
+            const dateOf = this.getRowDateReader('all');
             
             // Process all videos to build tag timeline
-            Object.values(this.videoData).flat().forEach(video => {
-                if (video && video.tags && video.trending_date_parsed) {
-                    const trendingDate = video.trending_date_parsed;
-                    const dateKey = trendingDate.toISOString().split('T')[0]; // YYYY-MM-DD format
-                    allDates.add(dateKey);
-                    
-                    // Parse tags - split by | and clean quotes, filter out "none" and similar
-                    const rawTags = video.tags.split('|').map(tag => tag.replace(/"/g, '').trim().toLowerCase());
-                    const videoTags = rawTags.filter(tag => {
-                        // Filter out empty, too short/long, and "none" variations
-                        if (!tag || tag.length <= 2 || tag.length >= 30) return false;
-                        
-                        // Filter out various "none" patterns including [none] format
-                        const nonePatterns = [
-                            'none', '[none]', 'n/a', 'na', 'null', 'undefined', 
-                            'no tag', 'no tags', 'notag', 'notags',
-                            'empty', 'blank', '-', '_', '.', 
-                            '[n/a]', '[na]', '[null]', '[empty]', '[blank]'
-                        ];
-                        
-                        // Check if tag exactly matches any none pattern
-                        if (nonePatterns.includes(tag)) return false;
-                        
-                        // Check for bracketed none variations
-                        if (tag.startsWith('[') && tag.endsWith(']')) {
-                            const innerTag = tag.slice(1, -1);
-                            if (nonePatterns.includes(innerTag)) return false;
-                        }
-                        
-                        // Check if tag contains "none" as a word
-                        if (tag.includes('none') && (
-                            tag === 'none' || 
-                            tag.startsWith('none ') || 
-                            tag.endsWith(' none') || 
-                            tag.includes(' none ')
-                        )) return false;
-                        
-                        return true;
-                    }).slice(0, 8);
+            this.getRowIds('all').forEach(id => {
+                const dateCode = dateOf(id);
+                if (!store.hasTags[id] || dateCode < 0) return;
 
-                    videoTags.forEach(tag => {
-                        if (!tagTimelineData[tag]) {
-                            tagTimelineData[tag] = {};
-                        }
-                        if (!tagTimelineData[tag][dateKey]) {
-                            tagTimelineData[tag][dateKey] = {
-                                count: 0,
-                                totalViews: 0,
-                                totalLikes: 0,
-                                videos: []
-                            };
-                        }
-                        
-                        tagTimelineData[tag][dateKey].count++;
-                        tagTimelineData[tag][dateKey].totalViews += video.views || 0;
-                        tagTimelineData[tag][dateKey].totalLikes += video.likes || 0;
-                        tagTimelineData[tag][dateKey].videos.push({
-                            title: video.title,
-                            views: video.views,
-                            country: video.country
-                        });
-                    });
-                }
+                const dateKey = store.dates.values[dateCode]; // YYYY-MM-DD format
+                allDates.add(dateKey);
+
+                this.getRowTags(id, tagMask, 8).forEach(tag => {
+                    if (!tagTimelineData[tag]) {
+                        tagTimelineData[tag] = {};
+                    }
+                    if (!tagTimelineData[tag][dateKey]) {
+                        tagTimelineData[tag][dateKey] = {
+                            count: 0,
+                            totalViews: 0,
+                            totalLikes: 0
+                        };
+                    }
+                    
+                    tagTimelineData[tag][dateKey].count++;
+                    tagTimelineData[tag][dateKey].totalViews += store.views[id];
+                    tagTimelineData[tag][dateKey].totalLikes += store.likes[id];
+                });
             });
 
             // Filter for significant tags based on filterType and create timeline data
@@ -882,55 +2276,36 @@ class DataLoader {
     // Get tag racing bar data - shows tag competition over time periods
     getTagRacingData(filterType = 'overview', selectedCountry = 'global') {
         try {
+            const store = this.getStore();
+            const tagMask = this.getTagMask(30, true);
+            const weekPeriods = this.getWeekPeriods();
             const tagPeriodData = {};
             const periods = new Set();
-            
-            // Determine data source based on country selection
-            let videosToProcess;
-            if (selectedCountry === 'global') {
-                videosToProcess = Object.values(this.videoData).flat();
-            } else {
-                videosToProcess = this.videoData[selectedCountry] || [];
-            }
+            const dateOf = this.getRowDateReader(selectedCountry);
             
             // Process videos to build tag data by time periods (weekly)
-            videosToProcess.forEach(video => {
-                if (video && video.tags && video.trending_date_parsed) {
-                    const trendingDate = video.trending_date_parsed;
-                    const weekNumber = Math.floor((trendingDate.getTime() - new Date(trendingDate.getFullYear(), 0, 1).getTime()) / (7 * 24 * 60 * 60 * 1000));
-                    const periodKey = `Week ${weekNumber + 1}`;
-                    periods.add(periodKey);
-                    
-                    // Parse tags
-                    const rawTags = video.tags.split('|').map(tag => tag.replace(/"/g, '').trim().toLowerCase());
-                    const videoTags = rawTags.filter(tag => {
-                        if (!tag || tag.length <= 2 || tag.length >= 30) return false;
-                        const nonePatterns = ['none', '[none]', 'n/a', 'na', 'null', 'undefined', 'no tag', 'no tags', 'notag', 'notags', 'empty', 'blank', '-', '_', '.', '[n/a]', '[na]', '[null]', '[empty]', '[blank]'];
-                        if (nonePatterns.includes(tag)) return false;
-                        if (tag.startsWith('[') && tag.endsWith(']')) {
-                            const innerTag = tag.slice(1, -1);
-                            if (nonePatterns.includes(innerTag)) return false;
-                        }
-                        if (tag.includes('none') && (tag === 'none' || tag.startsWith('none ') || tag.endsWith(' none') || tag.includes(' none '))) return false;
-                        return true;
-                    }).slice(0, 8);
+            this.getRowIds(selectedCountry).forEach(id => {
+                const dateCode = dateOf(id);
+                if (!store.hasTags[id] || dateCode < 0) return;
 
-                    videoTags.forEach(tag => {
-                        if (!tagPeriodData[tag]) {
-                            tagPeriodData[tag] = {};
-                        }
-                        if (!tagPeriodData[tag][periodKey]) {
-                            tagPeriodData[tag][periodKey] = {
-                                count: 0,
-                                totalViews: 0,
-                                totalLikes: 0
-                            };
-                        }
-                        tagPeriodData[tag][periodKey].count++;
-                        tagPeriodData[tag][periodKey].totalViews += video.views || 0;
-                        tagPeriodData[tag][periodKey].totalLikes += video.likes || 0;
-                    });
-                }
+                const periodKey = weekPeriods[dateCode];
+                periods.add(periodKey);
+
+                this.getRowTags(id, tagMask, 8).forEach(tag => {
+                    if (!tagPeriodData[tag]) {
+                        tagPeriodData[tag] = {};
+                    }
+                    if (!tagPeriodData[tag][periodKey]) {
+                        tagPeriodData[tag][periodKey] = {
+                            count: 0,
+                            totalViews: 0,
+                            totalLikes: 0
+                        };
+                    }
+                    tagPeriodData[tag][periodKey].count++;
+                    tagPeriodData[tag][periodKey].totalViews += store.views[id];
+                    tagPeriodData[tag][periodKey].totalLikes += store.likes[id];
+                });
             });
 
             // Filter and sort periods
@@ -1020,55 +2395,80 @@ class DataLoader {
 
     // Get country display name
     getCountryName(code) {
-        const countryNames = {
-            'US': '🇺🇸 United States',
-            'CA': '🇨🇦 Canada', 
-            'GB': '🇬🇧 United Kingdom',
-            'DE': '🇩🇪 Germany',
-            'FR': '🇫🇷 France',
-            'IN': '🇮🇳 India',
-            'JP': '🇯🇵 Japan',
-            'KR': '🇰🇷 South Korea',
-            'MX': '🇲🇽 Mexico',
-            'RU': '🇷🇺 Russia'
-        };
-        return countryNames[code] || `🏳️ ${code}`;
+        const dataset = this.datasets[code];
+        return dataset ? `${dataset.flag} ${dataset.name}` : `🏳️ ${code}`;
+    }
+
+    // IANA time zone for a country from its manifest entry, or null (uploaded regions outside the manifest have none)
+    getTimeZone(code) {
+        const dataset = this.datasets[code];
+        return (dataset && dataset.timeZone) || null;
+    }
+
+    // A manifest time zone, or null when it is missing or not one Intl knows
+    normalizeTimeZone(code, timeZone) {
+        if (!timeZone) return null;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return timeZone;
+        } catch (error) {
+            console.warn(`Ignoring unknown time zone "${timeZone}" for ${code}`);
+            return null;
+        }
+    }
+
+    // Time zone per store country code for a timing basis (null means the viewer's time zone).
+    // Countries without a known zone fall back to UTC so results do not depend on the viewer.
+    getTimeZones(timeBasis) {
+        return this.getStore().countries.values.map(code => {
+            if (timeBasis === 'viewer') return null;
+            if (timeBasis === 'utc') return 'UTC';
+            return this.getTimeZone(code) || 'UTC';
+        });
+    }
+
+    // Countries among the rows with the time zone each was read in ('fallback' when its zone is unknown)
+    describeTimeZones(timeBasis, zones, ids) {
+        const store = this.getStore();
+        const seen = new Set();
+        ids.forEach(id => seen.add(store.country[id]));
+        return [...seen].sort((a, b) => a - b).map(code => {
+            const country = store.countries.values[code];
+            return {
+                country,
+                timeZone: zones[code],
+                fallback: timeBasis === 'country' && this.getTimeZone(country) === null
+            };
+        });
+    }
+
+    // Manifest entries for every known country (uploaded regions get a placeholder entry)
+    getDatasets() {
+        return this.countries.map(code => ({
+            ...(this.datasets[code] || { code, name: code, flag: '🏳️', timeZone: null, videos: null, categories: null }),
+            label: this.getCountryName(code),
+            loaded: Boolean(this.videoData[code]),
+            uploaded: Boolean(this.uploads[code])
+        }));
     }
 
     // Get tag flow data for Sankey diagram - shows tag-category relationships
     getTagFlowData(selectedCountry = 'global', filterType = 'balanced') {
         try {
-            // Determine data source based on country selection
-            let videosToProcess;
-            if (selectedCountry === 'global') {
-                videosToProcess = Object.values(this.videoData).flat();
-            } else {
-                videosToProcess = this.videoData[selectedCountry] || [];
-            }
-
+            const store = this.getStore();
+            const tagMask = this.getTagMask(25, false);
             const tagCategoryPairs = {};
             const tagStats = {};
             const categoryStats = {};
 
             // Process videos to build tag-category relationships
-            videosToProcess.forEach(video => {
-                if (video && video.tags && video.category_name) {
-                    const category = video.category_name.trim();
-                    const views = parseInt(video.views) || 0;
-                    const likes = parseInt(video.likes) || 0;
-
-                    // Parse and filter tags
-                    const rawTags = video.tags.split('|').map(tag => tag.replace(/"/g, '').trim().toLowerCase());
-                    const videoTags = rawTags.filter(tag => {
-                        if (!tag || tag.length <= 2 || tag.length >= 25) return false;
-                        const nonePatterns = ['none', '[none]', 'n/a', 'na', 'null', 'undefined', 'no tag', 'no tags', 'notag', 'notags', 'empty', 'blank', '-', '_', '.', '[n/a]', '[na]', '[null]', '[empty]', '[blank]'];
-                        if (nonePatterns.includes(tag)) return false;
-                        if (tag.startsWith('[') && tag.endsWith(']')) {
-                            const innerTag = tag.slice(1, -1);
-                            if (nonePatterns.includes(innerTag)) return false;
-                        }
-                        return true;
-                    });
+            this.getRowIds(selectedCountry).forEach(id => {
+                const categoryName = store.categories.values[store.category[id]];
+                if (store.hasTags[id] && categoryName) {
+                    const category = categoryName.trim();
+                    const views = store.views[id];
+                    const likes = store.likes[id];
+                    const videoTags = this.getRowTags(id, tagMask);
 
                     // Track tag-category relationships
                     videoTags.forEach(tag => {
@@ -1222,13 +2622,16 @@ class DataLoader {
     }
 
     // Initialize all data loading
-    async init(countriesToLoad = ['US', 'CA', 'GB', 'DE', 'FR', 'IN', 'JP', 'KR', 'MX', 'RU']) {
+    async init(countriesToLoad = null) {
         try {
+            console.log('Loading dataset manifest...');
+            await this.loadManifest();
+
             console.log('Loading categories...');
             await this.loadCategories();
             
             console.log('Loading video data...');
-            await this.loadVideoData(countriesToLoad);
+            await this.loadVideoData(countriesToLoad || this.countries);
             
             console.log('Data loading completed successfully');
             return true;
@@ -1239,3 +2642,33 @@ class DataLoader {
     }
 }
 
+// Bump whenever buildRow changes so rows cached by an older version are re-parsed
+DataLoader.ROW_FORMAT_VERSION = 3;
+
+// Counting units and flag filter modes for setQueryOptions
+DataLoader.UNITS = ['rows', 'videos'];
+DataLoader.FLAG_MODES = ['include', 'exclude', 'only'];
+
+// Bases for bucketing publish times in the timing heatmap
+DataLoader.TIME_BASES = ['country', 'utc', 'viewer'];
+
+// Columns the scatter plot sample can be stratified by
+DataLoader.SCATTER_STRATA = ['none', 'country', 'category'];
+
+// What the Data view can show: rows that count, or their totals per value of a column
+DataLoader.DATA_TABLE_SOURCES = ['rows', 'country', 'category', 'channel', 'date', 'country-category'];
+// Dates a Data view filter compares: a year, month, day or minute ("2018", "2018-01", "2018-01-31 14:05")
+DataLoader.DATE_FILTER_PATTERN = /^\d{4}(-\d{2}(-\d{2}( \d{2}(:\d{2})?)?)?)?$/;
+
+// How many top videos, tags and category leaders the channel profile lists
+DataLoader.PROFILE_TOP_VIDEOS = 10;
+DataLoader.PROFILE_TOP_TAGS = 20;
+DataLoader.PROFILE_PEERS = 5;
+
+// Placeholder values that are not real tags
+DataLoader.NONE_TAG_PATTERNS = [
+    'none', '[none]', 'n/a', 'na', 'null', 'undefined',
+    'no tag', 'no tags', 'notag', 'notags',
+    'empty', 'blank', '-', '_', '.',
+    '[n/a]', '[na]', '[null]', '[empty]', '[blank]'
+];
@@ -0,0 +1,32 @@
+// Data Worker - runs DataLoader parsing and aggregation off the main thread
+importScripts('csv-parser.js', 'row-sampler.js', 'schema.js', 'schema-adapters.js', 'search-index.js', 'column-store.js', 'filter-state.js', 'selection-state.js', 'dataset-cache.js', 'data-loader.js', 'data-client.js');
+
+const loader = new DataLoader();
+
+// Forward per-country loading progress to the page
+loader.onProgress = (progress) => {
+    self.postMessage({ type: 'progress', progress });
+};
+
+self.onmessage = async (event) => {
+    const { id, method, args = [] } = event.data;
+
+    try {
+        if (typeof loader[method] !== 'function' || !isCallable(method)) {
+            throw new Error(`Unknown data method: ${method}`);
+        }
+        const result = await loader[method](...args);
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            id,
+            error: { message: error.message, stack: error.stack }
+        });
+    }
+};
+
+// Only the DataLoader methods the client exposes may be called from the page, not its internal helpers
+function isCallable(method) {
+    return DataClient.METHODS.includes(method) || DataClient.SETUP_METHODS.includes(method);
+}
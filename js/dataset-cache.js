@@ -0,0 +1,100 @@
+// Dataset Cache Module - keeps parsed datasets in IndexedDB between page loads
+class DatasetCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'youtube-trending-cache';
+        this.storeName = 'datasets';
+        this.version = 1;
+        this.dbPromise = null;
+    }
+
+    // IndexedDB exists in windows and workers, but not everywhere (e.g. some private modes)
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Open (and create on first use) the cache database
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one request in its own transaction and resolve once the transaction completes
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Get a cached entry, or null when it is missing or the cache is unusable
+    async get(key) {
+        if (!this.isSupported()) return null;
+        try {
+            const entry = await this.run('readonly', store => store.get(key));
+            return entry || null;
+        } catch (error) {
+            console.warn(`Dataset cache read failed for ${key}:`, error);
+            return null;
+        }
+    }
+
+    // Store an entry ({ key, ... }); failures (e.g. quota) only cost the next reload
+    async put(entry) {
+        if (!this.isSupported()) return false;
+        try {
+            await this.run('readwrite', store => store.put({ ...entry, savedAt: Date.now() }));
+            return true;
+        } catch (error) {
+            console.warn(`Dataset cache write failed for ${entry.key}:`, error);
+            return false;
+        }
+    }
+
+    // Remove every cached dataset
+    async clear() {
+        try {
+            await this.run('readwrite', store => store.clear());
+            return true;
+        } catch (error) {
+            console.warn('Dataset cache clear failed:', error);
+            return false;
+        }
+    }
+
+    // Describe a file from its response headers
+    static getFileSignature(headers) {
+        return {
+            size: parseInt(headers.get('content-length'), 10) || null,
+            lastModified: headers.get('last-modified') || null,
+            etag: headers.get('etag') || null
+        };
+    }
+
+    // Two signatures match when every known field agrees; a file we know nothing about never matches
+    static isSameFile(a, b) {
+        if (!a || !b) return false;
+        if (!a.size && !a.lastModified && !a.etag) return false;
+        return a.size === b.size && a.lastModified === b.lastModified && a.etag === b.etag;
+    }
+}
@@ -0,0 +1,156 @@
+// Filter State Module - the slice of data shared by every chart, kept as plain objects so filters
+// can be posted to the data worker and saved between sessions
+class FilterState {
+    // Validated copy of a filter; empty lists and null bounds do not restrict anything
+    static normalize(filters = {}) {
+        const list = (values, transform) => {
+            if (!Array.isArray(values)) return [];
+            const cleaned = values
+                .filter(value => typeof value === 'string')
+                .map(value => transform(value.trim()))
+                .filter(Boolean);
+            return Array.from(new Set(cleaned));
+        };
+        const date = (value) => FilterState.DATE_PATTERN.test(value || '') ? value : null;
+        const bound = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            const number = Number(value);
+            return Number.isFinite(number) && number >= 0 ? number : null;
+        };
+
+        const text = (value) => {
+            const trimmed = typeof value === 'string' ? value.trim().slice(0, FilterState.SEARCH_LIMIT) : '';
+            return trimmed || null;
+        };
+
+        const normalized = {
+            search: text(filters.search),
+            countries: list(filters.countries, value => value.toUpperCase()),
+            categories: list(filters.categories, value => value),
+            channels: list(filters.channels, value => value),
+            tags: list(filters.tags, value => value.replace(/"/g, '').toLowerCase()),
+            dateFrom: date(filters.dateFrom),
+            dateTo: date(filters.dateTo),
+            minViews: bound(filters.minViews),
+            maxViews: bound(filters.maxViews),
+            minLikes: bound(filters.minLikes),
+            maxLikes: bound(filters.maxLikes)
+        };
+
+        // Reversed bounds are swapped rather than matching nothing
+        if (normalized.dateFrom && normalized.dateTo && normalized.dateFrom > normalized.dateTo) {
+            [normalized.dateFrom, normalized.dateTo] = [normalized.dateTo, normalized.dateFrom];
+        }
+        [['minViews', 'maxViews'], ['minLikes', 'maxLikes']].forEach(([min, max]) => {
+            if (normalized[min] !== null && normalized[max] !== null && normalized[min] > normalized[max]) {
+                [normalized[min], normalized[max]] = [normalized[max], normalized[min]];
+            }
+        });
+        return normalized;
+    }
+
+    // Number of restricted fields (a date or value range counts once)
+    static countActive(filters) {
+        const normalized = FilterState.normalize(filters);
+        let count = FilterState.LIST_FIELDS.filter(field => normalized[field].length > 0).length;
+        if (normalized.search) count++;
+        if (normalized.dateFrom || normalized.dateTo) count++;
+        if (normalized.minViews !== null || normalized.maxViews !== null) count++;
+        if (normalized.minLikes !== null || normalized.maxLikes !== null) count++;
+        return count;
+    }
+
+    static isEmpty(filters) {
+        return FilterState.countActive(filters) === 0;
+    }
+
+    // Row test over a ColumnStore, or null when the filter keeps every row.
+    // dateCodeOf(row) gives the trending date code a row is charted on (it differs per counting unit).
+    static createRowTest(filters, store, dateCodeOf = row => store.date[row]) {
+        const tests = [];
+
+        // Mask over a dictionary's codes for the selected values (unknown values match nothing)
+        const codeMask = (dictionary, values) => {
+            const mask = new Uint8Array(dictionary.values.length);
+            values.forEach(value => {
+                const code = dictionary.codes.get(value);
+                if (code !== undefined) mask[code] = 1;
+            });
+            return mask;
+        };
+
+        if (filters.search) {
+            // Full-text search over each video's title, channel, tags and description
+            const videos = store.getVideos();
+            const mask = store.getSearchIndex().videos.matchMask(filters.search);
+            tests.push(row => mask[videos.code[row]] === 1);
+        }
+        if (filters.countries.length > 0) {
+            const mask = codeMask(store.countries, filters.countries);
+            tests.push(row => mask[store.country[row]] === 1);
+        }
+        if (filters.categories.length > 0) {
+            const mask = codeMask(store.categories, filters.categories);
+            tests.push(row => mask[store.category[row]] === 1);
+        }
+        if (filters.channels.length > 0) {
+            const mask = codeMask(store.channels, filters.channels);
+            tests.push(row => mask[store.channel[row]] === 1);
+        }
+        if (filters.tags.length > 0) {
+            // A row matches when it carries any of the tags
+            const mask = codeMask(store.tags, filters.tags);
+            tests.push(row => {
+                for (let i = store.tagOffsets[row]; i < store.tagOffsets[row + 1]; i++) {
+                    if (mask[store.tagIds[i]] === 1) return true;
+                }
+                return false;
+            });
+        }
+        if (filters.dateFrom || filters.dateTo) {
+            // Trending dates are local midnights, so compare their local calendar day
+            const mask = new Uint8Array(store.dateValues.length);
+            store.dateValues.forEach((date, code) => {
+                const day = FilterState.formatDate(date);
+                mask[code] = (!filters.dateFrom || day >= filters.dateFrom) && (!filters.dateTo || day <= filters.dateTo) ? 1 : 0;
+            });
+            tests.push(row => {
+                const code = dateCodeOf(row);
+                return code >= 0 && mask[code] === 1;
+            });
+        }
+        [['views', 'minViews', 'maxViews'], ['likes', 'minLikes', 'maxLikes']].forEach(([column, min, max]) => {
+            const low = filters[min] === null ? -Infinity : filters[min];
+            const high = filters[max] === null ? Infinity : filters[max];
+            if (low === -Infinity && high === Infinity) return;
+            const values = store[column];
+            tests.push(row => values[row] >= low && values[row] <= high);
+        });
+
+        if (tests.length === 0) return null;
+        return row => {
+            for (let i = 0; i < tests.length; i++) {
+                if (!tests[i](row)) return false;
+            }
+            return true;
+        };
+    }
+
+    // Local calendar day as YYYY-MM-DD (the format of <input type="date">)
+    static formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Local midnight of a YYYY-MM-DD day, or null
+    static parseDate(value) {
+        if (!FilterState.DATE_PATTERN.test(value || '')) return null;
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+}
+
+FilterState.LIST_FIELDS = ['countries', 'categories', 'channels', 'tags'];
+FilterState.DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Longest search text kept
+FilterState.SEARCH_LIMIT = 200;
@@ -2,9 +2,25 @@
 class YouTubeDataVisualization {
     constructor() {
         this.currentVisualization = 'overview';
-        this.dataLoader = new DataLoader();
+        this.dataLoader = new DataClient();
+        this.dataLoader.onProgress = (progress) => this.updateLoadingProgress(progress);
         this.visualizations = new Visualizations();
         this.isDataLoaded = false;
+        // Loaded countries ({ code, name }) and categories, cached for the filter dropdowns
+        this.countryOptions = [];
+        this.categoryOptions = [];
+        // Latest request id per chart, so slow worker responses never overwrite newer ones
+        this.chartRequests = {};
+        // Dropped / browsed files waiting for a country code before loading
+        this.pendingUploads = [];
+        // Set while a state from the URL is applied, so applying it does not write the URL again
+        this.applyingUrlState = false;
+        // Named dashboard states saved in this browser
+        this.bookmarks = new BookmarkStore();
+        // Videos offered by the last chart list opened in the video drawer ({ label, videos } or null)
+        this.videoDrawerList = null;
+        this.visualizations.onZoomChange = () => this.updateUrl(true);
+        this.visualizations.onSelectionChange = (selection) => this.updateSelection(selection);
     }
 
     // Initialize the application
@@ -15,16 +31,18 @@ class YouTubeDataVisualization {
         try {
             // Load data
             console.log('Initializing data loader...');
-            const success = await this.dataLoader.init(['US', 'CA', 'GB', 'DE', 'FR', 'IN', 'JP', 'KR', 'MX', 'RU']);
+            // A shared link overrides the options saved from the last visit
+            const urlState = UrlState.parse(window.location.hash);
+            await this.dataLoader.setLoadOptions(this.getStoredLoadOptions());
+            await this.dataLoader.setQueryOptions(urlState ? this.getUrlQueryOptions(urlState) : this.getStoredQueryOptions());
+            this.syncLoadSettingsControls();
+            this.syncQueryControls();
+            const success = await this.dataLoader.init();
             
             if (success) {
                 this.isDataLoaded = true;
                 this.hideLoadingMessage();
-                
-                // Populate country dropdown
-                this.populateCountryDropdown();
-                
-                this.renderOverviewStats();
+                await this.renderDatasetOverview();
                 console.log('Application initialized successfully');
                 
                 // Enable navigation buttons
@@ -32,6 +50,12 @@ class YouTubeDataVisualization {
                 
                 // Initialize footer with overview
                 this.updateFooter('overview');
+
+                if (urlState) {
+                    await this.applyUrlState(urlState);
+                } else {
+                    this.updateUrl(true);
+                }
             } else {
                 this.showErrorMessage('Failed to load data. Please check your data files.');
             }
@@ -51,51 +75,29 @@ class YouTubeDataVisualization {
             });
         });
 
-        // Handle country filter dropdowns
-        const countryFilter = document.getElementById('country-filter');
-        if (countryFilter) {
-            countryFilter.addEventListener('change', (e) => {
-                if (this.currentVisualization === 'pie-chart') {
-                    this.updatePieChartByCountry(e.target.value);
-                }
-            });
-        }
-
-        const timelineCountryFilter = document.getElementById('timeline-country-filter');
-        if (timelineCountryFilter) {
-            timelineCountryFilter.addEventListener('change', (e) => {
-                if (this.currentVisualization === 'timeline') {
-                    this.updateTimelineByCountry(e.target.value);
-                }
+        // Count trending-day rows or unique videos in every chart
+        document.querySelectorAll('input[name="count-unit"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                if (e.target.checked) this.updateQueryOptions({ unit: e.target.value });
             });
-        }
+        });
 
-        const scatterCountryFilter = document.getElementById('scatter-country-filter');
-        if (scatterCountryFilter) {
-            scatterCountryFilter.addEventListener('change', (e) => {
-                if (this.currentVisualization === 'scatter') {
-                    this.updateScatterByCountry(e.target.value);
-                }
+        // Include, exclude or isolate flagged videos in every chart
+        document.querySelectorAll('.flag-filter select[data-flag]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.updateQueryOptions({ flags: { [e.target.dataset.flag]: e.target.value } });
             });
-        }
-
-        // Scatter range inputs listeners
-        const viewsMinEl = document.getElementById('views-min');
-        const viewsMaxEl = document.getElementById('views-max');
-        const likesMinEl = document.getElementById('likes-min');
-        const likesMaxEl = document.getElementById('likes-max');
+        });
 
-        const onScatterFilterChange = () => {
-            if (this.currentVisualization === 'scatter') {
-                const country = document.getElementById('scatter-country-filter')?.value || 'all';
-                this.updateScatterByCountry(country);
-            }
-        };
+        // Back / forward move between dashboard states recorded in the URL
+        window.addEventListener('popstate', () => {
+            const urlState = UrlState.parse(window.location.hash);
+            if (urlState && this.isDataLoaded) this.applyUrlState(urlState);
+        });
 
-        [viewsMinEl, viewsMaxEl, likesMinEl, likesMaxEl].forEach(el => {
-            if (el) {
-                el.addEventListener('change', onScatterFilterChange);
-            }
+        // Chart-specific controls (list sizes, detail levels, seeds, ...) are part of the shareable state
+        this.getChartControlElements('.visualization').forEach(control => {
+            control.addEventListener('change', () => this.updateUrl());
         });
 
         // Handle window resize
@@ -109,19 +111,43 @@ class YouTubeDataVisualization {
             }
         });
 
+        // Countries, categories, dates, channels, tags and value ranges shared by every chart
+        this.setupFilterBar();
+        this.setupSearchBox();
+
+        // Videos picked in one chart (brush, slice, cell, tile) narrow every other chart until cleared here
+        const clearSelection = document.getElementById('selection-clear');
+        if (clearSelection) {
+            clearSelection.addEventListener('click', () => this.updateSelection(null));
+        }
+
+        // Saved views: save, open, rename, delete, export and import
+        this.setupBookmarks();
+        this.setupVideoDrawer();
+
         // Setup treemap event listeners
         this.setupTreemapEventListeners();
         
-        // Setup engagement event listeners
-        this.setupEngagementEventListeners();
-        
         // Setup new chart event listeners
         this.setupTagEvolutionEventListeners();
         this.setupTagFlowEventListeners();
         this.setupPublishingTimingEventListeners();
-        this.setupCategoryEngagementListeners();
         this.setupTopVideosBubbleListeners();
+        this.setupScatterListeners();
+        this.setupResidualListeners();
+        this.setupVideoFlagsListeners();
         this.setupChannelLeaderboardListeners();
+        this.setupChannelProfileListeners();
+        this.setupDataTableListeners();
+
+        // Setup drag-and-drop / browse upload of extra datasets
+        this.setupUploadHandlers();
+
+        // Setup row budget / sampling controls
+        const applyLoadSettings = document.getElementById('apply-load-settings');
+        if (applyLoadSettings) {
+            applyLoadSettings.addEventListener('click', () => this.applyLoadSettings());
+        }
 
         // Setup heatmap filter listener
         const heatmapView = document.getElementById('heatmap-category-filter');
@@ -135,6 +161,56 @@ class YouTubeDataVisualization {
         }
     }
 
+    // Cache the loaded countries and categories used by every filter dropdown
+    async refreshDatasetInfo() {
+        const [countries, categories] = await Promise.all([
+            this.dataLoader.getAvailableCountries(),
+            this.dataLoader.getAvailableCategories()
+        ]);
+        this.countryOptions = countries.filter(country => country.code !== 'global');
+        this.categoryOptions = categories;
+        await this.dataLoader.refreshDatasets();
+        this.visualizations.setCountryNames(this.dataLoader.getCountryDisplayNames());
+    }
+
+    // Refresh dropdown options and overview panels after the loaded data changed
+    async renderDatasetOverview() {
+        await this.refreshDatasetInfo();
+        await this.renderFilterBar();
+        this.renderCountryList();
+        await this.renderOverviewStats();
+        await this.renderQualityReport();
+        await this.renderSampleNotice();
+        await this.renderParseReport();
+        await this.renderCacheStatus();
+    }
+
+    // List the regions from the dataset manifest in the overview
+    renderCountryList() {
+        const list = document.getElementById('country-list');
+        if (!list) return;
+        list.innerHTML = this.dataLoader.datasets.map(dataset => {
+            const notes = [];
+            if (dataset.uploaded) notes.push('uploaded');
+            if (!dataset.loaded) notes.push('not loaded');
+            const suffix = notes.length > 0 ? ` <em>(${notes.join(', ')})</em>` : '';
+            return `<li>${this.escapeHtml(dataset.label)} (${this.escapeHtml(dataset.code)})${suffix}</li>`;
+        }).join('');
+    }
+
+    // Codes of the countries that have data loaded
+    getLoadedCountryCodes() {
+        return this.countryOptions.map(country => country.code);
+    }
+
+    // Resolve a chart's data request, or null if a newer request for that chart was made meanwhile
+    async latestResult(chartId, request) {
+        const requestId = (this.chartRequests[chartId] || 0) + 1;
+        this.chartRequests[chartId] = requestId;
+        const result = await request;
+        return this.chartRequests[chartId] === requestId ? result : null;
+    }
+
     // Enable/disable navigation
     enableNavigation() {
         const navButtons = document.querySelectorAll('.nav-btn');
@@ -142,13 +218,6 @@ class YouTubeDataVisualization {
             button.disabled = false;
             button.style.opacity = '1';
         });
-        
-        // Populate country filter dropdowns
-        this.populateCountryFilter();
-        this.populateTimelineCountryFilter();
-        this.populateScatterCountryFilter();
-        this.populateTreemapCountryFilter();
-        this.populateEngagementFilters();
 
         // Re-render current visualization if it's the map
         if (this.currentVisualization === 'network') {
@@ -170,7 +239,7 @@ class YouTubeDataVisualization {
     }
 
     // Switch between visualizations
-    switchVisualization(vizType) {
+    async switchVisualization(vizType) {
         if (!this.isDataLoaded && vizType !== 'overview') {
             this.showErrorMessage('Data is still loading. Please wait...');
             return;
@@ -187,8 +256,27 @@ class YouTubeDataVisualization {
         const targetViz = document.getElementById(vizType);
         targetViz.classList.add('active');
 
+        // The Data view opens on the totals behind the chart it was opened from
+        if (vizType === 'data-table' && this.currentVisualization !== 'data-table' && !this.applyingUrlState) {
+            this.setDataTableSource(YouTubeDataVisualization.DATA_TABLE_SOURCES[this.currentVisualization] || 'rows');
+        }
+
         this.currentVisualization = vizType;
 
+        // A selection narrows every chart but the one it was made in, so the summaries follow the view
+        try {
+            await this.dataLoader.setQueryOptions({ view: vizType });
+        } catch (error) {
+            console.error(`Error switching to ${vizType}:`, error);
+        }
+        // Another view was picked while the worker answered
+        if (this.currentVisualization !== vizType) return;
+
+        if (this.visualizations.selection && this.isDataLoaded) {
+            this.renderFilterSummary();
+            if (vizType === 'overview') this.renderOverviewStats();
+        }
+
         // Update footer for the current chart
         this.updateFooter(vizType);
 
@@ -196,73 +284,87 @@ class YouTubeDataVisualization {
         if (vizType !== 'overview') {
             this.renderVisualization(vizType);
         }
+
+        this.updateUrl();
     }
 
     // Render specific visualization
-    renderVisualization(vizType) {
+    async renderVisualization(vizType) {
         const container = document.querySelector(`#${vizType} .chart-container`);
         if (!container) return;
 
         try {
             switch (vizType) {
-                case 'bar-chart':
-                    const viewsData = this.dataLoader.getViewsByCountry();
-                    this.visualizations.createBarChart(viewsData, container);
+                case 'bar-chart': {
+                    const viewsData = await this.latestResult(vizType, this.dataLoader.getViewsByCountry());
+                    if (viewsData) this.visualizations.createBarChart(viewsData, container);
                     break;
+                }
 
                 case 'pie-chart':
-                    const selectedCountry = document.getElementById('country-filter')?.value || 'all';
-                    const categoryData = this.dataLoader.getCategoryDistributionByCountry(selectedCountry);
-                    this.visualizations.createPieChart(categoryData, container, selectedCountry);
+                    await this.updatePieChartByCountry(this.getFilterCountry());
                     break;
 
                 case 'scatter':
-                    const selectedScatterCountry = document.getElementById('scatter-country-filter')?.value || 'all';
-                    const filters = this.getScatterFilters();
-                    const scatterData = this.dataLoader.getViewsVsLikes(300, selectedScatterCountry, filters);
-                    this.visualizations.createScatterPlot(scatterData, container, selectedScatterCountry);
+                    await this.updateScatterByCountry(this.getFilterCountry());
                     break;
 
                 case 'timeline':
-                    const selectedTimelineCountry = document.getElementById('timeline-country-filter')?.value || 'all';
-                    const timelineData = this.dataLoader.getTimelineDataByCountry(selectedTimelineCountry);
-                    this.visualizations.createTimeline(timelineData, container, selectedTimelineCountry);
+                    await this.updateTimelineByCountry(this.getFilterCountry());
                     break;
 
-                case 'heatmap':
-                    const heatmapData = this.dataLoader.getHeatmapData();
-                    this.visualizations.createHeatmap(heatmapData, container);
+                case 'residuals':
+                    await this.renderResiduals(container);
                     break;
 
+                case 'heatmap': {
+                    const heatmapData = await this.latestResult(vizType, this.dataLoader.getHeatmapData());
+                    if (heatmapData) this.visualizations.createHeatmap(heatmapData, container);
+                    break;
+                }
+
                 case 'treemap':
-                    this.renderTreemap(container);
+                    await this.renderTreemap(container);
                     break;
 
                 case 'engagement':
-                    this.renderEngagement(container);
+                    await this.renderEngagement(container);
                     break;
 
                 case 'publishing-timing':
-                    this.renderPublishingTiming(container);
+                    await this.renderPublishingTiming(container);
                     break;
 
-                            case 'tag-evolution':
-                this.renderTagEvolution(container);
-                break;
-            case 'tag-flow':
-                this.renderTagFlow(container);
-                break;
+                case 'tag-evolution':
+                    await this.renderTagEvolution(container);
+                    break;
+
+                case 'tag-flow':
+                    await this.renderTagFlow(container);
+                    break;
 
                 case 'category-engagement':
-                    this.renderCategoryEngagement(container);
+                    await this.renderCategoryEngagement(container);
                     break;
 
                 case 'top-videos-bubble':
-                    this.renderTopVideosBubble(container);
+                    await this.renderTopVideosBubble(container);
                     break;
 
                 case 'channel-leaderboard':
-                    this.renderChannelLeaderboard(container);
+                    await this.renderChannelLeaderboard(container);
+                    break;
+
+                case 'channel-profile':
+                    await this.renderChannelProfile(container);
+                    break;
+
+                case 'video-flags':
+                    await this.renderVideoFlags(container);
+                    break;
+
+                case 'data-table':
+                    await this.renderDataTable(container);
                     break;
 
                 default:
@@ -281,53 +383,19 @@ class YouTubeDataVisualization {
         }
     }
 
-    // Populate country filter dropdown
-    populateCountryFilter() {
-        const countryFilter = document.getElementById('country-filter');
-        if (!countryFilter || !this.isDataLoaded) return;
-
-        // Clear existing options except "All Countries"
-        const allOption = countryFilter.querySelector('option[value="all"]');
-        countryFilter.innerHTML = '';
-        if (allOption) {
-            allOption.textContent = '🌍 Global (All Countries)';
-            countryFilter.appendChild(allOption);
-        }
-
-        // Add country options
-        const countries = this.dataLoader.getAvailableCountriesLegacy();
-        countries.forEach(country => {
-            const option = document.createElement('option');
-            option.value = country;
-            option.textContent = this.dataLoader.getCountryName(country);
-            countryFilter.appendChild(option);
-        });
-    }
-
     // Get display name for country code
     getCountryDisplayName(countryCode) {
-        const countryNames = {
-            'CA': 'Canada',
-            'DE': 'Germany', 
-            'FR': 'France',
-            'GB': 'Great Britain',
-            'IN': 'India',
-            'JP': 'Japan',
-            'KR': 'South Korea',
-            'MX': 'Mexico',
-            'RU': 'Russia',
-            'US': 'United States'
-        };
-        return countryNames[countryCode] || countryCode;
+        return this.dataLoader.getCountryDisplayName(countryCode);
     }
 
     // Update pie chart based on selected country
-    updatePieChartByCountry(country) {
+    async updatePieChartByCountry(country) {
         const container = document.querySelector('#pie-chart .chart-container');
         if (!container) return;
 
         try {
-            const categoryData = this.dataLoader.getCategoryDistributionByCountry(country);
+            const categoryData = await this.latestResult('pie-chart', this.dataLoader.getCategoryDistributionByCountry(country));
+            if (!categoryData) return;
             this.visualizations.createPieChart(categoryData, container, country);
         } catch (error) {
             console.error(`Error updating pie chart for country ${country}:`, error);
@@ -335,36 +403,14 @@ class YouTubeDataVisualization {
         }
     }
 
-    // Populate timeline country filter dropdown
-    populateTimelineCountryFilter() {
-        const timelineCountryFilter = document.getElementById('timeline-country-filter');
-        if (!timelineCountryFilter || !this.isDataLoaded) return;
-
-        // Clear existing options except "All Countries"
-        const allOption = timelineCountryFilter.querySelector('option[value="all"]');
-        timelineCountryFilter.innerHTML = '';
-        if (allOption) {
-            allOption.textContent = '🌍 Global (All Countries)';
-            timelineCountryFilter.appendChild(allOption);
-        }
-
-        // Add country options
-        const countries = this.dataLoader.getAvailableCountriesLegacy();
-        countries.forEach(country => {
-            const option = document.createElement('option');
-            option.value = country;
-            option.textContent = this.dataLoader.getCountryName(country);
-            timelineCountryFilter.appendChild(option);
-        });
-    }
-
     // Update timeline based on selected country
-    updateTimelineByCountry(country) {
+    async updateTimelineByCountry(country) {
         const container = document.querySelector('#timeline .chart-container');
         if (!container) return;
 
         try {
-            const timelineData = this.dataLoader.getTimelineDataByCountry(country);
+            const timelineData = await this.latestResult('timeline', this.dataLoader.getTimelineDataByCountry(country));
+            if (!timelineData) return;
             this.visualizations.createTimeline(timelineData, container, country);
         } catch (error) {
             console.error(`Error updating timeline for country ${country}:`, error);
@@ -372,65 +418,948 @@ class YouTubeDataVisualization {
         }
     }
 
-    // Populate scatter country filter dropdown
-    populateScatterCountryFilter() {
-        const scatterCountryFilter = document.getElementById('scatter-country-filter');
-        if (!scatterCountryFilter || !this.isDataLoaded) return;
+    // Update scatter plot based on selected country
+    async updateScatterByCountry(country) {
+        const container = document.querySelector('#scatter .chart-container');
+        if (!container) return;
+
+        try {
+            const { sampleSize, ...sampling } = this.getScatterSampling();
+            const scatterData = await this.latestResult('scatter', this.dataLoader.getViewsVsLikes(sampleSize, country, sampling));
+            if (!scatterData) return;
+            this.visualizations.createScatterPlot(scatterData, container, country, this.getScatterDisplay());
+            this.renderScatterSampleNote(scatterData);
+        } catch (error) {
+            console.error(`Error updating scatter plot for country ${country}:`, error);
+            this.showVisualizationError(container, `Error updating visualization: ${error.message}`);
+        }
+    }
+
+    // Sample size, seed and strata chosen in the scatter plot controls ("all" plots every video)
+    getScatterSampling() {
+        const seed = parseInt(document.getElementById('scatter-seed')?.value, 10);
+        const size = document.getElementById('scatter-sample-size')?.value;
+        return {
+            sampleSize: size === 'all' ? Infinity : parseInt(size, 10) || 300,
+            seed: Number.isInteger(seed) && seed > 0 ? seed : 1,
+            stratify: document.getElementById('scatter-stratify')?.value || 'none',
+            allocation: document.getElementById('scatter-allocation')?.value || 'proportional'
+        };
+    }
+
+    // Axis scales, fit, coloring and density mode chosen in the scatter plot controls
+    getScatterDisplay() {
+        return {
+            xScale: document.getElementById('scatter-x-scale')?.value || 'linear',
+            yScale: document.getElementById('scatter-y-scale')?.value || 'linear',
+            fit: document.getElementById('scatter-fit')?.value || 'least-squares',
+            colorBy: document.getElementById('scatter-color')?.value || 'country',
+            mode: document.getElementById('scatter-mode')?.value || 'points'
+        };
+    }
+
+    // Say how many videos the sample draws from, and from which groups
+    renderScatterSampleNote(scatterData) {
+        const note = document.getElementById('scatter-sample-note');
+        if (!note) return;
+
+        const plotted = scatterData.points.ids.length;
+        const parts = [
+            `${plotted.toLocaleString()} of ${scatterData.candidates.toLocaleString()} videos with views and likes`,
+            `seed ${scatterData.seed}`
+        ];
+        if (scatterData.strata.length > 0) {
+            const groups = scatterData.strata
+                .map(stratum => {
+                    const name = scatterData.stratify === 'country' ? this.getCountryDisplayName(stratum.key) : stratum.key;
+                    return `${name} ${stratum.sampled}/${stratum.available.toLocaleString()}`;
+                })
+                .join(', ');
+            parts.push(`${scatterData.allocation === 'equal' ? 'equal' : 'proportional'} shares: ${groups}`);
+        }
+        if (plotted > Visualizations.CANVAS_POINT_THRESHOLD) {
+            parts.push('drawn on canvas');
+        }
+        note.textContent = `${plotted === scatterData.candidates ? 'All videos' : 'Sample'}: ${parts.join(' • ')}`;
+    }
+
+    // Read row budget / sampling options saved from a previous session
+    getStoredLoadOptions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('loadOptions') || '{}');
+            return {
+                rowBudget: Number.isFinite(stored.rowBudget) ? stored.rowBudget : Infinity,
+                sampling: stored.sampling || 'head'
+            };
+        } catch (error) {
+            console.warn('Could not read stored load options:', error);
+            return { rowBudget: Infinity, sampling: 'head' };
+        }
+    }
+
+    // Reflect the active load options in the overview controls
+    syncLoadSettingsControls() {
+        const budgetSelect = document.getElementById('row-budget');
+        const samplingSelect = document.getElementById('sampling-strategy');
+        const options = this.dataLoader.loadOptions;
 
-        // Clear existing options except "All Countries"
-        const allOption = scatterCountryFilter.querySelector('option[value="all"]');
-        scatterCountryFilter.innerHTML = '';
-        if (allOption) {
-            allOption.textContent = '🌍 Global (All Countries)';
-            scatterCountryFilter.appendChild(allOption);
+        if (budgetSelect) {
+            budgetSelect.value = Number.isFinite(options.rowBudget) ? String(options.rowBudget) : 'all';
         }
+        if (samplingSelect) {
+            samplingSelect.value = options.sampling;
+        }
+    }
 
-        // Add country options
-        const countries = this.dataLoader.getAvailableCountriesLegacy();
-        countries.forEach(country => {
-            const option = document.createElement('option');
-            option.value = country;
-            option.textContent = this.dataLoader.getCountryName(country);
-            scatterCountryFilter.appendChild(option);
+    // Read the counting unit, flag filter and filters saved from a previous session
+    getStoredQueryOptions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('queryOptions') || '{}');
+            return {
+                unit: stored.unit === 'videos' ? 'videos' : 'rows',
+                flags: stored.flags && typeof stored.flags === 'object' ? stored.flags : {},
+                filters: stored.filters && typeof stored.filters === 'object' ? stored.filters : {}
+            };
+        } catch (error) {
+            console.warn('Could not read stored query options:', error);
+            return { unit: 'rows', flags: {}, filters: {} };
+        }
+    }
+
+    // Reflect the active query options in the header controls
+    syncQueryControls() {
+        const { unit, flags } = this.dataLoader.queryOptions;
+        document.querySelectorAll('input[name="count-unit"]').forEach(input => {
+            input.checked = input.value === unit;
         });
+        document.querySelectorAll('.flag-filter select[data-flag]').forEach(select => {
+            select.value = flags[select.dataset.flag] || 'include';
+        });
+        this.syncFilterBar();
     }
 
-    // Update scatter plot based on selected country
-    updateScatterByCountry(country) {
-        const container = document.querySelector('#scatter .chart-container');
-        if (!container) return;
+    // Change how every chart counts (unit, flag filter, filters), then redraw what is on screen
+    async updateQueryOptions(options) {
+        await this.dataLoader.setQueryOptions(options);
+        localStorage.setItem('queryOptions', JSON.stringify(this.dataLoader.queryOptions));
+        if (!this.isDataLoaded) return;
+
+        this.updateUrl();
+        await this.renderFilterSummary();
+        await this.renderSelectionBar();
+        await this.renderOverviewStats();
+        await this.renderQualityReport();
+        if (this.currentVisualization !== 'overview') {
+            this.renderVisualization(this.currentVisualization);
+        }
+    }
+
+    // Share videos picked in one chart with every other chart (null clears the selection)
+    async updateSelection(selection) {
+        const options = await this.dataLoader.setQueryOptions({ selection });
+        this.visualizations.selection = options.selection;
+        if (!this.isDataLoaded) return;
+
+        await this.renderSelectionBar();
+        await this.renderFilterSummary();
+        await this.renderOverviewStats();
+        // The chart on screen redraws its highlight (or, when it is not the source, its narrowed data)
+        if (this.currentVisualization !== 'overview') {
+            this.renderVisualization(this.currentVisualization);
+        }
+    }
+
+    // Describe the selection, the chart it came from and how much of the filtered data it keeps
+    async renderSelectionBar() {
+        const bar = document.getElementById('selection-bar');
+        if (!bar) return;
+        const selection = this.visualizations.selection;
+        bar.hidden = !selection;
+        if (!selection) return;
+
+        const summary = await this.latestResult('selection-bar', this.dataLoader.getSelectionSummary());
+        if (!summary) return;
+        const unitLabel = summary.unit === 'videos' ? 'unique videos' : 'trending rows';
+        document.getElementById('selection-summary').innerHTML = `
+            <strong>${this.escapeHtml(summary.label)}</strong> in ${this.escapeHtml(this.getViewLabel(summary.source))}
+            • ${summary.count.toLocaleString()} ${unitLabel} shown in the other charts
+        `;
+    }
+
+    // Country argument for getters: the single selected country, otherwise globalValue (the filter
+    // itself restricts the rows when several countries are selected)
+    getFilterCountry(globalValue = 'all') {
+        const countries = this.dataLoader.queryOptions.filters.countries;
+        return countries.length === 1 ? countries[0] : globalValue;
+    }
+
+    // Replace some filter fields and redraw every view with the new slice
+    async updateFilters(changes) {
+        const filters = { ...this.dataLoader.queryOptions.filters, ...changes };
+        await this.updateQueryOptions({ filters });
+        this.syncFilterBar();
+    }
+
+    // Wire the filter bar controls to the shared filter
+    setupFilterBar() {
+        const bar = document.getElementById('filter-bar');
+        if (!bar) return;
+
+        // Multi-selects (countries, categories)
+        bar.querySelectorAll('select[data-filter]').forEach(select => {
+            select.addEventListener('change', () => {
+                const values = Array.from(select.selectedOptions).map(option => option.value);
+                this.updateFilters({ [select.dataset.filter]: values });
+            });
+        });
+
+        // Date and number inputs; an empty input clears that bound
+        bar.querySelectorAll('input[data-filter]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateFilters({ [input.dataset.filter]: input.value === '' ? null : input.value });
+            });
+        });
+
+        // Channel / tag inputs add a chip on Enter or when a suggestion is picked
+        bar.querySelectorAll('input[data-filter-add]').forEach(input => {
+            const add = () => {
+                const value = input.value.trim();
+                if (!value) return;
+                const field = input.dataset.filterAdd;
+                input.value = '';
+                this.updateFilters({ [field]: [...this.dataLoader.queryOptions.filters[field], value] });
+            };
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    add();
+                }
+            });
+            input.addEventListener('change', add);
+        });
+
+        // Chip remove buttons and the clear button
+        bar.addEventListener('click', (e) => {
+            const chipButton = e.target.closest('button[data-remove]');
+            if (chipButton) {
+                const field = chipButton.dataset.filter;
+                const remaining = this.dataLoader.queryOptions.filters[field].filter(value => value !== chipButton.dataset.remove);
+                this.updateFilters({ [field]: remaining });
+            } else if (e.target.id === 'filter-clear') {
+                this.updateFilters(FilterState.normalize());
+            }
+        });
+    }
+
+    // Search box: suggestions while typing (a video opens its details, a channel its profile);
+    // Enter, or the first suggestion, filters every chart by the text and emptying the box removes that filter
+    setupSearchBox() {
+        const input = document.getElementById('filter-search');
+        const list = document.getElementById('search-suggestions');
+        if (!input || !list) return;
+        let timer = null;
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            if (input.value.trim() === '') {
+                this.hideSearchSuggestions();
+                if (this.dataLoader.queryOptions.filters.search) this.updateFilters({ search: null });
+                return;
+            }
+            timer = setTimeout(() => this.renderSearchSuggestions(input.value), 150);
+        });
+        input.addEventListener('keydown', (e) => {
+            const options = Array.from(list.querySelectorAll('[role="option"]'));
+            const current = options.findIndex(option => option.classList.contains('active'));
+            if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !list.hidden && options.length > 0) {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.highlightSearchOption(options, current < 0 && step < 0 ? options.length - 1 : (current + step + options.length) % options.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(timer);
+                if (!list.hidden && current >= 0) {
+                    this.pickSearchOption(options[current]);
+                } else {
+                    this.hideSearchSuggestions();
+                    this.updateFilters({ search: input.value });
+                }
+            } else if (e.key === 'Escape' && !list.hidden) {
+                e.stopPropagation();
+                this.hideSearchSuggestions();
+            }
+        });
+        // Leaving the box drops unapplied text, so it always shows the active search
+        input.addEventListener('blur', () => {
+            clearTimeout(timer);
+            this.hideSearchSuggestions();
+            input.value = this.dataLoader.queryOptions.filters.search || '';
+        });
+
+        // Keep the focus in the box while a suggestion is clicked
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.pickSearchOption(option);
+        });
+    }
+
+    // Suggestions for the search box's text: filtering by it, then matching channels and videos
+    async renderSearchSuggestions(query) {
+        const input = document.getElementById('filter-search');
+        const list = document.getElementById('search-suggestions');
+        const text = query.trim();
+        if (!list || !text || !this.isDataLoaded) return;
+
+        // The first search builds the index, which takes a moment on large datasets
+        if (list.hidden) this.showSearchSuggestions('<li class="search-status">Searching…</li>');
+        try {
+            const results = await this.latestResult('search', this.dataLoader.search(text, 6));
+            if (!results || input.value.trim() !== text) return;
+
+            const option = (kind, value, label, detail) => `
+                <li role="option" data-kind="${kind}" data-value="${this.escapeHtml(value)}">
+                    <span>${label}</span>
+                    ${detail ? `<small>${detail}</small>` : ''}
+                </li>
+            `;
+            this.showSearchSuggestions(`
+                ${option('filter', text, `Filter every chart by “${this.escapeHtml(text)}”`, '')}
+                ${results.channels.length > 0 ? '<li class="search-group" role="presentation">Channels</li>' : ''}
+                ${results.channels.map(channel => option('channel', channel.name, this.escapeHtml(channel.name),
+                    `${channel.rows.toLocaleString()} trending rows • ${d3.format('.3s')(channel.totalViews)} views`)).join('')}
+                ${results.videos.length > 0 ? '<li class="search-group" role="presentation">Videos</li>' : ''}
+                ${results.videos.map(video => option('video', video.row, this.escapeHtml(video.title),
+                    `${this.escapeHtml(video.channel)} • ${this.escapeHtml(this.getCountryDisplayName(video.country))} • ${d3.format('.3s')(video.views)} views`)).join('')}
+                ${results.channels.length + results.videos.length === 0 ? '<li class="search-status">No matching channels or videos</li>' : ''}
+            `);
+        } catch (error) {
+            console.error('Error searching:', error);
+            this.showSearchSuggestions(`<li class="search-status error">Search failed: ${this.escapeHtml(error.message)}</li>`);
+        }
+    }
+
+    showSearchSuggestions(html) {
+        const input = document.getElementById('filter-search');
+        const list = document.getElementById('search-suggestions');
+        list.innerHTML = html;
+        list.querySelectorAll('[role="option"]').forEach((option, i) => {
+            option.id = `search-option-${i}`;
+        });
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    hideSearchSuggestions() {
+        const input = document.getElementById('filter-search');
+        const list = document.getElementById('search-suggestions');
+        if (!input || !list) return;
+        // A pending search must not reopen the list
+        this.chartRequests.search = (this.chartRequests.search || 0) + 1;
+        list.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    highlightSearchOption(options, index) {
+        options.forEach((option, i) => option.classList.toggle('active', i === index));
+        options[index].scrollIntoView({ block: 'nearest' });
+        document.getElementById('filter-search').setAttribute('aria-activedescendant', options[index].id);
+    }
+
+    pickSearchOption(option) {
+        const input = document.getElementById('filter-search');
+        this.hideSearchSuggestions();
+        if (option.dataset.kind === 'filter') {
+            this.updateFilters({ search: option.dataset.value });
+            return;
+        }
+        input.value = this.dataLoader.queryOptions.filters.search || '';
+        input.blur();
+        if (option.dataset.kind === 'video') {
+            this.openVideoDrawer(Number(option.dataset.value));
+        } else {
+            this.openChannelProfile(option.dataset.value);
+        }
+    }
+
+    // Fill the filter bar's options from the loaded data, then show the active filter
+    async renderFilterBar() {
+        const fillOptions = (element, options) => {
+            if (!element) return;
+            element.innerHTML = options.map(option =>
+                `<option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</option>`
+            ).join('');
+        };
+
+        fillOptions(document.getElementById('filter-countries'),
+            this.countryOptions.map(country => ({ value: country.code, label: country.name })));
+        fillOptions(document.getElementById('filter-categories'),
+            this.categoryOptions.map(category => ({ value: category, label: category })));
+
+        const suggestions = await this.dataLoader.getFilterSuggestions();
+        fillOptions(document.getElementById('filter-channel-options'),
+            suggestions.channels.map(channel => ({ value: channel, label: channel })));
+        fillOptions(document.getElementById('filter-tag-options'),
+            suggestions.tags.map(tag => ({ value: tag, label: tag })));
+
+        this.syncFilterBar();
+        await this.renderFilterSummary();
+    }
+
+    // Reflect the active filter in the filter bar controls
+    syncFilterBar() {
+        const bar = document.getElementById('filter-bar');
+        if (!bar) return;
+        const filters = this.dataLoader.queryOptions.filters;
+
+        const search = document.getElementById('filter-search');
+        if (search) search.value = filters.search || '';
+        bar.querySelectorAll('select[data-filter]').forEach(select => {
+            const selected = filters[select.dataset.filter];
+            Array.from(select.options).forEach(option => {
+                option.selected = selected.includes(option.value);
+            });
+        });
+        bar.querySelectorAll('input[data-filter]').forEach(input => {
+            const value = filters[input.dataset.filter];
+            input.value = value === null ? '' : value;
+        });
+        bar.querySelectorAll('.filter-chips[data-filter]').forEach(container => {
+            const field = container.dataset.filter;
+            container.innerHTML = filters[field].map(value => `
+                <span class="filter-chip">${this.escapeHtml(value)}<button type="button" data-filter="${field}" data-remove="${this.escapeHtml(value)}" aria-label="Remove ${this.escapeHtml(value)}">×</button></span>
+            `).join('');
+        });
+    }
+
+    // How many filters are active and how much data they leave
+    async renderFilterSummary() {
+        const summary = document.getElementById('filter-summary');
+        if (!summary) return;
+
+        const stats = await this.latestResult('filter-summary', this.dataLoader.getSummaryStats());
+        if (!stats) return;
+        const active = FilterState.countActive(this.dataLoader.queryOptions.filters);
+        const unitLabel = stats.unit === 'videos' ? 'unique videos' : 'trending rows';
+        const matching = `${stats.totalVideos.toLocaleString()} ${unitLabel}`;
+        summary.textContent = active > 0
+            ? `${active} active • ${matching} match`
+            : `No filters • ${matching}`;
+        summary.classList.toggle('active', active > 0);
+
+        const clearButton = document.getElementById('filter-clear');
+        if (clearButton) clearButton.disabled = active === 0;
+    }
+
+    // Current view, counting options, filters, chart controls and zoom, as stored in the URL
+    getUrlState() {
+        const view = this.currentVisualization;
+        const { unit, flags, filters } = this.dataLoader.queryOptions;
+        return {
+            view,
+            unit,
+            flags,
+            filters,
+            controls: this.getChartControls(view),
+            zoom: this.visualizations.zoomStates[view] || null
+        };
+    }
+
+    getUrlQueryOptions(urlState) {
+        return { unit: urlState.unit, flags: urlState.flags, filters: urlState.filters };
+    }
+
+    // Mirror the dashboard state in the URL hash. View, filter and control changes add a history
+    // entry (so back / forward step through them); zooming replaces the current one.
+    updateUrl(replace = false) {
+        if (this.applyingUrlState || !this.isDataLoaded) return;
+        const hash = UrlState.stringify(this.getUrlState());
+        if (hash === window.location.hash) return;
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    // Restore a state read from the URL (a shared link, or back / forward)
+    async applyUrlState(urlState) {
+        const view = document.querySelector(`.nav-btn[data-viz="${urlState.view}"]`) ? urlState.view : 'overview';
+        this.applyingUrlState = true;
+        try {
+            // Links do not carry a selection, so a restored view starts without one
+            await this.dataLoader.setQueryOptions({ ...this.getUrlQueryOptions(urlState), selection: null });
+            localStorage.setItem('queryOptions', JSON.stringify(this.dataLoader.queryOptions));
+            this.visualizations.selection = null;
+            await this.renderSelectionBar();
+            this.syncQueryControls();
+            this.setChartControls(view, urlState.controls);
+            this.visualizations.zoomStates[view] = urlState.zoom;
+
+            await this.renderFilterSummary();
+            await this.renderOverviewStats();
+            await this.renderQualityReport();
+            await this.switchVisualization(view);
+        } finally {
+            this.applyingUrlState = false;
+        }
+    }
+
+    // Chart controls of a view that differ from their defaults, by element id
+    getChartControls(view) {
+        const controls = {};
+        this.getChartControlElements(`#${view}`).forEach(control => {
+            if (control.tagName === 'SELECT') {
+                if (control.selectedIndex !== this.getDefaultOptionIndex(control)) {
+                    controls[control.id] = control.value;
+                }
+            } else if (control.value !== control.defaultValue) {
+                controls[control.id] = control.value;
+            }
+        });
+        return controls;
+    }
+
+    // Set a view's chart controls; controls missing from the state (or with unknown values) go back to their defaults
+    setChartControls(view, controls = {}) {
+        this.getChartControlElements(`#${view}`).forEach(control => {
+            if (control.tagName === 'SELECT') {
+                const known = Array.from(control.options).some(option => option.value === controls[control.id]);
+                if (known) {
+                    control.value = controls[control.id];
+                } else {
+                    control.selectedIndex = this.getDefaultOptionIndex(control);
+                }
+            } else {
+                control.value = controls[control.id] !== undefined ? controls[control.id] : control.defaultValue;
+            }
+        });
+    }
+
+    // Selects and inputs with an id in the chart controls under a scope (load settings are not chart state)
+    getChartControlElements(scope) {
+        const controls = `${scope} .filter-controls:not(.load-settings)`;
+        return document.querySelectorAll(`${controls} select[id], ${controls} input[id]`);
+    }
+
+    // Index of the option marked selected in the markup (the first option when none is)
+    getDefaultOptionIndex(select) {
+        const index = Array.from(select.options).findIndex(option => option.defaultSelected);
+        return index >= 0 ? index : 0;
+    }
+
+    // Wire the bookmarks panel
+    setupBookmarks() {
+        const panel = document.getElementById('bookmarks-panel');
+        if (!panel) return;
+
+        const nameInput = document.getElementById('bookmark-name');
+        document.getElementById('bookmark-save').addEventListener('click', () => this.saveBookmark());
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveBookmark();
+            }
+        });
+
+        const fileInput = document.getElementById('bookmark-file');
+        document.getElementById('bookmark-export').addEventListener('click', () => this.exportBookmarks());
+        document.getElementById('bookmark-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) this.importBookmarks(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        // Open / delete buttons and inline renaming in the list
+        const list = document.getElementById('bookmark-list');
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('.bookmark-item').dataset.id;
+            if (button.dataset.action === 'open') {
+                this.openBookmark(id);
+            } else if (button.dataset.action === 'delete') {
+                this.bookmarks.remove(id);
+                this.renderBookmarks();
+            }
+        });
+        list.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('bookmark-name')) return;
+            this.bookmarks.rename(e.target.closest('.bookmark-item').dataset.id, e.target.value);
+            this.renderBookmarks();
+        });
+        list.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('bookmark-name')) e.target.blur();
+        });
+
+        this.renderBookmarks();
+    }
+
+    // List saved views with the chart and filter count each one restores
+    renderBookmarks() {
+        const list = document.getElementById('bookmark-list');
+        if (!list) return;
+
+        const bookmarks = this.bookmarks.list();
+        const count = document.getElementById('bookmark-count');
+        if (count) count.textContent = bookmarks.length > 0 ? `${bookmarks.length} saved` : 'None saved';
+        document.getElementById('bookmark-export').disabled = bookmarks.length === 0;
+
+        if (bookmarks.length === 0) {
+            list.innerHTML = '<li class="bookmark-empty">No saved views yet. Set up a chart and its filters, then save it here.</li>';
+            return;
+        }
+        list.innerHTML = bookmarks.map(bookmark => {
+            const state = UrlState.parse(bookmark.hash);
+            const filters = FilterState.countActive(state.filters);
+            const details = [
+                this.getViewLabel(state.view),
+                filters > 0 ? `${filters} filter${filters === 1 ? '' : 's'}` : 'no filters',
+                new Date(bookmark.savedAt).toLocaleDateString()
+            ];
+            return `
+                <li class="bookmark-item" data-id="${this.escapeHtml(bookmark.id)}">
+                    <input type="text" class="bookmark-name" value="${this.escapeHtml(bookmark.name)}" maxlength="${BookmarkStore.NAME_LIMIT}" aria-label="Rename bookmark">
+                    <span class="bookmark-meta">${this.escapeHtml(details.join(' • '))}</span>
+                    <button type="button" class="control-btn" data-action="open">Open</button>
+                    <button type="button" class="bookmark-delete" data-action="delete" aria-label="Delete ${this.escapeHtml(bookmark.name)}">×</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Navigation label of a view, without its icon
+    getViewLabel(view) {
+        const button = document.querySelector(`.nav-btn[data-viz="${view}"]`);
+        return button ? button.textContent.replace(/^[^\p{L}\p{N}]+/u, '').trim() : view;
+    }
+
+    // Save the current view under the typed name, or a name made from the view and its countries
+    saveBookmark() {
+        if (!this.isDataLoaded) {
+            this.setBookmarkStatus('Wait for the data to load before saving a view.');
+            return;
+        }
+        const nameInput = document.getElementById('bookmark-name');
+        const countries = this.dataLoader.queryOptions.filters.countries;
+        const name = nameInput.value.trim() ||
+            [this.getViewLabel(this.currentVisualization), ...countries.slice(0, 3)].join(' – ');
+
+        const bookmark = this.bookmarks.add(name, UrlState.stringify(this.getUrlState()));
+        nameInput.value = '';
+        this.renderBookmarks();
+        this.setBookmarkStatus(`Saved "${bookmark.name}".`);
+    }
+
+    // Restore a saved view and add it to the browser history, like following a shared link
+    async openBookmark(id) {
+        const bookmark = this.bookmarks.get(id);
+        if (!bookmark) return;
+        if (!this.isDataLoaded) {
+            this.setBookmarkStatus('Wait for the data to load before opening a view.');
+            return;
+        }
+        await this.applyUrlState(UrlState.parse(bookmark.hash));
+        this.updateUrl();
+        this.setBookmarkStatus(`Opened "${bookmark.name}".`);
+    }
+
+    // Download every bookmark as a JSON file teammates can import
+    exportBookmarks() {
+        const blob = new Blob([JSON.stringify(this.bookmarks.export(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = `dashboard_bookmarks_${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+        URL.revokeObjectURL(url);
+    }
+
+    // Add the bookmarks from an exported JSON file
+    async importBookmarks(file) {
+        try {
+            const result = this.bookmarks.import(JSON.parse(await file.text()));
+            const notes = [];
+            if (result.duplicates > 0) notes.push(`${result.duplicates} already saved`);
+            if (result.invalid > 0) notes.push(`${result.invalid} invalid`);
+            this.renderBookmarks();
+            this.setBookmarkStatus(`Imported ${result.added} view${result.added === 1 ? '' : 's'}` +
+                (notes.length > 0 ? ` (${notes.join(', ')} skipped).` : '.'));
+        } catch (error) {
+            console.error(`Error importing bookmarks from ${file.name}:`, error);
+            this.setBookmarkStatus(`Could not import ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    setBookmarkStatus(message, isError = false) {
+        const status = document.getElementById('bookmark-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    // Wire the video detail drawer (opened by clicking a video in a chart)
+    setupVideoDrawer() {
+        const drawer = document.getElementById('video-drawer');
+        if (!drawer) return;
+
+        this.visualizations.onVideoOpen = (id) => this.openVideoDrawer(id);
+        this.visualizations.onVideoListOpen = (label, videos) => {
+            this.videoDrawerList = { label, videos };
+            this.renderVideoList();
+        };
+        document.getElementById('video-drawer-close').addEventListener('click', () => this.closeVideoDrawer());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !drawer.hidden) this.closeVideoDrawer();
+        });
+        document.getElementById('video-drawer-content').addEventListener('click', (e) => {
+            const videoButton = e.target.closest('[data-video-row]');
+            const channelButton = e.target.closest('[data-channel]');
+            if (videoButton) {
+                this.openVideoDrawer(Number(videoButton.dataset.videoRow), true);
+            } else if (channelButton) {
+                this.openChannelProfile(channelButton.dataset.channel);
+            } else if (e.target.closest('[data-drawer-back]')) {
+                this.renderVideoList();
+            }
+        });
+    }
+
+    showVideoDrawer(html) {
+        const drawer = document.getElementById('video-drawer');
+        const content = document.getElementById('video-drawer-content');
+        if (!drawer || !content) return null;
+        content.innerHTML = html;
+        content.scrollTop = 0;
+        drawer.hidden = false;
+        return content;
+    }
+
+    closeVideoDrawer() {
+        const drawer = document.getElementById('video-drawer');
+        if (drawer) drawer.hidden = true;
+        // Outdated requests must not reopen it
+        this.chartRequests['video-drawer'] = (this.chartRequests['video-drawer'] || 0) + 1;
+    }
+
+    // The videos of the last list a chart offered (e.g. a publishing heatmap cell), most viewed first
+    renderVideoList() {
+        if (!this.videoDrawerList) return;
+        const { label, videos } = this.videoDrawerList;
+        const listed = videos.slice().sort((a, b) => b.views - a.views).slice(0, 25);
+        this.showVideoDrawer(`
+            <h3>${this.escapeHtml(label)}</h3>
+            <p class="video-drawer-meta">${videos.length.toLocaleString()} videos${videos.length > listed.length ? `; the ${listed.length} most viewed are listed` : ''}. Pick one for its details.</p>
+            <ol class="video-drawer-list">
+                ${listed.map(video => `
+                    <li>
+                        <button type="button" data-video-row="${video.id}">
+                            <span>${this.escapeHtml(video.title)}</span>
+                            <small>${this.escapeHtml(this.getCountryDisplayName(video.country))} • ${video.views.toLocaleString()} views</small>
+                        </button>
+                    </li>
+                `).join('')}
+            </ol>
+        `);
+    }
+
+    // Everything about the video a row belongs to: metadata, flags and its trending history
+    async openVideoDrawer(id, fromList = false) {
+        if (!fromList) this.videoDrawerList = null;
+        this.showVideoDrawer('<p class="video-drawer-meta">Loading video…</p>');
+        try {
+            // Wrapped so a stale request (null) is told apart from a video that was not found
+            const result = await this.latestResult('video-drawer', this.dataLoader.getVideoDetail(id).then(detail => ({ detail })));
+            if (!result) return;
+            if (!result.detail) {
+                this.showVideoDrawer(`
+                    ${this.videoDrawerList ? '<button type="button" class="video-drawer-back" data-drawer-back>← Back to list</button>' : ''}
+                    <p class="video-drawer-meta error">Video not found. It may have gone when the data was reloaded.</p>
+                `);
+                return;
+            }
+            this.renderVideoDetail(result.detail);
+        } catch (error) {
+            console.error('Error loading video details:', error);
+            this.showVideoDrawer(`<p class="video-drawer-meta error">Could not load the video: ${this.escapeHtml(error.message)}</p>`);
+        }
+    }
+
+    renderVideoDetail(detail) {
+        const number = (value) => value === null ? '—' : value.toLocaleString();
+        const flags = [
+            detail.commentsDisabled && 'Comments disabled',
+            detail.ratingsDisabled && 'Ratings disabled',
+            detail.errorOrRemoved && 'Error or removed'
+        ].filter(Boolean);
+        const hasDislikes = detail.history.some(entry => entry.dislikes !== null);
+        const metrics = [
+            { key: 'views', label: 'Views' },
+            { key: 'likes', label: 'Likes' },
+            { key: 'comments', label: 'Comments' },
+            ...(hasDislikes ? [{ key: 'dislikes', label: 'Dislikes' }] : [])
+        ];
+        const color = d3.scaleOrdinal(d3.schemeCategory10).domain(detail.countries);
+
+        const content = this.showVideoDrawer(`
+            ${this.videoDrawerList ? '<button type="button" class="video-drawer-back" data-drawer-back>← Back to list</button>' : ''}
+            ${detail.thumbnail ? `<img class="video-drawer-thumbnail" src="${this.escapeHtml(detail.thumbnail)}" alt="">` : ''}
+            <h3>${this.escapeHtml(detail.title)}</h3>
+            <p class="video-drawer-meta">
+                <button type="button" class="video-drawer-channel" data-channel="${this.escapeHtml(detail.channel)}" title="Open the channel's profile">${this.escapeHtml(detail.channel)}</button>
+                • ${this.escapeHtml(detail.category || 'Unknown category')}<br>
+                Published ${detail.publishTime === null ? 'at an unknown time' : new Date(detail.publishTime).toLocaleString()}
+                • <code>${this.escapeHtml(detail.videoId)}</code>
+            </p>
+            <ul class="video-drawer-flags">
+                ${flags.length > 0
+                    ? flags.map(flag => `<li class="flagged">${flag}</li>`).join('')
+                    : '<li>No flags</li>'}
+            </ul>
+            <dl class="video-drawer-facts">
+                <dt>Trending</dt>
+                <dd>${detail.firstTrendingDate || '—'} to ${detail.lastTrendingDate || '—'} (${detail.daysTrending} days, ${detail.trendingRows} rows)</dd>
+                <dt>Countries</dt>
+                <dd>${detail.countries.map(code => this.escapeHtml(this.getCountryDisplayName(code))).join(', ')}</dd>
+                <dt>Final</dt>
+                <dd>${number(detail.finalViews)} views • ${number(detail.finalLikes)} likes • ${number(detail.finalComments)} comments</dd>
+                <dt>Peak</dt>
+                <dd>${number(detail.peakViews)} views • ${number(detail.peakLikes)} likes • ${number(detail.peakComments)} comments</dd>
+            </dl>
+            <h4>Trending History</h4>
+            <ul class="video-drawer-legend">
+                ${detail.countries.map(code => `<li><span style="background:${color(code)}"></span>${this.escapeHtml(this.getCountryDisplayName(code))}</li>`).join('')}
+            </ul>
+            <div class="video-drawer-sparklines">
+                ${metrics.map(metric => `
+                    <div class="sparkline-row">
+                        <span class="sparkline-label">${metric.label}</span>
+                        <div class="sparkline" data-metric="${metric.key}"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <details>
+                <summary>Daily values (${detail.history.length})</summary>
+                <table class="video-drawer-history">
+                    <thead><tr><th>Date</th><th>Country</th><th>Views</th><th>Likes</th>${hasDislikes ? '<th>Dislikes</th>' : ''}<th>Comments</th></tr></thead>
+                    <tbody>
+                        ${detail.history.map(entry => `
+                            <tr>
+                                <td>${entry.date || '—'}</td>
+                                <td>${this.escapeHtml(entry.country)}</td>
+                                <td>${number(entry.views)}</td>
+                                <td>${number(entry.likes)}</td>
+                                ${hasDislikes ? `<td>${number(entry.dislikes)}</td>` : ''}
+                                <td>${number(entry.comments)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+            <h4>Tags</h4>
+            <ul class="video-drawer-tags">
+                ${detail.tags.length > 0 ? detail.tags.map(tag => `<li>${this.escapeHtml(tag)}</li>`).join('') : '<li>No tags</li>'}
+            </ul>
+            <h4>Description</h4>
+            <p class="video-drawer-description">${detail.description ? this.escapeHtml(detail.description) : 'No description'}</p>
+        `);
+        if (!content) return;
+
+        // One sparkline per metric, one line per country
+        const dated = detail.history.filter(entry => entry.time !== null);
+        metrics.forEach(metric => {
+            const series = d3.groups(dated.filter(entry => entry[metric.key] !== null), entry => entry.country)
+                .map(([country, entries]) => ({
+                    key: country,
+                    color: color(country),
+                    values: entries.map(entry => ({ time: entry.time, value: entry[metric.key] }))
+                }));
+            this.visualizations.createSparkline(content.querySelector(`.sparkline[data-metric="${metric.key}"]`), series);
+        });
+    }
+
+    // Save the chosen load options and reload every dataset with them
+    async applyLoadSettings() {
+        const budgetValue = document.getElementById('row-budget')?.value || 'all';
+        const sampling = document.getElementById('sampling-strategy')?.value || 'head';
+        const rowBudget = budgetValue === 'all' ? Infinity : parseInt(budgetValue, 10);
+
+        localStorage.setItem('loadOptions', JSON.stringify({
+            rowBudget: Number.isFinite(rowBudget) ? rowBudget : null,
+            sampling
+        }));
+
+        await this.reloadData({ rowBudget, sampling });
+    }
+
+    // Reload all datasets with new load options
+    async reloadData(loadOptions) {
+        this.isDataLoaded = false;
+        this.switchVisualization('overview');
+        this.showLoadingMessage();
 
         try {
-            const filters = this.getScatterFilters();
-            const scatterData = this.dataLoader.getViewsVsLikes(300, country, filters);
-            this.visualizations.createScatterPlot(scatterData, container, country);
+            await this.dataLoader.setLoadOptions(loadOptions);
+            const success = await this.dataLoader.init(this.getLoadedCountryCodes());
+            this.hideLoadingMessage();
+
+            if (success) {
+                this.isDataLoaded = true;
+                await this.renderDatasetOverview();
+                this.enableNavigation();
+                this.updateUrl(true);
+            } else {
+                this.showErrorMessage('Failed to reload data. Please check your data files.');
+            }
         } catch (error) {
-            console.error(`Error updating scatter plot for country ${country}:`, error);
-            this.showVisualizationError(container, `Error updating visualization: ${error.message}`);
+            console.error('Reload error:', error);
+            this.hideLoadingMessage();
+            this.showErrorMessage(`Reload failed: ${error.message}`);
         }
     }
 
-    // Read scatter filters from inputs
-    getScatterFilters() {
-        const viewsMinEl = document.getElementById('views-min');
-        const viewsMaxEl = document.getElementById('views-max');
-        const likesMinEl = document.getElementById('likes-min');
-        const likesMaxEl = document.getElementById('likes-max');
+    // Tell the user plainly when charts are based on a sample of the data
+    async renderSampleNotice() {
+        const sampleInfo = await this.dataLoader.getSampleInfo();
+        const overview = document.getElementById('overview');
+        const existing = overview.querySelector('.sample-notice');
+        if (existing) existing.remove();
 
-        let minViews = viewsMinEl && viewsMinEl.value !== '' ? Number(viewsMinEl.value) : undefined;
-        let maxViews = viewsMaxEl && viewsMaxEl.value !== '' ? Number(viewsMaxEl.value) : undefined;
-        let minLikes = likesMinEl && likesMinEl.value !== '' ? Number(likesMinEl.value) : undefined;
-        let maxLikes = likesMaxEl && likesMaxEl.value !== '' ? Number(likesMaxEl.value) : undefined;
+        const sampled = Object.entries(sampleInfo).filter(([, info]) => info.sampled);
+        if (sampled.length === 0) return;
 
-        // Basic validation: swap if min > max
-        if (Number.isFinite(minViews) && Number.isFinite(maxViews) && minViews > maxViews) {
-            [minViews, maxViews] = [maxViews, minViews];
-        }
-        if (Number.isFinite(minLikes) && Number.isFinite(maxLikes) && minLikes > maxLikes) {
-            [minLikes, maxLikes] = [maxLikes, minLikes];
+        const strategyNames = {
+            head: 'the first rows of each file',
+            uniform: 'a uniform random sample',
+            stratified: 'a sample stratified by trending date'
+        };
+        const kept = sampled.reduce((sum, [, info]) => sum + info.kept, 0);
+        const seen = sampled.reduce((sum, [, info]) => sum + info.seen, 0);
+        const partial = sampled.some(([, info]) => !info.complete);
+        const { sampling } = this.dataLoader.loadOptions;
+        const budgets = [...new Set(sampled.map(([, info]) => info.budget))];
+
+        const notice = document.createElement('div');
+        notice.className = 'sample-notice';
+        notice.innerHTML = `
+            <strong>⚠️ Sample in use:</strong>
+            charts show ${strategyNames[sampling] || sampling}
+            (up to ${budgets.map(b => b.toLocaleString()).join(' / ')} rows per country)
+            for ${sampled.map(([country]) => country).join(', ')}.
+            ${kept.toLocaleString()} of ${partial ? 'at least ' : ''}${seen.toLocaleString()} rows are in use.
+            ${partial ? 'The remaining rows were not read.' : ''}
+        `;
+        const statsGrid = overview.querySelector('.stats-grid');
+        if (statsGrid) {
+            overview.insertBefore(notice, statsGrid);
+        } else {
+            overview.appendChild(notice);
         }
-
-        return { minViews, maxViews, minLikes, maxLikes };
     }
 
     // Show loading message
@@ -443,6 +1372,7 @@ class YouTubeDataVisualization {
                 <h3>Loading Data...</h3>
                 <p>Please wait while we load the YouTube trending data.</p>
                 <div style="margin: 20px auto; width: 50px; height: 50px; border: 3px solid #f3f3f3; border-top: 3px solid #3498db; border-radius: 50%; animation: spin 1s linear infinite;"></div>
+                <ul id="loading-progress" class="loading-progress"></ul>
             </div>
             <style>
                 @keyframes spin {
@@ -455,6 +1385,34 @@ class YouTubeDataVisualization {
         this.disableNavigation();
     }
 
+    // Show per-country loading progress reported by the data worker
+    updateLoadingProgress(progress) {
+        const list = document.getElementById('loading-progress');
+        if (!list) return;
+
+        let item = list.querySelector(`[data-country="${progress.country}"]`);
+        if (!item) {
+            item = document.createElement('li');
+            item.setAttribute('data-country', progress.country);
+            list.appendChild(item);
+        }
+
+        const stageLabels = {
+            downloading: 'Connecting…',
+            cached: 'Loaded from cache',
+            parsing: 'Parsing',
+            done: 'Done',
+            error: 'Failed'
+        };
+        const percent = progress.bytesTotal > 0
+            ? ` (${Math.min(100, Math.round(progress.bytesLoaded / progress.bytesTotal * 100))}%)`
+            : '';
+        const rows = progress.rows > 0 ? ` — ${progress.rows.toLocaleString()} rows` : '';
+
+        item.className = `progress-${progress.stage}`;
+        item.textContent = `${progress.country}: ${stageLabels[progress.stage] || progress.stage}${percent}${rows}`;
+    }
+
     // Hide loading message
     hideLoadingMessage() {
         const loadingDiv = document.getElementById('loading-message');
@@ -503,29 +1461,14 @@ class YouTubeDataVisualization {
     }
 
     // Get application statistics
-    getStats() {
+    async getStats() {
         if (!this.isDataLoaded) return null;
-        
-        const allVideos = Object.values(this.dataLoader.videoData).flat();
-        const totalViews = allVideos.reduce((sum, video) => sum + video.views, 0);
-        const totalLikes = allVideos.reduce((sum, video) => sum + video.likes, 0);
-        const countries = Object.keys(this.dataLoader.videoData);
-        const categories = [...new Set(allVideos.map(v => v.category_name))];
-
-        return {
-            totalVideos: allVideos.length,
-            totalViews,
-            totalLikes,
-            countriesCount: countries.length,
-            categoriesCount: categories.length,
-            avgViewsPerVideo: totalViews / allVideos.length,
-            avgLikesPerVideo: totalLikes / allVideos.length
-        };
+        return this.dataLoader.getSummaryStats();
     }
 
     // Render stats cards in overview section
-    renderOverviewStats() {
-        const stats = this.getStats();
+    async renderOverviewStats() {
+        const stats = await this.getStats();
         if (!stats) return;
         const overview = document.getElementById('overview');
         const existing = overview.querySelector('.stats-grid');
@@ -535,7 +1478,9 @@ class YouTubeDataVisualization {
         grid.innerHTML = `
             <div class="stat-card">
                 <h3>${stats.totalVideos.toLocaleString()}</h3>
-                <p>Total Videos</p>
+                <p>${stats.unit === 'videos'
+                    ? `Unique Videos (from ${stats.trendingRows.toLocaleString()} trending rows)`
+                    : `Trending Rows (${stats.uniqueVideos.toLocaleString()} unique videos)`}</p>
             </div>
             <div class="stat-card">
                 <h3>${(stats.totalViews/1e6).toFixed(1)}M</h3>
@@ -557,171 +1502,420 @@ class YouTubeDataVisualization {
         overview.appendChild(grid);
     }
 
-    // Render treemap with interactive controls
-    renderTreemap(container) {
-        try {
-            // Update channel count display
-            const totalChannels = this.dataLoader.getTotalChannelCount();
-            const channelCountDisplay = document.getElementById('channel-count-display');
-            if (channelCountDisplay) {
-                channelCountDisplay.textContent = totalChannels.toLocaleString();
-            }
+    // Render per-country CSV parsing summary in overview section
+    async renderParseReport() {
+        const parseStats = await this.dataLoader.getParseStats();
+        const overview = document.getElementById('overview');
+        const existing = overview.querySelector('.parse-report');
+        if (existing) existing.remove();
 
-            // Get current filter values
-            const channelLimit = parseInt(document.getElementById('treemap-channel-limit')?.value || 25);
-            const selectedCountry = document.getElementById('treemap-country-filter')?.value || 'all';
+        const countries = Object.keys(parseStats).sort();
+        if (countries.length === 0) return;
+
+        const rows = countries.map(country => {
+            const stats = parseStats[country];
+            return `
+                <tr>
+                    <td>${this.dataLoader.getCountryName(country)}</td>
+                    <td>${this.escapeHtml(this.getFormatLabel(stats.format))}</td>
+                    <td>${stats.parsed.toLocaleString()}</td>
+                    <td>${stats.repaired.toLocaleString()}</td>
+                    <td class="${stats.rejected > 0 ? 'parse-rejected' : ''}">${stats.rejected.toLocaleString()}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const report = document.createElement('div');
+        report.className = 'parse-report';
+        report.innerHTML = `
+            <h3>CSV Parsing Summary</h3>
+            <table>
+                <thead>
+                    <tr><th>Country</th><th>Format</th><th>Parsed</th><th>Repaired</th><th>Rejected</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        overview.appendChild(report);
+    }
 
-            // Get filtered data
-            let treemapData;
-            if (selectedCountry === 'all') {
-                treemapData = this.dataLoader.getTopChannels(channelLimit);
-            } else {
-                treemapData = this.dataLoader.getChannelsByCountry(selectedCountry, channelLimit);
-            }
+    // Display name of a dataset format detected by a SchemaAdapter
+    getFormatLabel(formatId) {
+        const adapter = formatId ? SchemaAdapter.get(formatId) : null;
+        return adapter ? adapter.label : (formatId || 'Unknown');
+    }
 
-            this.visualizations.createTreemap(treemapData, container);
-        } catch (error) {
-            console.error('Error rendering treemap:', error);
-            this.showVisualizationError(container, `Error rendering treemap: ${error.message}`);
+    // Data Quality panel: per-country schema issues with a few offending rows each
+    async renderQualityReport() {
+        const reports = await this.dataLoader.getQualityReports();
+        const overview = document.getElementById('overview');
+        const existing = overview.querySelector('.quality-report');
+        if (existing) existing.remove();
+
+        const countries = Object.keys(reports).sort();
+        if (countries.length === 0) return;
+
+        const checked = countries.reduce((sum, country) => sum + reports[country].checked, 0);
+        const withIssues = countries.reduce((sum, country) => sum + reports[country].rowsWithIssues, 0);
+        const describe = (issue) => `${issue.column}: ${Schema.ISSUE_LABELS[issue.kind] || issue.kind}`;
+
+        const rows = countries.map(country => {
+            const report = reports[country];
+            const issues = Object.values(report.issues).sort((a, b) => b.count - a.count);
+            const problems = [
+                ...report.missingColumns.map(column => `<li class="quality-missing">${this.escapeHtml(column)}: column missing</li>`),
+                ...issues.map(issue => `<li>${this.escapeHtml(describe(issue))} (${issue.count.toLocaleString()})</li>`)
+            ];
+            return `
+                <tr>
+                    <td>${this.dataLoader.getCountryName(country)}</td>
+                    <td>${report.checked.toLocaleString()}</td>
+                    <td class="${report.rowsWithIssues > 0 ? 'quality-flagged' : ''}">${report.rowsWithIssues.toLocaleString()}</td>
+                    <td>${problems.length > 0 ? `<ul>${problems.join('')}</ul>` : 'No issues'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        // Example rows let a suspicious spike be traced back to the file
+        const samples = countries.map(country => {
+            const issues = Object.values(reports[country].issues).sort((a, b) => b.count - a.count);
+            if (issues.length === 0) return '';
+            const items = issues.map(issue => `
+                <li>
+                    <strong>${this.escapeHtml(describe(issue))}</strong>
+                    <ul>${issue.samples.map(sample => `
+                        <li>line ${sample.line || '?'}${sample.videoId ? ` · ${this.escapeHtml(sample.videoId)}` : ''}
+                            · “${this.escapeHtml(sample.title)}” · value <code>${this.escapeHtml(sample.value)}</code></li>
+                    `).join('')}</ul>
+                </li>
+            `).join('');
+            return `
+                <details>
+                    <summary>${this.dataLoader.getCountryName(country)} examples</summary>
+                    <ul class="quality-samples">${items}</ul>
+                </details>
+            `;
+        }).join('');
+
+        const panel = document.createElement('div');
+        panel.className = 'quality-report';
+        panel.innerHTML = `
+            <h3>Data Quality</h3>
+            <p>${withIssues.toLocaleString()} of ${checked.toLocaleString()} rows have at least one value that failed its type or range check.
+            Invalid numbers count as 0, invalid dates are left out of date-based charts and unknown categories show as "Unknown".</p>
+            <table>
+                <thead>
+                    <tr><th>Country</th><th>Rows Checked</th><th>Rows with Issues</th><th>Issues</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${samples}
+        `;
+
+        const statsGrid = overview.querySelector('.stats-grid');
+        if (statsGrid) {
+            overview.insertBefore(panel, statsGrid.nextSibling);
+        } else {
+            overview.appendChild(panel);
         }
     }
 
-    // Populate treemap country filter dropdown
-    populateTreemapCountryFilter() {
-        const treemapCountryFilter = document.getElementById('treemap-country-filter');
-        if (!treemapCountryFilter || !this.isDataLoaded) return;
+    // Accept trending CSV and category JSON files dropped anywhere on the page or picked via the browse link
+    setupUploadHandlers() {
+        const zone = document.getElementById('upload-zone');
+        const input = document.getElementById('upload-input');
 
-        // Clear existing options except "All Countries"
-        const allOption = treemapCountryFilter.querySelector('option[value="all"]');
-        treemapCountryFilter.innerHTML = '';
-        if (allOption) {
-            allOption.textContent = '🌍 Global (All Countries)';
-            treemapCountryFilter.appendChild(allOption);
-        }
+        document.addEventListener('dragover', (e) => {
+            if (!this.isFileDrag(e)) return;
+            e.preventDefault();
+            if (zone) zone.classList.add('drag-over');
+        });
 
-        // Add country options
-        const countries = this.dataLoader.getAvailableCountriesLegacy();
-        countries.forEach(country => {
-            const option = document.createElement('option');
-            option.value = country;
-            option.textContent = this.dataLoader.getCountryName(country);
-            treemapCountryFilter.appendChild(option);
+        document.addEventListener('dragleave', (e) => {
+            // relatedTarget is null once the pointer leaves the window
+            if (zone && !e.relatedTarget) zone.classList.remove('drag-over');
         });
-    }
 
-    // Setup treemap event listeners
-    setupTreemapEventListeners() {
-        const channelLimitSelect = document.getElementById('treemap-channel-limit');
-        const countryFilterSelect = document.getElementById('treemap-country-filter');
+        document.addEventListener('drop', (e) => {
+            if (!this.isFileDrag(e)) return;
+            // Keep the browser from opening the file
+            e.preventDefault();
+            if (zone) zone.classList.remove('drag-over');
+            this.addPendingUploads(e.dataTransfer.files);
+        });
 
-        if (channelLimitSelect) {
-            channelLimitSelect.addEventListener('change', () => {
-                const container = document.querySelector('#treemap .chart-container');
-                if (container) {
-                    this.renderTreemap(container);
-                }
+        if (input) {
+            input.addEventListener('change', () => {
+                this.addPendingUploads(input.files);
+                input.value = '';
             });
         }
+    }
 
-        if (countryFilterSelect) {
-            countryFilterSelect.addEventListener('change', () => {
-                const container = document.querySelector('#treemap .chart-container');
-                if (container) {
-                    this.renderTreemap(container);
-                }
+    isFileDrag(event) {
+        return event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+    }
+
+    // Queue files for upload, guessing each one's country from its name
+    addPendingUploads(fileList) {
+        const skipped = [];
+        Array.from(fileList).forEach(file => {
+            const extension = file.name.split('.').pop().toLowerCase();
+            if (extension !== 'csv' && extension !== 'json') {
+                skipped.push(file.name);
+                return;
+            }
+            this.pendingUploads.push({
+                file,
+                kind: extension === 'csv' ? 'videos' : 'categories',
+                country: DataLoader.inferCountryCode(file.name)
             });
+        });
+
+        if (skipped.length > 0) {
+            this.showErrorMessage(`Skipped ${skipped.map(name => this.escapeHtml(name)).join(', ')}: only .csv and .json files can be loaded.`);
+        }
+        if (this.currentVisualization !== 'overview') {
+            this.switchVisualization('overview');
         }
+        this.renderPendingUploads();
     }
 
-    // Render engagement with filters
-    renderEngagement(container) {
-        try {
-            // Get current filter values
-            const selectedCountry = document.getElementById('engagement-country-filter')?.value || 'all';
-            const selectedCategory = document.getElementById('engagement-category-filter')?.value || 'all';
+    // List queued files with an editable country code for each
+    renderPendingUploads() {
+        const container = document.getElementById('upload-pending');
+        if (!container) return;
+
+        if (this.pendingUploads.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
 
-            // Get filtered engagement data
-            const engagementData = this.dataLoader.getFilteredEngagementMetrics(
-                selectedCountry, 
-                selectedCategory
-            );
+        const loaded = this.getLoadedCountryCodes();
+        const rows = this.pendingUploads.map((upload, index) => `
+            <tr>
+                <td>${this.escapeHtml(upload.file.name)}</td>
+                <td>${upload.kind === 'videos' ? 'Trending videos (CSV)' : 'Categories (JSON)'}</td>
+                <td>${(upload.file.size / (1024 * 1024)).toFixed(1)} MB</td>
+                <td>
+                    <input type="text" class="upload-country" data-index="${index}"
+                           value="${upload.country}" maxlength="3" placeholder="e.g. BR">
+                </td>
+                <td class="upload-note">${loaded.includes(upload.country) ? 'Replaces loaded data' : ''}</td>
+                <td><button class="upload-remove" data-index="${index}" title="Remove file">✕</button></td>
+            </tr>
+        `).join('');
 
-            this.visualizations.createDonutChart(engagementData, container);
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>File</th><th>Type</th><th>Size</th><th>Country</th><th></th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="upload-actions">
+                <button id="load-uploads" class="control-btn">Load Files</button>
+                <button id="cancel-uploads" class="control-btn secondary">Cancel</button>
+            </div>
+        `;
+
+        container.querySelectorAll('.upload-country').forEach(input => {
+            input.addEventListener('input', () => {
+                const upload = this.pendingUploads[parseInt(input.getAttribute('data-index'), 10)];
+                upload.country = input.value.trim().toUpperCase();
+                input.closest('tr').querySelector('.upload-note').textContent =
+                    loaded.includes(upload.country) ? 'Replaces loaded data' : '';
+            });
+        });
+
+        container.querySelectorAll('.upload-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.pendingUploads.splice(parseInt(button.getAttribute('data-index'), 10), 1);
+                this.renderPendingUploads();
+            });
+        });
+
+        container.querySelector('#load-uploads').addEventListener('click', () => this.loadPendingUploads());
+        container.querySelector('#cancel-uploads').addEventListener('click', () => {
+            this.pendingUploads = [];
+            this.renderPendingUploads();
+        });
+    }
+
+    // Group queued files by country and merge them into the loaded data
+    async loadPendingUploads() {
+        const invalid = this.pendingUploads.filter(upload => !/^[A-Z]{2,3}$/.test(upload.country));
+        if (invalid.length > 0) {
+            this.showErrorMessage(`Enter a 2–3 letter country code for ${invalid.map(upload => this.escapeHtml(upload.file.name)).join(', ')}.`);
+            return;
+        }
+
+        const byCountry = {};
+        this.pendingUploads.forEach(upload => {
+            if (!byCountry[upload.country]) {
+                byCountry[upload.country] = { country: upload.country, videos: null, categories: null };
+            }
+            byCountry[upload.country][upload.kind] = upload.file;
+        });
+
+        this.isDataLoaded = false;
+        this.showLoadingMessage();
+
+        try {
+            const results = await this.dataLoader.loadUploads(Object.values(byCountry));
+            this.hideLoadingMessage();
+            this.pendingUploads = [];
+            this.renderPendingUploads();
+
+            const failed = results.filter(result => !result.success);
+            if (failed.length > 0) {
+                this.showErrorMessage(`Could not load ${failed.map(result => `${result.country} (${this.escapeHtml(result.error)})`).join(', ')}.`);
+            }
         } catch (error) {
-            console.error('Error rendering engagement:', error);
-            this.showVisualizationError(container, `Error rendering engagement: ${error.message}`);
+            console.error('Upload error:', error);
+            this.hideLoadingMessage();
+            this.showErrorMessage(`Upload failed: ${this.escapeHtml(error.message)}`);
         }
+
+        this.isDataLoaded = true;
+        await this.renderDatasetOverview();
+        this.enableNavigation();
+        this.updateUrl(true);
     }
 
-    // Populate engagement filter dropdowns
-    populateEngagementFilters() {
-        // Populate country filter
-        const countryFilter = document.getElementById('engagement-country-filter');
-        if (countryFilter && this.isDataLoaded) {
-            const allOption = countryFilter.querySelector('option[value="all"]');
-            countryFilter.innerHTML = '';
-            if (allOption) {
-                allOption.textContent = '🌍 Global (All Countries)';
-                countryFilter.appendChild(allOption);
-            }
+    // Escape text for use inside HTML templates
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 
-            const countries = this.dataLoader.getAvailableCountriesLegacy();
-            countries.forEach(country => {
-                const option = document.createElement('option');
-                option.value = country;
-                option.textContent = this.dataLoader.getCountryName(country);
-                countryFilter.appendChild(option);
-            });
+    // Show which datasets came from the browser cache, with a control to clear it
+    async renderCacheStatus() {
+        const cacheStatus = await this.dataLoader.getCacheStatus();
+        const overview = document.getElementById('overview');
+        const existing = overview.querySelector('.cache-status');
+        if (existing) existing.remove();
+
+        const panel = document.createElement('div');
+        panel.className = 'cache-status';
+
+        if (!cacheStatus.supported) {
+            panel.innerHTML = '<strong>💾 Cache:</strong> not available in this browser; data is parsed on every load.';
+            overview.appendChild(panel);
+            return;
         }
 
-        // Populate category filter
-        const categoryFilter = document.getElementById('engagement-category-filter');
-        if (categoryFilter && this.isDataLoaded) {
-            const allOption = categoryFilter.querySelector('option[value="all"]');
-            categoryFilter.innerHTML = '';
-            categoryFilter.appendChild(allOption);
+        const allEntries = Object.entries(cacheStatus.countries).filter(([, status]) => status.videos);
+        const uploaded = allEntries.filter(([, status]) => status.videos.source === 'upload');
+        const entries = allEntries.filter(([, status]) => status.videos.source !== 'upload');
+        const cached = entries.filter(([, status]) => status.videos.source === 'cache');
+        const savedTimes = cached.map(([, status]) => status.videos.savedAt).filter(Boolean);
+        const oldest = savedTimes.length > 0 ? new Date(Math.min(...savedTimes)) : null;
+
+        let summary;
+        if (entries.length === 0) {
+            summary = 'empty. Data will be downloaded and parsed on the next reload.';
+        } else if (cached.length === entries.length) {
+            summary = `all ${entries.length} countries loaded from the browser cache${oldest ? ` (saved ${oldest.toLocaleString()})` : ''}.`;
+        } else if (cached.length > 0) {
+            summary = `${cached.length} of ${entries.length} countries loaded from the browser cache
+                (${cached.map(([country]) => country).join(', ')}); the rest were parsed and saved for next time.`;
+        } else {
+            summary = 'data was downloaded and parsed, and saved for faster reloads.';
+        }
 
-            const categories = this.dataLoader.getAvailableCategories();
-            categories.forEach(category => {
-                const option = document.createElement('option');
-                option.value = category;
-                option.textContent = category;
-                categoryFilter.appendChild(option);
-            });
+        if (uploaded.length > 0) {
+            summary += ` Uploaded files (${uploaded.map(([country]) => country).join(', ')}) are kept for this session only.`;
         }
+
+        panel.innerHTML = `
+            <span><strong>💾 Cache:</strong> ${summary}</span>
+            <button id="clear-cache" class="control-btn">Clear Cache</button>
+        `;
+        panel.querySelector('#clear-cache').addEventListener('click', () => this.clearCache());
+        overview.appendChild(panel);
     }
 
-    // Setup engagement event listeners
-    setupEngagementEventListeners() {
-        const countryFilter = document.getElementById('engagement-country-filter');
-        const categoryFilter = document.getElementById('engagement-category-filter');
+    // Empty the dataset cache so the next load re-parses every file
+    async clearCache() {
+        const cleared = await this.dataLoader.clearCache();
+        if (!cleared) {
+            this.showErrorMessage('Could not clear the dataset cache.');
+            return;
+        }
+        await this.renderCacheStatus();
+    }
 
-        if (countryFilter) {
-            countryFilter.addEventListener('change', () => {
-                const container = document.querySelector('#engagement .chart-container');
-                if (container) {
-                    this.renderEngagement(container);
-                }
-            });
+    // Render treemap with interactive controls
+    async renderTreemap(container) {
+        try {
+            // Get current filter values
+            const channelLimit = parseInt(document.getElementById('treemap-channel-limit')?.value || 25);
+
+            // Get filtered data (the filter bar already restricts channels to the selected countries)
+            const result = await this.latestResult('treemap', Promise.all([
+                this.dataLoader.getTotalChannelCount(),
+                this.dataLoader.getTopChannels(channelLimit)
+            ]));
+            if (!result) return;
+            const [totalChannels, treemapData] = result;
+
+            // Update channel count display
+            const channelCountDisplay = document.getElementById('channel-count-display');
+            if (channelCountDisplay) {
+                channelCountDisplay.textContent = totalChannels.toLocaleString();
+            }
+
+            this.visualizations.createTreemap(treemapData, container);
+        } catch (error) {
+            console.error('Error rendering treemap:', error);
+            this.showVisualizationError(container, `Error rendering treemap: ${error.message}`);
         }
+    }
 
-        if (categoryFilter) {
-            categoryFilter.addEventListener('change', () => {
-                const container = document.querySelector('#engagement .chart-container');
+    // Setup treemap event listeners
+    setupTreemapEventListeners() {
+        const channelLimitSelect = document.getElementById('treemap-channel-limit');
+
+        if (channelLimitSelect) {
+            channelLimitSelect.addEventListener('change', () => {
+                const container = document.querySelector('#treemap .chart-container');
                 if (container) {
-                    this.renderEngagement(container);
+                    this.renderTreemap(container);
                 }
             });
         }
     }
 
+    // Render engagement with filters
+    async renderEngagement(container) {
+        try {
+            // Countries and categories come from the filter bar
+            const engagementData = await this.latestResult('engagement', this.dataLoader.getFilteredEngagementMetrics(
+                this.getFilterCountry()
+            ));
+            if (!engagementData) return;
+
+            this.visualizations.createDonutChart(engagementData, container);
+        } catch (error) {
+            console.error('Error rendering engagement:', error);
+            this.showVisualizationError(container, `Error rendering engagement: ${error.message}`);
+        }
+    }
+
     // Render Publishing Timing Strategy
-    renderPublishingTiming(container) {
+    async renderPublishingTiming(container) {
         try {
             // Get current filter values
-            const countryFilter = document.getElementById('timing-country-filter')?.value || 'global';
+            const countryFilter = this.getFilterCountry('global');
+            const timeBasis = document.getElementById('timing-time-basis')?.value || 'country';
             
-            const timingData = this.dataLoader.getPublishingTimingData(countryFilter);
+            const timingData = await this.latestResult('publishing-timing', this.dataLoader.getPublishingTimingData(countryFilter, timeBasis));
+            if (!timingData) return;
             this.visualizations.createPublishingTimingHeatmap(timingData, container);
         } catch (error) {
             console.error('Error rendering Publishing Timing Strategy:', error);
@@ -730,14 +1924,15 @@ class YouTubeDataVisualization {
     }
 
     // Render Tag Racing Competition
-    renderTagEvolution(container) {
+    async renderTagEvolution(container) {
         try {
             // Get current filter values
             const viewFilter = document.getElementById('tag-view-filter')?.value || 'overview';
-            const countryFilter = document.getElementById('tag-country-filter')?.value || 'global';
+            const countryFilter = this.getFilterCountry('global');
             
             // Get racing data for the competition
-            const tagData = this.dataLoader.getTagRacingData(viewFilter, countryFilter);
+            const tagData = await this.latestResult('tag-evolution', this.dataLoader.getTagRacingData(viewFilter, countryFilter));
+            if (!tagData) return;
             
             // Add country info to data for visualization
             tagData.selectedCountry = countryFilter;
@@ -751,14 +1946,15 @@ class YouTubeDataVisualization {
     }
 
     // Render Tag Flow Diagram
-    renderTagFlow(container) {
+    async renderTagFlow(container) {
         try {
             // Get current filter values
-            const countryFilter = document.getElementById('flow-country-filter')?.value || 'global';
+            const countryFilter = this.getFilterCountry('global');
             const detailFilter = document.getElementById('flow-detail-filter')?.value || 'balanced';
             
             // Get flow data for the Sankey diagram
-            const flowData = this.dataLoader.getTagFlowData(countryFilter, detailFilter);
+            const flowData = await this.latestResult('tag-flow', this.dataLoader.getTagFlowData(countryFilter, detailFilter));
+            if (!flowData) return;
             
             this.visualizations.createTagFlowDiagram(flowData, container, 'sankey');
         } catch (error) {
@@ -768,10 +1964,11 @@ class YouTubeDataVisualization {
     }
 
     // Render Category Engagement
-    renderCategoryEngagement(container) {
+    async renderCategoryEngagement(container) {
         try {
-            const country = document.getElementById('category-engagement-country-filter')?.value || 'all';
-            const data = this.dataLoader.getCategoryEngagementByCountry(country);
+            const country = this.getFilterCountry();
+            const data = await this.latestResult('category-engagement', this.dataLoader.getCategoryEngagementByCountry(country));
+            if (!data) return;
             this.visualizations.createCategoryEngagementStacked(data, container);
         } catch (error) {
             console.error('Error rendering Category Engagement:', error);
@@ -780,11 +1977,12 @@ class YouTubeDataVisualization {
     }
 
     // Render Top Videos Bubble
-    renderTopVideosBubble(container) {
+    async renderTopVideosBubble(container) {
         try {
-            const country = document.getElementById('bubble-country-filter')?.value || 'all';
+            const country = this.getFilterCountry();
             const limit = parseInt(document.getElementById('bubble-limit')?.value || '30', 10);
-            const videos = this.dataLoader.getTopVideosByViewsFiltered(limit, country);
+            const videos = await this.latestResult('top-videos-bubble', this.dataLoader.getTopVideosByViewsFiltered(limit, country));
+            if (!videos) return;
             this.visualizations.createTopVideosBubble(videos, container);
         } catch (error) {
             console.error('Error rendering Top Videos Bubble:', error);
@@ -792,32 +1990,101 @@ class YouTubeDataVisualization {
         }
     }
 
-    setupCategoryEngagementListeners() {
-        const select = document.getElementById('category-engagement-country-filter');
-        if (select) {
-            select.addEventListener('change', () => {
-                const container = document.querySelector('#category-engagement .chart-container');
-                if (container) this.renderCategoryEngagement(container);
-            });
-        }
-    }
-
     setupTopVideosBubbleListeners() {
-        const countrySel = document.getElementById('bubble-country-filter');
         const limitSel = document.getElementById('bubble-limit');
         const handler = () => {
             const container = document.querySelector('#top-videos-bubble .chart-container');
             if (container) this.renderTopVideosBubble(container);
         };
-        if (countrySel) countrySel.addEventListener('change', handler);
         if (limitSel) limitSel.addEventListener('change', handler);
     }
 
-    renderChannelLeaderboard(container) {
+    // Redraw the scatter plot when its sample settings change
+    setupScatterListeners() {
+        const redraw = () => {
+            if (this.currentVisualization === 'scatter') this.renderVisualization('scatter');
+        };
+        ['scatter-sample-size', 'scatter-stratify', 'scatter-allocation', 'scatter-seed',
+            'scatter-x-scale', 'scatter-y-scale', 'scatter-fit', 'scatter-color', 'scatter-mode'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.addEventListener('change', redraw);
+        });
+
+        // A new seed draws a different sample; the change event also records it in the URL
+        const reseed = document.getElementById('scatter-reseed');
+        const seedInput = document.getElementById('scatter-seed');
+        if (reseed && seedInput) {
+            reseed.addEventListener('click', () => {
+                seedInput.value = Math.floor(Math.random() * 1e6) + 1;
+                seedInput.dispatchEvent(new Event('change'));
+            });
+        }
+    }
+
+    // Engagement outliers over a seeded sample of the scatter plot's videos
+    async renderResiduals(container) {
+        try {
+            const size = document.getElementById('residuals-sample-size')?.value;
+            const sampleSize = size === 'all' ? Infinity : parseInt(size, 10) || 5000;
+            const data = await this.latestResult('residuals', this.dataLoader.getViewsVsLikes(sampleSize, this.getFilterCountry()));
+            if (!data) return;
+            this.visualizations.createResidualExplorer(data, container, {
+                threshold: parseFloat(document.getElementById('residuals-threshold')?.value) || 2,
+                limit: parseInt(document.getElementById('residuals-limit')?.value, 10) || 25
+            });
+        } catch (error) {
+            console.error('Error rendering Engagement Outliers:', error);
+            this.showVisualizationError(container, `Error rendering Engagement Outliers: ${error.message}`);
+        }
+    }
+
+    setupResidualListeners() {
+        const handler = () => {
+            const container = document.querySelector('#residuals .chart-container');
+            if (container) this.renderResiduals(container);
+        };
+        ['residuals-sample-size', 'residuals-threshold', 'residuals-limit'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.addEventListener('change', handler);
+        });
+    }
+
+    // Render Video Flags breakdown
+    async renderVideoFlags(container) {
+        try {
+            const groupBy = document.getElementById('flags-group-by')?.value || 'country';
+            const data = await this.latestResult('video-flags', this.dataLoader.getFlagBreakdown());
+            if (!data) return;
+            const groups = groupBy === 'category' ? data.byCategory : data.byCountry;
+            this.visualizations.createFlagBreakdown({
+                flags: data.flags,
+                unit: data.unit,
+                groups: groups.map(group => ({
+                    ...group,
+                    label: groupBy === 'country' ? this.getCountryDisplayName(group.key) : group.key
+                }))
+            }, container);
+        } catch (error) {
+            console.error('Error rendering Video Flags:', error);
+            this.showVisualizationError(container, `Error rendering Video Flags: ${error.message}`);
+        }
+    }
+
+    setupVideoFlagsListeners() {
+        const select = document.getElementById('flags-group-by');
+        if (select) {
+            select.addEventListener('change', () => {
+                const container = document.querySelector('#video-flags .chart-container');
+                if (container) this.renderVideoFlags(container);
+            });
+        }
+    }
+
+    async renderChannelLeaderboard(container) {
         try {
-            const country = document.getElementById('channel-leaderboard-country-filter')?.value || 'all';
             const limit = parseInt(document.getElementById('channel-leaderboard-limit')?.value || '25', 10);
-            const data = this.dataLoader.getChannelLeaderboard(limit, country);
+            const data = await this.latestResult('channel-leaderboard', this.dataLoader.getChannelLeaderboard(limit));
+            if (!data) return;
             this.visualizations.createChannelLeaderboard(data, container);
         } catch (error) {
             console.error('Error rendering Channel Leaderboard:', error);
@@ -826,30 +2093,115 @@ class YouTubeDataVisualization {
     }
 
     setupChannelLeaderboardListeners() {
-        const countrySel = document.getElementById('channel-leaderboard-country-filter');
         const limitSel = document.getElementById('channel-leaderboard-limit');
         const handler = () => {
             const container = document.querySelector('#channel-leaderboard .chart-container');
             if (container) this.renderChannelLeaderboard(container);
         };
-        if (countrySel) countrySel.addEventListener('change', handler);
         if (limitSel) limitSel.addEventListener('change', handler);
     }
 
-    // Setup tag racing competition event listeners
-    setupTagEvolutionEventListeners() {
-        const countryFilter = document.getElementById('tag-country-filter');
-        const viewFilter = document.getElementById('tag-view-filter');
-        
-        // Country filter change handler
-        if (countryFilter) {
-            countryFilter.addEventListener('change', () => {
-                const container = document.querySelector('#tag-evolution .chart-container');
-                if (container) {
-                    this.renderTagEvolution(container);
+    // Profile of the channel named in the view's input, or of the most viewed channel when it is empty
+    async renderChannelProfile(container) {
+        try {
+            const typed = document.getElementById('channel-profile-name')?.value.trim() || '';
+            const request = (typed ? Promise.resolve(typed) : this.dataLoader.getChannelLeaderboard(1).then(([top]) => top ? top.name : null))
+                .then(async name => ({ name, profile: name ? await this.dataLoader.getChannelProfile(name) : null }));
+            const result = await this.latestResult('channel-profile', request);
+            if (!result) return;
+            if (!result.name) {
+                this.showVisualizationError(container, 'No channels in the current filters');
+            } else if (!result.profile) {
+                this.showVisualizationError(container, `No channel named "${this.escapeHtml(result.name)}"`);
+            } else {
+                this.visualizations.createChannelProfile(result.profile, container);
+            }
+        } catch (error) {
+            console.error('Error rendering Channel Profile:', error);
+            this.showVisualizationError(container, `Error rendering Channel Profile: ${error.message}`);
+        }
+    }
+
+    setupChannelProfileListeners() {
+        this.visualizations.onChannelOpen = (name) => this.openChannelProfile(name);
+        const input = document.getElementById('channel-profile-name');
+        if (input) {
+            input.addEventListener('change', () => {
+                const container = document.querySelector('#channel-profile .chart-container');
+                if (container) this.renderChannelProfile(container);
+            });
+        }
+    }
+
+    // Show a channel's profile (a channel clicked in a chart or in the video drawer)
+    openChannelProfile(name) {
+        const input = document.getElementById('channel-profile-name');
+        if (!input) return;
+        input.value = name;
+        this.closeVideoDrawer();
+        this.switchVisualization('channel-profile');
+    }
+
+    // Data view: the table's sort, column filters and shown columns live in hidden inputs so they are part of the URL
+    async renderDataTable(container) {
+        try {
+            const source = document.getElementById('data-table-source')?.value || 'rows';
+            const sortInput = document.getElementById('data-table-sort');
+            const filtersInput = document.getElementById('data-table-filters');
+            const columnsInput = document.getElementById('data-table-columns');
+            const [sortKey, direction] = (sortInput?.value || '').split(':');
+            const options = {
+                sort: sortKey ? { key: sortKey, direction } : null,
+                filters: Object.fromEntries(new URLSearchParams(filtersInput?.value || ''))
+            };
+
+            const table = await this.latestResult('data-table',
+                this.dataLoader.getDataTable(source, options, 0, Visualizations.DATA_PAGE_SIZE));
+            if (!table) return;
+            this.visualizations.createDataTable(container, table, {
+                visible: columnsInput?.value ? columnsInput.value.split(',') : null,
+                fetch: (query) => this.dataLoader.getDataTable(source, query, query.offset, query.limit),
+                // Filter text updates the current history entry rather than adding one per pause in typing
+                onStateChange: (state, typed) => {
+                    const defaults = table.columns.filter(column => !column.hidden).map(column => column.key);
+                    if (sortInput) sortInput.value = `${state.sort.key}:${state.sort.direction}`;
+                    if (filtersInput) filtersInput.value = new URLSearchParams(state.filters).toString();
+                    if (columnsInput) columnsInput.value = state.visible.join(',') === defaults.join(',') ? '' : state.visible.join(',');
+                    this.updateUrl(typed);
                 }
             });
+        } catch (error) {
+            console.error('Error rendering Data Table:', error);
+            this.showVisualizationError(container, `Error rendering Data Table: ${error.message}`);
+        }
+    }
+
+    setupDataTableListeners() {
+        const sourceSel = document.getElementById('data-table-source');
+        if (sourceSel) {
+            sourceSel.addEventListener('change', () => {
+                // The change was already recorded with the previous source's table state
+                this.setDataTableSource(sourceSel.value);
+                this.updateUrl(true);
+                const container = document.querySelector('#data-table .chart-container');
+                if (container) this.renderDataTable(container);
+            });
         }
+    }
+
+    // Show a source in the Data view, starting from its default sort, no column filters and its default columns
+    setDataTableSource(source) {
+        const sourceSel = document.getElementById('data-table-source');
+        if (sourceSel) sourceSel.value = source;
+        ['data-table-sort', 'data-table-filters', 'data-table-columns'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    }
+
+    // Setup tag racing competition event listeners
+    setupTagEvolutionEventListeners() {
+        const viewFilter = document.getElementById('tag-view-filter');
         
         // View filter change handler  
         if (viewFilter) {
@@ -864,19 +2216,8 @@ class YouTubeDataVisualization {
 
     // Setup tag flow diagram event listeners
     setupTagFlowEventListeners() {
-        const countryFilter = document.getElementById('flow-country-filter');
         const detailFilter = document.getElementById('flow-detail-filter');
         
-        // Country filter change handler
-        if (countryFilter) {
-            countryFilter.addEventListener('change', () => {
-                const container = document.querySelector('#tag-flow .chart-container');
-                if (container) {
-                    this.renderTagFlow(container);
-                }
-            });
-        }
-        
         // Detail filter change handler  
         if (detailFilter) {
             detailFilter.addEventListener('change', () => {
@@ -890,11 +2231,11 @@ class YouTubeDataVisualization {
 
     // Setup publishing timing event listeners
     setupPublishingTimingEventListeners() {
-        const countryFilter = document.getElementById('timing-country-filter');
+        const timeBasis = document.getElementById('timing-time-basis');
         
-        // Country filter change handler
-        if (countryFilter) {
-            countryFilter.addEventListener('change', () => {
+        // Time zone change handler
+        if (timeBasis) {
+            timeBasis.addEventListener('change', () => {
                 const container = document.querySelector('#publishing-timing .chart-container');
                 if (container) {
                     this.renderPublishingTiming(container);
@@ -903,88 +2244,6 @@ class YouTubeDataVisualization {
         }
     }
 
-    // Populate country dropdown for all charts
-    populateCountryDropdown() {
-        const tagCountrySelect = document.getElementById('tag-country-filter');
-        const flowCountrySelect = document.getElementById('flow-country-filter');
-        const timingCountrySelect = document.getElementById('timing-country-filter');
-        
-        if (this.dataLoader) {
-            const countries = this.dataLoader.getAvailableCountries();
-            
-            // Populate Tag Racing dropdown
-            if (tagCountrySelect) {
-                tagCountrySelect.innerHTML = '<option value="global" selected>🌍 Global (All Countries)</option>';
-                countries.slice(1).forEach(country => {
-                    const option = document.createElement('option');
-                    option.value = country.code;
-                    option.textContent = country.name;
-                    tagCountrySelect.appendChild(option);
-                });
-            }
-            
-            // Populate Tag Flow dropdown
-            if (flowCountrySelect) {
-                flowCountrySelect.innerHTML = '<option value="global" selected>🌍 Global (All Countries)</option>';
-                countries.slice(1).forEach(country => {
-                    const option = document.createElement('option');
-                    option.value = country.code;
-                    option.textContent = country.name;
-                    flowCountrySelect.appendChild(option);
-                });
-            }
-            
-            // Populate Publishing Timing dropdown
-            if (timingCountrySelect) {
-                timingCountrySelect.innerHTML = '<option value="global" selected>🌍 Global (All Countries)</option>';
-                countries.slice(1).forEach(country => {
-                    const option = document.createElement('option');
-                    option.value = country.code;
-                    option.textContent = country.name;
-                    timingCountrySelect.appendChild(option);
-                });
-            }
-
-            // Populate Category Engagement dropdown
-            const catEngCountry = document.getElementById('category-engagement-country-filter');
-            if (catEngCountry) {
-                catEngCountry.innerHTML = '<option value="all">🌍 Global (All Countries)</option>';
-                countries.slice(1).forEach(country => {
-                    const option = document.createElement('option');
-                    option.value = country.code;
-                    option.textContent = country.name;
-                    catEngCountry.appendChild(option);
-                });
-            }
-
-            // Populate Bubble chart dropdown
-            const bubbleCountry = document.getElementById('bubble-country-filter');
-            if (bubbleCountry) {
-                bubbleCountry.innerHTML = '<option value="all">🌍 Global (All Countries)</option>';
-                countries.slice(1).forEach(country => {
-                    const option = document.createElement('option');
-                    option.value = country.code;
-                    option.textContent = country.name;
-                    bubbleCountry.appendChild(option);
-                });
-            }
-
-            // Populate Channel Leaderboard dropdown
-            const clCountry = document.getElementById('channel-leaderboard-country-filter');
-            if (clCountry) {
-                clCountry.innerHTML = '<option value="all">🌍 Global (All Countries)</option>';
-                countries.slice(1).forEach(country => {
-                    const option = document.createElement('option');
-                    option.value = country.code;
-                    option.textContent = country.name;
-                    clCountry.appendChild(option);
-                });
-            }
-            
-            console.log(`Populated country dropdowns with ${countries.length} options`);
-        }
-    }
-
     // Update footer based on selected chart
     updateFooter(chartType) {
         const authorCredits = document.getElementById('author-credits');
@@ -1019,6 +2278,18 @@ class YouTubeDataVisualization {
 
 }
 
+// Source the Data view opens with when switched to from a chart (other charts open on the rows)
+YouTubeDataVisualization.DATA_TABLE_SOURCES = {
+    'bar-chart': 'country',
+    'pie-chart': 'category',
+    'timeline': 'date',
+    'heatmap': 'country-category',
+    'treemap': 'channel',
+    'category-engagement': 'category',
+    'channel-leaderboard': 'channel',
+    'channel-profile': 'channel'
+};
+
 // Initialize application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new YouTubeDataVisualization();
@@ -1026,9 +2297,9 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Utility function for debugging
-window.getAppStats = () => {
+window.getAppStats = async () => {
     if (window.app && window.app.isDataLoaded) {
-        const stats = window.app.getStats();
+        const stats = await window.app.getStats();
         console.table(stats);
         return stats;
     } else {
@@ -0,0 +1,211 @@
+// Row Sampler Module - keeps a bounded, reproducible subset of streamed rows
+class RowSampler {
+    constructor(options = {}) {
+        this.strategy = options.strategy || 'head';
+        this.budget = Number.isFinite(options.budget) && options.budget > 0 ? Math.floor(options.budget) : Infinity;
+        this.stratifyBy = options.stratifyBy || (row => row.trending_date);
+        this.random = RowSampler.createRandom(options.seed === undefined ? 1 : options.seed);
+        this.seen = 0;
+
+        // Each kept entry remembers its position in the file so output keeps file order
+        this.entries = [];
+        this.strata = new Map();
+        // Stratified sampling keeps each row with this probability, lowered whenever too many rows are held
+        this.keepRate = 1;
+        this.stored = 0;
+    }
+
+    // Offer the next row from the stream
+    add(row) {
+        const index = this.seen++;
+
+        if (this.budget === Infinity) {
+            this.entries.push({ index, row });
+            return;
+        }
+
+        switch (this.strategy) {
+            case 'uniform':
+                this.addToReservoir(this.entries, index, row, index);
+                break;
+
+            case 'stratified': {
+                // Every row is kept with the same probability, so each stratum holds a uniform sample of about
+                // its share; the strata are cut down to their exact shares in getRows()
+                const key = this.stratifyBy(row) || 'unknown';
+                if (!this.strata.has(key)) {
+                    this.strata.set(key, { seen: 0, entries: [] });
+                }
+                const stratum = this.strata.get(key);
+                stratum.seen++;
+                const draw = this.random();
+                if (draw < this.keepRate) {
+                    stratum.entries.push({ index, row, draw });
+                    if (++this.stored > this.budget * RowSampler.STRATA_SLACK) this.thinStrata();
+                }
+                break;
+            }
+
+            case 'head':
+            default:
+                if (this.entries.length < this.budget) {
+                    this.entries.push({ index, row });
+                }
+        }
+    }
+
+    // Reservoir sampling (Algorithm R) with the seeded generator
+    addToReservoir(reservoir, index, row, position) {
+        if (reservoir.length < this.budget) {
+            reservoir.push({ index, row });
+            return;
+        }
+        const slot = Math.floor(this.random() * (position + 1));
+        if (slot < this.budget) {
+            reservoir[slot] = { index, row };
+        }
+    }
+
+    // Lower the keep rate and drop the held rows that the new rate would not have kept
+    thinStrata() {
+        this.keepRate *= RowSampler.STRATA_THINNING;
+        this.stored = 0;
+        this.strata.forEach(stratum => {
+            stratum.entries = stratum.entries.filter(entry => entry.draw < this.keepRate);
+            this.stored += stratum.entries.length;
+        });
+    }
+
+    // Head sampling can stop reading once the budget is filled
+    isFull() {
+        return this.strategy === 'head' && this.entries.length >= this.budget;
+    }
+
+    // Whether the result is a subset of the rows that were offered
+    isSampled() {
+        return this.seen > this.getKeptCount();
+    }
+
+    getKeptCount() {
+        if (this.strategy === 'stratified' && this.budget !== Infinity) {
+            return Math.min(this.budget, this.seen);
+        }
+        return this.entries.length;
+    }
+
+    // Get the sampled rows in their original file order
+    getRows() {
+        let entries = this.entries;
+        if (this.strategy === 'stratified' && this.budget !== Infinity) {
+            entries = this.allocateStrata();
+        }
+        return entries
+            .slice()
+            .sort((a, b) => a.index - b.index)
+            .map(entry => entry.row);
+    }
+
+    // Split the budget across strata proportionally (largest remainder method)
+    allocateStrata() {
+        const strata = Array.from(this.strata.values());
+        const budget = Math.min(this.budget, this.seen);
+        const capacities = strata.map(stratum => stratum.entries.length);
+        const counts = RowSampler.allocate(strata.map(stratum => stratum.seen), budget, capacities);
+
+        // A small stratum can hold fewer rows than its share; the rest goes to strata with rows to spare
+        const shortfall = budget - counts.reduce((sum, count) => sum + count, 0);
+        if (shortfall > 0) {
+            const spare = capacities.map((capacity, i) => capacity - counts[i]);
+            RowSampler.allocate(spare, shortfall, spare, 'equal').forEach((extra, i) => {
+                counts[i] += extra;
+            });
+        }
+
+        const selected = [];
+        strata.forEach((stratum, i) => {
+            selected.push(...RowSampler.pick(stratum.entries, counts[i], this.random));
+        });
+        return selected;
+    }
+
+    // Split a budget across groups. 'proportional' follows the weights (largest remainder method);
+    // 'equal' gives every group the same share and passes what small groups cannot use to the rest.
+    // No group gets more than its capacity.
+    static allocate(weights, budget, capacities = weights, allocation = 'proportional') {
+        const counts = weights.map(() => 0);
+        const available = capacities.reduce((sum, capacity) => sum + capacity, 0);
+        let remaining = Math.min(budget, available);
+
+        if (allocation === 'equal') {
+            let open = capacities.map((capacity, i) => i).filter(i => capacities[i] > 0);
+            while (remaining > 0 && open.length > 0) {
+                const share = Math.floor(remaining / open.length);
+                if (share === 0) {
+                    // Fewer units left than groups: the groups with the most room get one each
+                    open
+                        .slice()
+                        .sort((a, b) => (capacities[b] - counts[b]) - (capacities[a] - counts[a]))
+                        .slice(0, remaining)
+                        .forEach(i => counts[i]++);
+                    break;
+                }
+                open.forEach(i => {
+                    const added = Math.min(share, capacities[i] - counts[i]);
+                    counts[i] += added;
+                    remaining -= added;
+                });
+                open = open.filter(i => counts[i] < capacities[i]);
+            }
+            return counts;
+        }
+
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total === 0) return counts;
+        const quotas = weights.map((weight, i) => {
+            const exact = remaining * weight / total;
+            return { i, count: Math.min(Math.floor(exact), capacities[i]), remainder: exact - Math.floor(exact) };
+        });
+        remaining -= quotas.reduce((sum, quota) => sum + quota.count, 0);
+        quotas
+            .slice()
+            .sort((a, b) => b.remainder - a.remainder)
+            .forEach(quota => {
+                if (remaining > 0 && quota.count < capacities[quota.i]) {
+                    quota.count++;
+                    remaining--;
+                }
+            });
+        quotas.forEach(quota => {
+            counts[quota.i] = quota.count;
+        });
+        return counts;
+    }
+
+    // Uniform random subset of count items (partial Fisher-Yates shuffle, so any prefix is a uniform subsample)
+    static pick(items, count, random) {
+        const pool = Array.from(items);
+        const picked = [];
+        for (let i = 0; i < Math.min(count, pool.length); i++) {
+            const j = i + Math.floor(random() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+            picked.push(pool[i]);
+        }
+        return picked;
+    }
+
+    // Deterministic pseudo-random generator (mulberry32)
+    static createRandom(seed) {
+        let state = (Number(seed) >>> 0) || 0x9E3779B9;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Stratified sampling holds at most this many times the budget, and each thinning keeps this share of it
+RowSampler.STRATA_SLACK = 2;
+RowSampler.STRATA_THINNING = 0.75;
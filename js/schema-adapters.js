@@ -0,0 +1,81 @@
+// Schema Adapters - recognize a trending CSV format from its header row and map it to the internal row shape
+class SchemaAdapter {
+    constructor({ id, label, requiredHeaders, renames = {}, columns }) {
+        this.id = id;
+        this.label = label;
+        // Headers that identify the format
+        this.requiredHeaders = requiredHeaders;
+        // Source header -> internal column name
+        this.renames = renames;
+        this.schema = new Schema(columns);
+    }
+
+    // Whether a header row belongs to this format
+    matches(headers) {
+        return this.requiredHeaders.every(header => headers.includes(header));
+    }
+
+    // Internal column names for a header row
+    mapHeaders(headers) {
+        return headers.map(header => this.renames[header] || header);
+    }
+
+    // Add a format; adapters are tried in registration order
+    static register(adapter) {
+        SchemaAdapter.ADAPTERS = SchemaAdapter.ADAPTERS.filter(existing => existing.id !== adapter.id);
+        SchemaAdapter.ADAPTERS.push(adapter);
+        return adapter;
+    }
+
+    // Adapter for a header row, or null when no registered format matches
+    static detect(headers) {
+        return SchemaAdapter.ADAPTERS.find(adapter => adapter.matches(headers)) || null;
+    }
+
+    static get(id) {
+        return SchemaAdapter.ADAPTERS.find(adapter => adapter.id === id) || null;
+    }
+}
+
+SchemaAdapter.ADAPTERS = [];
+
+// 2017–2018 Kaggle files (USvideos.csv, ...): YY.DD.MM trending dates, dislikes included
+SchemaAdapter.register(new SchemaAdapter({
+    id: 'kaggle-2017',
+    label: 'Kaggle 2017–2018',
+    requiredHeaders: ['video_id', 'trending_date', 'category_id', 'views'],
+    columns: Schema.TRENDING_COLUMNS
+}));
+
+// Newer daily scrapes (US_youtube_trending_data.csv, ...): camelCase ids, ISO dates, view_count, no dislikes
+SchemaAdapter.register(new SchemaAdapter({
+    id: 'trending-2020',
+    label: 'YouTube Trending 2020+',
+    requiredHeaders: ['video_id', 'publishedAt', 'channelId', 'trending_date', 'view_count'],
+    renames: {
+        publishedAt: 'publish_time',
+        channelId: 'channel_id',
+        channelTitle: 'channel_title',
+        categoryId: 'category_id',
+        view_count: 'views'
+    },
+    columns: [
+        { name: 'video_id', type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{11}$/ },
+        { name: 'title', type: 'string', required: true },
+        { name: 'publish_time', type: 'datetime', required: true, min: '2005-04-23' },
+        { name: 'channel_id', type: 'string', required: true },
+        { name: 'channel_title', type: 'string', required: true },
+        { name: 'category_id', type: 'integer', required: true, min: 1 },
+        { name: 'trending_date', type: 'iso-date', required: true, target: 'trending_date_parsed', min: '2005-04-23' },
+        { name: 'tags', type: 'string', required: false },
+        { name: 'views', type: 'integer', required: true, min: 0 },
+        { name: 'likes', type: 'integer', required: true, min: 0 },
+        // Hidden by YouTube since late 2021; rows without the column keep null rather than 0
+        { name: 'dislikes', type: 'integer', required: false, min: 0, missingValue: null },
+        { name: 'comment_count', type: 'integer', required: true, min: 0 },
+        { name: 'thumbnail_link', type: 'string', required: false },
+        { name: 'comments_disabled', type: 'boolean', required: false },
+        { name: 'ratings_disabled', type: 'boolean', required: false },
+        { name: 'description', type: 'string', required: false }
+    ]
+}));
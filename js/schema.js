@@ -0,0 +1,165 @@
+// Schema Module - column types and ranges for trending CSVs, plus per-country data-quality reports
+class Schema {
+    constructor(columns = Schema.TRENDING_COLUMNS) {
+        this.columns = columns;
+    }
+
+    // Required columns that a header row lacks
+    findMissingColumns(headers) {
+        return this.columns
+            .filter(column => column.required && !headers.includes(column.name))
+            .map(column => column.name);
+    }
+
+    // Empty report for one country's file (plain data so it can be posted and cached)
+    createReport(headers = []) {
+        return {
+            checked: 0,
+            rowsWithIssues: 0,
+            missingColumns: this.findMissingColumns(headers),
+            issues: {}
+        };
+    }
+
+    // Convert a raw field to its column type; issue is null, 'empty', 'invalid' or 'out-of-range'
+    parseValue(column, raw) {
+        if (raw === '') {
+            return { value: Schema.EMPTY_VALUES[column.type], issue: column.required ? 'empty' : null };
+        }
+
+        switch (column.type) {
+            case 'integer':
+                return this.parseInteger(column, raw);
+            case 'boolean':
+                return this.parseBoolean(raw);
+            case 'trending-date':
+                return this.parseDate(column, Schema.parseTrendingDate(raw));
+            case 'iso-date':
+                return this.parseDate(column, Schema.parseIsoDate(raw));
+            case 'datetime':
+                // The row keeps the original string; only its validity is checked
+                return { value: raw, issue: this.parseDate(column, new Date(raw)).issue };
+            default:
+                if (column.pattern && !column.pattern.test(raw)) {
+                    return { value: raw, issue: 'invalid' };
+                }
+                return { value: raw, issue: null };
+        }
+    }
+
+    parseInteger(column, raw) {
+        if (!/^[+-]?\d+$/.test(raw)) {
+            return { value: parseInt(raw) || 0, issue: 'invalid' };
+        }
+        const value = parseInt(raw, 10);
+        if ((column.min !== undefined && value < column.min) ||
+            (column.max !== undefined && value > column.max)) {
+            return { value, issue: 'out-of-range' };
+        }
+        return { value, issue: null };
+    }
+
+    parseBoolean(raw) {
+        const normalized = raw.toLowerCase();
+        if (normalized === 'true') return { value: true, issue: null };
+        if (normalized === 'false') return { value: false, issue: null };
+        return { value: false, issue: 'invalid' };
+    }
+
+    // Unparseable dates become null; dates outside the column's range are kept but reported
+    parseDate(column, date) {
+        if (!date || isNaN(date.getTime())) {
+            return { value: null, issue: 'invalid' };
+        }
+        if ((column.min && date < new Date(column.min)) || (column.max && date > new Date(column.max))) {
+            return { value: date, issue: 'out-of-range' };
+        }
+        return { value: date, issue: null };
+    }
+
+    // Count an issue and keep the first few offending rows as examples
+    recordIssue(report, column, kind, sample) {
+        const key = `${column}:${kind}`;
+        if (!report.issues[key]) {
+            report.issues[key] = { column, kind, count: 0, samples: [] };
+        }
+        const issue = report.issues[key];
+        issue.count++;
+        if (issue.samples.length < Schema.SAMPLE_LIMIT) {
+            issue.samples.push(sample);
+        }
+    }
+
+    // Parse trending date format YY.DD.MM (e.g., "17.14.11"); null unless it is a real calendar day
+    static parseTrendingDate(dateStr) {
+        const match = /^(\d{2})\.(\d{2})\.(\d{2})$/.exec(dateStr.trim());
+        if (!match) return null;
+
+        const year = 2000 + parseInt(match[1], 10);
+        const day = parseInt(match[2], 10);
+        const month = parseInt(match[3], 10);
+        const date = new Date(year, month - 1, day);
+        // new Date() rolls invalid days over (e.g. 31.11 becomes 1.12), so check the parts survived
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    // Parse the day of an ISO timestamp (e.g., "2020-08-12T00:00:00Z") as local midnight, like trending dates
+    static parseIsoDate(dateStr) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]|$)/.exec(dateStr.trim());
+        if (!match) return null;
+
+        const year = parseInt(match[1], 10);
+        const month = parseInt(match[2], 10);
+        const day = parseInt(match[3], 10);
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+}
+
+// Columns of the Kaggle trending CSVs; 'target' names the row field a converted value goes to,
+// 'missingValue' the value used when the file has no such column
+Schema.TRENDING_COLUMNS = [
+    { name: 'video_id', type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{11}$/ },
+    { name: 'trending_date', type: 'trending-date', required: true, target: 'trending_date_parsed', min: '2005-04-23' },
+    { name: 'title', type: 'string', required: true },
+    { name: 'channel_title', type: 'string', required: true },
+    { name: 'category_id', type: 'integer', required: true, min: 1 },
+    { name: 'publish_time', type: 'datetime', required: true, min: '2005-04-23' },
+    { name: 'tags', type: 'string', required: false },
+    { name: 'views', type: 'integer', required: true, min: 0 },
+    { name: 'likes', type: 'integer', required: true, min: 0 },
+    { name: 'dislikes', type: 'integer', required: true, min: 0 },
+    { name: 'comment_count', type: 'integer', required: true, min: 0 },
+    { name: 'thumbnail_link', type: 'string', required: false },
+    { name: 'comments_disabled', type: 'boolean', required: false },
+    { name: 'ratings_disabled', type: 'boolean', required: false },
+    { name: 'video_error_or_removed', type: 'boolean', required: false },
+    { name: 'description', type: 'string', required: false }
+];
+
+// Values used in place of empty fields
+Schema.EMPTY_VALUES = {
+    'string': '',
+    'integer': 0,
+    'boolean': false,
+    'trending-date': null,
+    'iso-date': null,
+    'datetime': ''
+};
+
+// Example rows kept per issue
+Schema.SAMPLE_LIMIT = 3;
+
+// Wording for each issue kind in the Data Quality panel
+Schema.ISSUE_LABELS = {
+    'empty': 'empty value',
+    'invalid': 'invalid value',
+    'out-of-range': 'out of range',
+    'unknown': 'not in category file'
+};
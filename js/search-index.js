@@ -0,0 +1,220 @@
+// Search Index Module - an inverted index for full-text search over documents made of weighted text fields.
+// Words are runs of Unicode letters and digits, lowercased with Latin accents dropped; Chinese, Japanese and
+// Korean are indexed as overlapping character pairs so any part of a phrase or compound can be found.
+class SearchIndex {
+    // count documents numbered 0..count-1; fields: [{ name, weight, text: doc => string }]
+    constructor(count, fields) {
+        this.count = count;
+        this.fields = fields;
+        this.lastMask = null;
+        this.build();
+    }
+
+    // Tokenize every document, then invert the per-document terms into postings per term
+    build() {
+        const termIds = new Map();
+        const found = [];
+        let docTerms = new Uint32Array(1024);
+        let docFields = new Uint8Array(1024);
+        let length = 0;
+        const docOffsets = new Uint32Array(this.count + 1);
+        const seen = new Map();
+
+        for (let doc = 0; doc < this.count; doc++) {
+            // Term id → bit mask of the fields it occurs in
+            seen.clear();
+            this.fields.forEach((field, f) => {
+                SearchIndex.tokenize(field.text(doc)).forEach(token => {
+                    let id = termIds.get(token);
+                    if (id === undefined) {
+                        id = found.length;
+                        termIds.set(token, id);
+                        found.push(token);
+                    }
+                    seen.set(id, (seen.get(id) || 0) | (1 << f));
+                });
+            });
+            if (length + seen.size > docTerms.length) {
+                const capacity = Math.max(docTerms.length * 2, length + seen.size);
+                docTerms = SearchIndex.grow(docTerms, capacity);
+                docFields = SearchIndex.grow(docFields, capacity);
+            }
+            seen.forEach((mask, id) => {
+                docTerms[length] = id;
+                docFields[length] = mask;
+                length++;
+            });
+            docOffsets[doc + 1] = length;
+        }
+
+        // Terms in string order, so the terms sharing a prefix are one contiguous range
+        const order = found.map((_, id) => id).sort((a, b) => found[a] < found[b] ? -1 : found[a] > found[b] ? 1 : 0);
+        const position = new Uint32Array(found.length);
+        order.forEach((id, index) => {
+            position[id] = index;
+        });
+        this.terms = order.map(id => found[id]);
+
+        this.offsets = new Uint32Array(this.terms.length + 1);
+        for (let i = 0; i < length; i++) {
+            this.offsets[position[docTerms[i]] + 1]++;
+        }
+        for (let term = 0; term < this.terms.length; term++) {
+            this.offsets[term + 1] += this.offsets[term];
+        }
+        this.postings = new Uint32Array(length);
+        this.postingFields = new Uint8Array(length);
+        const cursor = this.offsets.slice(0, -1);
+        for (let doc = 0; doc < this.count; doc++) {
+            for (let i = docOffsets[doc]; i < docOffsets[doc + 1]; i++) {
+                const term = position[docTerms[i]];
+                this.postings[cursor[term]] = doc;
+                this.postingFields[cursor[term]++] = docFields[i];
+            }
+        }
+
+        // Score of a term occurring in a set of fields (indexed by field mask)
+        this.fieldScores = Float64Array.from({ length: 1 << this.fields.length }, (_, mask) =>
+            this.fields.reduce((score, field, f) => mask & (1 << f) ? score + field.weight : score, 0)
+        );
+    }
+
+    // Documents containing every word of the query, each word matching as a prefix (so "tay" finds
+    // "taylor"): { docs, scores } with docs in ascending order. Words found in higher-weighted fields and
+    // rarer words score higher, and a word matching a whole term scores above a prefix of a longer one.
+    match(query) {
+        const tokens = Array.from(new Set(SearchIndex.tokenize(query)));
+        if (tokens.length === 0) return { docs: new Uint32Array(0), scores: new Float64Array(0) };
+
+        const total = new Float64Array(this.count);
+        const matched = new Uint16Array(this.count);
+        const best = new Float64Array(this.count);
+        tokens.forEach((token, k) => {
+            const touched = [];
+            this.expand(token).forEach(term => {
+                const frequency = this.offsets[term + 1] - this.offsets[term];
+                const idf = Math.log(1 + (this.count - frequency + 0.5) / (frequency + 0.5));
+                const weight = idf * (this.terms[term] === token ? 1 : SearchIndex.PREFIX_WEIGHT);
+                for (let p = this.offsets[term]; p < this.offsets[term + 1]; p++) {
+                    const doc = this.postings[p];
+                    const score = weight * this.fieldScores[this.postingFields[p]];
+                    if (best[doc] === 0) touched.push(doc);
+                    if (score > best[doc]) best[doc] = score;
+                }
+            });
+            // A document stays a match only while it has matched every earlier word
+            touched.forEach(doc => {
+                if (matched[doc] === k) {
+                    matched[doc]++;
+                    total[doc] += best[doc];
+                }
+                best[doc] = 0;
+            });
+        });
+
+        const docs = [];
+        for (let doc = 0; doc < this.count; doc++) {
+            if (matched[doc] === tokens.length) docs.push(doc);
+        }
+        return { docs: Uint32Array.from(docs), scores: Float64Array.from(docs, doc => total[doc]) };
+    }
+
+    // Best matches first: [{ doc, score }]. Equal scores are ordered by tiebreak(doc), highest first.
+    search(query, limit = 10, tiebreak = () => 0) {
+        const { docs, scores } = this.match(query);
+        return Array.from(docs, (doc, i) => ({ doc, score: scores[i] }))
+            .sort((a, b) => b.score - a.score || tiebreak(b.doc) - tiebreak(a.doc))
+            .slice(0, limit);
+    }
+
+    // 1 per matching document (the last query's mask is kept, since filters ask for it once per chart)
+    matchMask(query) {
+        if (this.lastMask && this.lastMask.query === query) return this.lastMask.mask;
+        const mask = new Uint8Array(this.count);
+        this.match(query).docs.forEach(doc => {
+            mask[doc] = 1;
+        });
+        this.lastMask = { query, mask };
+        return mask;
+    }
+
+    // Terms starting with a token; past PREFIX_TERMS of them only the most frequent are kept (plus the token itself)
+    expand(token) {
+        const first = SearchIndex.lowerBound(this.terms, token);
+        let end = first;
+        while (end < this.terms.length && this.terms[end].startsWith(token)) end++;
+
+        const terms = Array.from({ length: end - first }, (_, i) => first + i);
+        if (terms.length <= SearchIndex.PREFIX_TERMS) return terms;
+        const frequency = term => this.offsets[term + 1] - this.offsets[term];
+        const kept = terms.sort((a, b) => frequency(b) - frequency(a)).slice(0, SearchIndex.PREFIX_TERMS);
+        if (this.terms[first] === token && !kept.includes(first)) kept.push(first);
+        return kept;
+    }
+
+    // First index of a sorted array whose value is not below the given one
+    static lowerBound(sorted, value) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (sorted[middle] < value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    // Search terms of a text, in order and with repeats: numbers, words of two or more characters, and
+    // overlapping pairs of Han, Hiragana, Katakana and Hangul characters (a lone character stands alone)
+    static tokenize(text) {
+        const tokens = [];
+        if (!text) return tokens;
+        const words = SearchIndex.normalize(text).match(SearchIndex.WORD_PATTERN) || [];
+        words.forEach(word => {
+            word.split(SearchIndex.CJK_RUN_PATTERN).forEach((part, i) => {
+                if (!part) return;
+                if (i % 2 === 0) {
+                    if (part.length >= 2 || SearchIndex.NUMBER_PATTERN.test(part)) tokens.push(part);
+                    return;
+                }
+                const chars = Array.from(part);
+                if (chars.length === 1) tokens.push(part);
+                for (let c = 0; c + 1 < chars.length; c++) {
+                    tokens.push(chars[c] + chars[c + 1]);
+                }
+            });
+        });
+        return tokens;
+    }
+
+    // Lowercase with compatibility forms folded (full-width letters, half-width katakana), Latin accents
+    // dropped and ё read as е; other scripts keep their marks (Japanese voicing marks change the word)
+    static normalize(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(SearchIndex.LATIN_MARK_PATTERN, '$1')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/ё/g, 'е');
+    }
+
+    static grow(array, capacity) {
+        const grown = new array.constructor(capacity);
+        grown.set(array);
+        return grown;
+    }
+}
+
+SearchIndex.WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+SearchIndex.NUMBER_PATTERN = /^\p{N}+$/u;
+// Splits a word around its Chinese / Japanese / Korean runs (odd parts are the runs). Korean is spaced, but
+// its words are long compounds (names, particles attached), so a query often matches only part of one.
+SearchIndex.CJK_RUN_PATTERN = /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+)/u;
+SearchIndex.LATIN_MARK_PATTERN = /(\p{Script=Latin})\p{M}+/gu;
+// Score of a query word matching a longer term, relative to matching a whole term
+SearchIndex.PREFIX_WEIGHT = 0.6;
+// Most terms a query word expands to (short prefixes can start thousands of terms)
+SearchIndex.PREFIX_TERMS = 200;
@@ -0,0 +1,28 @@
+// Selection State Module - the marks picked in one chart (a brushed range, a clicked slice, cell or tile),
+// kept as a filter so every other chart can be narrowed to the same videos
+class SelectionState {
+    // Validated copy of a selection ({ source, label, filters }), or null when it does not restrict anything
+    static normalize(selection) {
+        if (!selection || typeof selection.source !== 'string' || !selection.source) return null;
+        const filters = FilterState.normalize(selection.filters);
+        if (FilterState.isEmpty(filters)) return null;
+        return {
+            source: selection.source,
+            label: typeof selection.label === 'string' ? selection.label : '',
+            filters
+        };
+    }
+
+    // Whether two selections pick the same videos in the same chart
+    static equals(a, b) {
+        if (!a || !b) return !a && !b;
+        return a.source === b.source &&
+            JSON.stringify(FilterState.normalize(a.filters)) === JSON.stringify(FilterState.normalize(b.filters));
+    }
+
+    // Filter a chart's data is narrowed by, or null. The chart a selection was made in keeps all of its
+    // marks and highlights the selected ones instead.
+    static filtersFor(selection, chartId) {
+        return selection && selection.source !== chartId ? selection.filters : null;
+    }
+}
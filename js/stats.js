@@ -0,0 +1,254 @@
+// Stats Module - correlation coefficients and line fits for paired numeric columns (plain arrays or typed arrays)
+class Stats {
+    static mean(values) {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += values[i];
+        return values.length > 0 ? sum / values.length : 0;
+    }
+
+    static median(values) {
+        return Stats.quantileSorted(Float64Array.from(values).sort(), 0.5);
+    }
+
+    // Linearly interpolated quantile of ascending values
+    static quantileSorted(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const position = (sorted.length - 1) * Math.min(1, Math.max(0, p));
+        const below = Math.floor(position);
+        const above = Math.min(sorted.length - 1, below + 1);
+        return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+    }
+
+    // Pearson correlation coefficient (0 when either column is constant)
+    static pearson(xs, ys) {
+        const meanX = Stats.mean(xs);
+        const meanY = Stats.mean(ys);
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        for (let i = 0; i < xs.length; i++) {
+            const dx = xs[i] - meanX;
+            const dy = ys[i] - meanY;
+            sxy += dx * dy;
+            sxx += dx * dx;
+            syy += dy * dy;
+        }
+        return sxx === 0 || syy === 0 ? 0 : sxy / Math.sqrt(sxx * syy);
+    }
+
+    // 1-based ranks, tied values sharing their average rank
+    static ranks(values) {
+        const n = values.length;
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+        const ranks = new Float64Array(n);
+        for (let start = 0; start < n;) {
+            let end = start + 1;
+            while (end < n && values[order[end]] === values[order[start]]) end++;
+            const rank = (start + 1 + end) / 2;
+            for (let k = start; k < end; k++) ranks[order[k]] = rank;
+            start = end;
+        }
+        return ranks;
+    }
+
+    // Spearman's rank correlation (Pearson over tie-averaged ranks)
+    static spearman(xs, ys) {
+        return Stats.pearson(Stats.ranks(xs), Stats.ranks(ys));
+    }
+
+    // Kendall's tau-b, counting discordant pairs with a merge sort (Knight's O(n log n) method)
+    static kendall(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return 0;
+
+        // Pairs tied in a run of equal neighbours, where same(i - 1, i) compares neighbours
+        const tiedPairs = (same) => {
+            let pairs = 0;
+            let run = 1;
+            for (let i = 1; i < n; i++) {
+                if (same(i - 1, i)) {
+                    run++;
+                } else {
+                    pairs += run * (run - 1) / 2;
+                    run = 1;
+                }
+            }
+            return pairs + run * (run - 1) / 2;
+        };
+
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => xs[a] - xs[b] || ys[a] - ys[b]);
+        const xTies = tiedPairs((a, b) => xs[order[a]] === xs[order[b]]);
+        const jointTies = tiedPairs((a, b) => xs[order[a]] === xs[order[b]] && ys[order[a]] === ys[order[b]]);
+
+        // Sorting y (in x order) moves each value past every value it is discordant with
+        let values = Float64Array.from(order, i => ys[i]);
+        let buffer = new Float64Array(n);
+        let swaps = 0;
+        for (let width = 1; width < n; width *= 2) {
+            for (let start = 0; start < n; start += 2 * width) {
+                const middle = Math.min(start + width, n);
+                const end = Math.min(start + 2 * width, n);
+                let i = start;
+                let j = middle;
+                let k = start;
+                while (i < middle && j < end) {
+                    if (values[j] < values[i]) {
+                        swaps += middle - i;
+                        buffer[k++] = values[j++];
+                    } else {
+                        buffer[k++] = values[i++];
+                    }
+                }
+                while (i < middle) buffer[k++] = values[i++];
+                while (j < end) buffer[k++] = values[j++];
+            }
+            [values, buffer] = [buffer, values];
+        }
+        const yTies = tiedPairs((a, b) => values[a] === values[b]);
+
+        const pairs = n * (n - 1) / 2;
+        const denominator = Math.sqrt((pairs - xTies) * (pairs - yTies));
+        return denominator === 0 ? 0 : (pairs - xTies - yTies + jointTies - 2 * swaps) / denominator;
+    }
+
+    // Ordinary least-squares line, or null with fewer than 3 points or a constant x.
+    // interval(x) is the confidence band of the fitted mean at x; leverage(x) is a point's hat value.
+    static leastSquares(xs, ys, confidence = 0.95) {
+        const n = xs.length;
+        if (n < 3) return null;
+        const meanX = Stats.mean(xs);
+        const meanY = Stats.mean(ys);
+        let sxx = 0;
+        let sxy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += (xs[i] - meanX) * (xs[i] - meanX);
+            sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        }
+        if (sxx === 0) return null;
+
+        const slope = sxy / sxx;
+        const intercept = meanY - slope * meanX;
+        let residuals = 0;
+        for (let i = 0; i < n; i++) {
+            const residual = ys[i] - (intercept + slope * xs[i]);
+            residuals += residual * residual;
+        }
+        const residualSE = Math.sqrt(residuals / (n - 2));
+        const spread = residualSE * Stats.tQuantile(1 - (1 - confidence) / 2, n - 2);
+        const predict = x => intercept + slope * x;
+        const leverage = x => 1 / n + (x - meanX) * (x - meanX) / sxx;
+
+        return {
+            method: 'least-squares',
+            n,
+            slope,
+            intercept,
+            residualSE,
+            predict,
+            leverage,
+            interval: x => {
+                const half = spread * Math.sqrt(leverage(x));
+                return [predict(x) - half, predict(x) + half];
+            }
+        };
+    }
+
+    // Standardized residuals of a least-squares model: each residual over its own standard error,
+    // s·√(1 − h), so points far out along x are not under-flagged. 0 for a perfect fit.
+    static standardizedResiduals(xs, ys, model) {
+        const residuals = new Float64Array(xs.length);
+        for (let i = 0; i < xs.length; i++) {
+            const scale = model.residualSE * Math.sqrt(Math.max(0, 1 - model.leverage(xs[i])));
+            residuals[i] = scale > 0 ? (ys[i] - model.predict(xs[i])) / scale : 0;
+        }
+        return residuals;
+    }
+
+    // Theil–Sen line: the median of the slopes between pairs of points, which a few extreme points
+    // cannot drag. Above maxPairs pairs a seeded random subset of them is used. interval(x) spans
+    // the lines through the ends of Sen's confidence interval for the slope.
+    static theilSen(xs, ys, { confidence = 0.95, maxPairs = Stats.THEIL_SEN_PAIRS, seed = 1 } = {}) {
+        const n = xs.length;
+        if (n < 3) return null;
+
+        const pairs = n * (n - 1) / 2;
+        const slopes = [];
+        if (pairs <= maxPairs) {
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    if (xs[j] !== xs[i]) slopes.push((ys[j] - ys[i]) / (xs[j] - xs[i]));
+                }
+            }
+        } else {
+            const random = RowSampler.createRandom(seed);
+            for (let draw = 0; draw < maxPairs; draw++) {
+                const i = Math.floor(random() * n);
+                let j = Math.floor(random() * (n - 1));
+                if (j >= i) j++;
+                if (xs[j] !== xs[i]) slopes.push((ys[j] - ys[i]) / (xs[j] - xs[i]));
+            }
+        }
+        if (slopes.length === 0) return null;
+
+        const sorted = Float64Array.from(slopes).sort();
+        const slope = Stats.quantileSorted(sorted, 0.5);
+        // Sen's interval leaves out C of the pair slopes, split between both ends
+        const excluded = Stats.normalQuantile(1 - (1 - confidence) / 2) * Math.sqrt(n * (n - 1) * (2 * n + 5) / 18);
+        const tail = Math.max(0, (1 - excluded / pairs) / 2);
+        const interceptFor = (b) => Stats.median(Array.from(xs, (x, i) => ys[i] - b * x));
+        const lines = [Stats.quantileSorted(sorted, tail), Stats.quantileSorted(sorted, 1 - tail)]
+            .map(b => ({ slope: b, intercept: interceptFor(b) }));
+        const intercept = interceptFor(slope);
+        const predict = x => intercept + slope * x;
+
+        return {
+            method: 'theil-sen',
+            n,
+            slope,
+            intercept,
+            predict,
+            interval: x => {
+                const values = lines.map(line => line.intercept + line.slope * x).concat(predict(x));
+                return [Math.min(...values), Math.max(...values)];
+            }
+        };
+    }
+
+    // Standard normal quantile (Acklam's rational approximation, relative error below 1.2e-9)
+    static normalQuantile(p) {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        if (p < low || p > 1 - low) {
+            const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+            const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+            return p < low ? z : -z;
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    // Student's t quantile (Cornish–Fisher expansion around the normal; close enough for confidence bands)
+    static tQuantile(p, df) {
+        const z = Stats.normalQuantile(p);
+        if (!(df > 0) || !Number.isFinite(df)) return z;
+        const z3 = z * z * z;
+        const z5 = z3 * z * z;
+        const z7 = z5 * z * z;
+        return z +
+            (z3 + z) / (4 * df) +
+            (5 * z5 + 16 * z3 + 3 * z) / (96 * df * df) +
+            (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df * df * df);
+    }
+}
+
+// Pair slopes a Theil–Sen fit computes at most (all of them below this)
+Stats.THEIL_SEN_PAIRS = 200000;
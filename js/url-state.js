@@ -0,0 +1,81 @@
+// URL State Module - dashboard state (view, counting options, filters, chart controls, zoom) in the URL hash,
+// e.g. #view=tag-flow&countries=JP&c.flow-detail-filter=detailed
+class UrlState {
+    // Hash for a state; default values are left out so links stay short
+    static stringify(state) {
+        const params = new URLSearchParams();
+        params.set('view', state.view);
+
+        if (state.unit && state.unit !== 'rows') {
+            params.set('unit', state.unit);
+        }
+        Object.entries(state.flags || {}).forEach(([flag, mode]) => {
+            if (mode !== 'include') params.set(flag, mode);
+        });
+
+        const filters = FilterState.normalize(state.filters);
+        FilterState.LIST_FIELDS.forEach(field => {
+            filters[field].forEach(value => params.append(field, value));
+        });
+        UrlState.VALUE_FIELDS.forEach(field => {
+            if (filters[field] !== null) params.set(field, filters[field]);
+        });
+
+        Object.entries(state.controls || {}).forEach(([id, value]) => {
+            params.set(UrlState.CONTROL_PREFIX + id, value);
+        });
+        if (state.zoom) {
+            params.set('zoom', [state.zoom.k, state.zoom.x, state.zoom.y].join(','));
+        }
+        return `#${params.toString()}`;
+    }
+
+    // State from a hash, or null when the hash is not a dashboard link. Anything the hash
+    // leaves out takes its default, so a link always restores the same view.
+    static parse(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        if (!params.has('view')) return null;
+
+        const flags = {};
+        Object.keys(ColumnStore.FLAGS).forEach(flag => {
+            flags[flag] = params.get(flag) || 'include';
+        });
+
+        const filters = {};
+        FilterState.LIST_FIELDS.forEach(field => {
+            filters[field] = params.getAll(field);
+        });
+        UrlState.VALUE_FIELDS.forEach(field => {
+            filters[field] = params.get(field);
+        });
+
+        const controls = {};
+        params.forEach((value, key) => {
+            if (key.startsWith(UrlState.CONTROL_PREFIX)) {
+                controls[key.slice(UrlState.CONTROL_PREFIX.length)] = value;
+            }
+        });
+
+        return {
+            view: params.get('view'),
+            unit: params.get('unit') || 'rows',
+            flags,
+            filters: FilterState.normalize(filters),
+            controls,
+            zoom: UrlState.parseZoom(params.get('zoom'))
+        };
+    }
+
+    // "k,x,y" as a zoom transform, or null when missing or malformed
+    static parseZoom(value) {
+        if (!value) return null;
+        const [k, x, y] = value.split(',').map(Number);
+        if (![k, x, y].every(Number.isFinite) || k <= 0) return null;
+        return { k, x, y };
+    }
+}
+
+// Filter fields holding one value (list fields repeat their key once per value)
+UrlState.VALUE_FIELDS = ['search', 'dateFrom', 'dateTo', 'minViews', 'maxViews', 'minLikes', 'maxLikes'];
+// Chart controls are stored by element id under this prefix
+UrlState.CONTROL_PREFIX = 'c.';
@@ -3,6 +3,29 @@ class Visualizations {
     constructor() {
         this.colorScale = d3.scaleOrdinal(d3.schemeCategory10);
         this.tooltip = this.createTooltip();
+        // Country display names by code, taken from the dataset manifest
+        this.countryNames = {};
+        // Zoom transform ({ k, x, y }) per chart section id, restored when the chart is redrawn
+        this.zoomStates = {};
+        // Optional callback receiving (chartId, zoomState) after the user zooms or pans
+        this.onZoomChange = null;
+        // Shared selection ({ source, label, filters } or null); the chart it came from highlights it
+        this.selection = null;
+        // Optional callback receiving a new selection (null to clear) picked in a chart
+        this.onSelectionChange = null;
+        // Optional callbacks receiving a clicked video's row id, or a label and a list of videos ({ id, title, ... })
+        this.onVideoOpen = null;
+        this.onVideoListOpen = null;
+        // Optional callback receiving the name of a clicked channel
+        this.onChannelOpen = null;
+    }
+
+    setCountryNames(names) {
+        this.countryNames = { ...names };
+    }
+
+    getCountryName(code) {
+        return this.countryNames[code] || code;
     }
 
     // Create reusable tooltip
@@ -13,6 +36,76 @@ class Visualizations {
             .style('opacity', 0);
     }
 
+    // Restore a chart's saved zoom and keep the saved state up to date (call once the chart is drawn)
+    bindZoomState(svg, zoom, container) {
+        const chartId = this.getChartId(container);
+        if (!chartId) return;
+
+        zoom.on('end.state', (event) => {
+            const { k, x, y } = event.transform;
+            const isIdentity = k === 1 && x === 0 && y === 0;
+            this.zoomStates[chartId] = isIdentity ? null : {
+                k: Math.round(k * 1000) / 1000,
+                x: Math.round(x),
+                y: Math.round(y)
+            };
+            if (typeof this.onZoomChange === 'function') {
+                this.onZoomChange(chartId, this.zoomStates[chartId]);
+            }
+        });
+
+        const saved = this.zoomStates[chartId];
+        if (saved) {
+            svg.call(zoom.transform, d3.zoomIdentity.translate(saved.x, saved.y).scale(saved.k));
+        }
+    }
+
+    // Section id of the chart drawn in a container
+    getChartId(container) {
+        return container.closest('.visualization')?.id || null;
+    }
+
+    // The selection made in this container's chart, or null
+    getOwnSelection(container) {
+        const chartId = this.getChartId(container);
+        return this.selection && this.selection.source === chartId ? this.selection : null;
+    }
+
+    // Report videos picked in a chart; picking the current selection again clears it
+    select(container, label, filters) {
+        const selection = { source: this.getChartId(container), label, filters };
+        if (typeof this.onSelectionChange === 'function') {
+            this.onSelectionChange(SelectionState.equals(selection, this.selection) ? null : selection);
+        }
+    }
+
+    clearSelection() {
+        if (this.selection && typeof this.onSelectionChange === 'function') {
+            this.onSelectionChange(null);
+        }
+    }
+
+    // Show the details of the video a row belongs to
+    openVideo(id) {
+        if (typeof this.onVideoOpen === 'function') {
+            this.onVideoOpen(id);
+        }
+    }
+
+    // Offer a list of videos to pick from (e.g. the videos published in a heatmap cell)
+    openVideoList(label, videos) {
+        if (typeof this.onVideoListOpen === 'function') {
+            this.onVideoListOpen(label, videos);
+        }
+    }
+
+    // Show the profile of a channel
+    openChannel(name) {
+        if (typeof this.onChannelOpen === 'function') {
+            this.onChannelOpen(name);
+        }
+    }
+
     // Clear any existing visualization
     clearVisualization(container) {
         d3.select(container).selectAll('*').remove();
@@ -192,12 +285,7 @@ class Visualizations {
 
         // Add title if country is selected
         if (selectedCountry && selectedCountry !== 'all') {
-            const countryNames = {
-                'CA': 'Canada', 'DE': 'Germany', 'FR': 'France', 'GB': 'Great Britain',
-                'IN': 'India', 'JP': 'Japan', 'KR': 'South Korea', 'MX': 'Mexico',
-                'RU': 'Russia', 'US': 'United States'
-            };
-            const countryName = countryNames[selectedCountry] || selectedCountry;
+            const countryName = this.getCountryName(selectedCountry);
             
             svg.append('text')
                 .attr('x', width / 2)
@@ -226,10 +314,17 @@ class Visualizations {
             .enter().append('g')
             .attr('class', 'arc');
 
+        // Clicking a slice selects its category in every other chart; the selected slice stays opaque
+        const selected = this.getOwnSelection(container)?.filters.categories || [];
+        const isDimmed = d => selected.length > 0 && !selected.includes(d.data[0]);
+
         arcs.append('path')
             .attr('class', 'pie-slice')
+            .classed('selected', d => selected.includes(d.data[0]))
             .attr('d', arc)
             .attr('fill', (d, i) => this.colorScale(i))
+            .attr('opacity', d => isDimmed(d) ? 0.3 : 1)
+            .style('cursor', 'pointer')
             .on('mouseover', (event, d) => {
                 this.tooltip.transition().duration(200).style('opacity', 0.9);
                 this.tooltip.html(`
@@ -242,6 +337,9 @@ class Visualizations {
             })
             .on('mouseout', () => {
                 this.tooltip.transition().duration(500).style('opacity', 0);
+            })
+            .on('click', (event, d) => {
+                this.select(container, `Category: ${d.data[0]}`, { categories: [d.data[0]] });
             });
 
         // Add labels
@@ -322,7 +420,7 @@ class Visualizations {
                 this.tooltip.transition().duration(200).style('opacity', 0.9);
                 this.tooltip.html(`
                     <strong>${d.data[0]}</strong><br/>
-                    ${d3.format('.2s')(d.data[1])}
+                    ${d3.format(',.2f')(d.data[1])} per 1,000 views
                 `)
                 .style('left', (event.pageX + 10) + 'px')
                 .style('top', (event.pageY - 28) + 'px');
@@ -354,8 +452,14 @@ class Visualizations {
             });
     }
 
-    // 3. Scatter Plot - Views vs Likes
-    createScatterPlot(data, container, selectedCountry = null) {
+    // 3. Scatter Plot - Views vs Likes (data is the column result of DataLoader.getViewsVsLikes).
+    // Above Visualizations.CANVAS_POINT_THRESHOLD points the dots are drawn on a canvas under the SVG axes,
+    // and tooltips find the nearest point through a quadtree.
+    // options: xScale / yScale ('linear' or 'log'), fit ('least-squares', 'theil-sen' or 'none'),
+    // colorBy ('country' or 'none') and mode ('points', 'hexbin' or 'contours'). Fits are made in the axes'
+    // space, so log–log axes fit a power law, with one line per country when colored by country.
+    createScatterPlot(data, container, selectedCountry = null, options = {}) {
+        const { xScale: xType = 'linear', yScale: yType = 'linear', fit = 'least-squares', colorBy = 'country', mode = 'points' } = options;
         this.clearVisualization(container);
         
         const margin = { top: 40, right: 40, bottom: 120, left: 80 };
@@ -368,22 +472,21 @@ class Visualizations {
             .attr('width', width + margin.left + margin.right)
             .attr('height', height + margin.top + margin.bottom);
 
-        // Filter out extreme outliers for better visualization
-        const filteredData = data.filter(d => d.views > 0 && d.likes > 0 && d.views < 1e8 && d.likes < 1e7);
+        // Filter out extreme outliers for better visualization (a log axis spreads them out instead)
+        const filteredData = this.getScatterPoints(data)
+            .filter(d => d.views > 0 && d.likes > 0 &&
+                (xType === 'log' || d.views < 1e8) && (yType === 'log' || d.likes < 1e7));
+        const useDensity = mode === 'hexbin' || mode === 'contours';
+        const useCanvas = !useDensity && filteredData.length > Visualizations.CANVAS_POINT_THRESHOLD;
         
         // Create scales
-        const xScale = d3.scaleLinear()
-            .domain([0, d3.max(filteredData, d => d.views)])
-            .range([0, width])
-            .nice();
-
-        const yScale = d3.scaleLinear()
-            .domain([0, d3.max(filteredData, d => d.likes)])
-            .range([height, 0])
-            .nice();
+        const xScale = this.createCountScale(xType, d3.extent(filteredData, d => d.views), [0, width]);
+        const yScale = this.createCountScale(yType, d3.extent(filteredData, d => d.likes), [height, 0]);
+        const countAxis = (axis, scale) => this.formatCountAxis(axis, scale);
 
         const colorByCountry = d3.scaleOrdinal(d3.schemeCategory10)
             .domain([...new Set(filteredData.map(d => d.country))]);
+        const pointColor = colorBy === 'country' ? d => colorByCountry(d.country) : () => Visualizations.SCATTER_COLOR;
 
         // Create main chart group
         const g = svg.append('g')
@@ -391,12 +494,7 @@ class Visualizations {
 
         // Add title if country is selected
         if (selectedCountry && selectedCountry !== 'all') {
-            const countryNames = {
-                'CA': 'Canada', 'DE': 'Germany', 'FR': 'France', 'GB': 'Great Britain',
-                'IN': 'India', 'JP': 'Japan', 'KR': 'South Korea', 'MX': 'Mexico',
-                'RU': 'Russia', 'US': 'United States'
-            };
-            const countryName = countryNames[selectedCountry] || selectedCountry;
+            const countryName = this.getCountryName(selectedCountry);
             
             svg.append('text')
                 .attr('x', (width + margin.left + margin.right) / 2)
@@ -428,84 +526,236 @@ class Visualizations {
         g.append('g')
             .attr('class', 'axis x-axis')
             .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(xScale).tickFormat(d => {
-                if (d >= 1e6) return (d / 1e6).toFixed(1) + 'M';
-                if (d >= 1e3) return (d / 1e3).toFixed(1) + 'K';
-                return d;
-            }));
+            .call(countAxis(d3.axisBottom(xScale), xScale));
 
         g.append('g')
             .attr('class', 'axis y-axis')
-            .call(d3.axisLeft(yScale).tickFormat(d => {
-                if (d >= 1e6) return (d / 1e6).toFixed(1) + 'M';
-                if (d >= 1e3) return (d / 1e3).toFixed(1) + 'K';
-                return d;
-            }));
-
-        // Add trend line
-        const sortedData = filteredData.sort((a, b) => a.views - b.views);
-        const trendLine = d3.line()
-            .x(d => xScale(d.views))
-            .y(d => yScale(d.likes))
-            .curve(d3.curveLinear);
-
-        g.append('path')
-            .datum(sortedData)
-            .attr('class', 'trend-line')
-            .attr('fill', 'none')
-            .attr('stroke', '#e74c3c')
-            .attr('stroke-width', 2)
-            .attr('stroke-dasharray', '5,5')
-            .attr('d', trendLine);
+            .call(countAxis(d3.axisLeft(yScale), yScale));
+
+        // Shift-drag selects a views × likes range for every other chart (plain drags pan). The range
+        // covers every video in it, not only the sampled points drawn here.
+        const selection = this.getOwnSelection(container);
+        const selectedRange = selection ? selection.filters : null;
+        const isSelected = d => !!selectedRange &&
+            (selectedRange.minViews === null || d.views >= selectedRange.minViews) &&
+            (selectedRange.maxViews === null || d.views <= selectedRange.maxViews) &&
+            (selectedRange.minLikes === null || d.likes >= selectedRange.minLikes) &&
+            (selectedRange.maxLikes === null || d.likes <= selectedRange.maxLikes);
+        let currentXScale = xScale;
+        let currentYScale = yScale;
+        const brush = d3.brush()
+            .extent([[0, 0], [width, height]])
+            .filter(event => event.shiftKey && !event.button)
+            .on('end', (event) => {
+                // Moves made when the chart is drawn or zoomed are not user selections
+                if (!event.sourceEvent) return;
+                if (!event.selection) {
+                    this.clearSelection();
+                    return;
+                }
+                const [[x0, y0], [x1, y1]] = event.selection;
+                const range = {
+                    minViews: Math.max(0, Math.floor(currentXScale.invert(x0))),
+                    maxViews: Math.ceil(currentXScale.invert(x1)),
+                    minLikes: Math.max(0, Math.floor(currentYScale.invert(y1))),
+                    maxLikes: Math.ceil(currentYScale.invert(y0))
+                };
+                const format = d3.format('.3s');
+                this.select(container,
+                    `Views ${format(range.minViews)}–${format(range.maxViews)}, likes ${format(range.minLikes)}–${format(range.maxLikes)}`,
+                    range);
+            });
+        const moveBrush = (brushGroup, x, y) => {
+            if (!selectedRange) return;
+            // Open bounds, and a zero lower bound on a log axis, reach the edge of the plot
+            const open = (value, scale) => value === null || (scale === x ? xType : yType) === 'log' && value <= 0;
+            const x0 = open(selectedRange.minViews, x) ? 0 : Math.max(0, x(selectedRange.minViews));
+            const x1 = open(selectedRange.maxViews, x) ? width : Math.min(width, x(selectedRange.maxViews));
+            const y0 = open(selectedRange.maxLikes, y) ? 0 : Math.max(0, y(selectedRange.maxLikes));
+            const y1 = open(selectedRange.minLikes, y) ? height : Math.min(height, y(selectedRange.minLikes));
+            brushGroup.call(brush.move, x0 < x1 && y0 < y1 ? [[x0, y0], [x1, y1]] : null);
+        };
 
+        // Brush below the points so hovering them still shows their tooltips
+        const brushGroup = g.append('g')
+            .attr('class', 'brush')
+            .call(brush);
+        moveBrush(brushGroup, xScale, yScale);
 
+        const showPointTooltip = (event, d) => {
+            this.tooltip.transition().duration(200).style('opacity', 0.9);
+            this.tooltip.html(`
+                <strong>${d.title.substring(0, 40)}...</strong><br/>
+                Views: ${d3.format(',')(d.views)}<br/>
+                Likes: ${d3.format(',')(d.likes)}<br/>
+                Country: ${d.country}<br/>
+                Category: ${d.category}<br/>
+                <em>Click for details</em>
+            `)
+            .style('left', (event.pageX + 10) + 'px')
+            .style('top', (event.pageY - 28) + 'px');
+        };
 
-        // Points with better styling
-        g.selectAll('.dot')
-            .data(filteredData)
-            .enter().append('circle')
-            .attr('class', 'dot')
-            .attr('cx', d => xScale(d.views))
-            .attr('cy', d => yScale(d.likes))
-            .attr('r', 4)
-            .attr('fill', d => colorByCountry(d.country))
-            .attr('stroke', 'white')
-            .attr('stroke-width', 1)
-            .attr('opacity', 0.7)
-            .on('mouseover', (event, d) => {
-                d3.select(event.target)
-                    .attr('r', 6)
-                    .attr('opacity', 1);
-                
+        // Canvas layer for large point counts; redraws are batched to one per animation frame
+        let scheduleCanvasDraw = null;
+        let currentTransform = d3.zoomIdentity;
+        let density = null;
+        if (useDensity) {
+            density = this.createScatterDensity(g, filteredData, { mode, colorBy, color: colorByCountry, width, height });
+            density.draw(xScale, yScale);
+
+            // Tooltips describe the hexagon under the pointer (in contour mode too)
+            const hoverBin = g.append('path')
+                .attr('class', 'hover-bin')
+                .attr('d', density.hexagon)
+                .attr('fill', 'none')
+                .attr('stroke', '#2c3e50')
+                .attr('stroke-width', 2)
+                .style('pointer-events', 'none')
+                .style('display', 'none');
+            const hideHover = () => {
+                hoverBin.style('display', 'none');
+                this.tooltip.transition().duration(500).style('opacity', 0);
+            };
+            svg.on('mousemove.hover', (event) => {
+                const [mouseX, mouseY] = d3.pointer(event, g.node());
+                const bin = mouseX >= 0 && mouseX <= width && mouseY >= 0 && mouseY <= height
+                    ? density.lookup(mouseX, mouseY)
+                    : null;
+                if (!bin) {
+                    hideHover();
+                    return;
+                }
+                hoverBin.attr('transform', `translate(${bin.x},${bin.y})`).style('display', null);
+                const countries = colorBy === 'country'
+                    ? `<br/>${bin.countries.slice(0, 4).map(([country, count]) => `${country}: ${d3.format(',')(count)}`).join(', ')}`
+                    : '';
                 this.tooltip.transition().duration(200).style('opacity', 0.9);
                 this.tooltip.html(`
-                    <strong>${d.title.substring(0, 40)}...</strong><br/>
-                    Views: ${d3.format(',')(d.views)}<br/>
-                    Likes: ${d3.format(',')(d.likes)}<br/>
-                    Country: ${d.country}<br/>
-                    Category: ${d.category}
+                    <strong>${d3.format(',')(bin.count)} video${bin.count === 1 ? '' : 's'}</strong><br/>
+                    Median like ratio: ${d3.format('.2%')(bin.ratio)}${countries}
                 `)
                 .style('left', (event.pageX + 10) + 'px')
                 .style('top', (event.pageY - 28) + 'px');
-            })
-            .on('mouseout', (event) => {
-                d3.select(event.target)
-                    .attr('r', 4)
-                    .attr('opacity', 0.7);
+            });
+            svg.on('mouseleave.hover', hideHover);
+        } else if (useCanvas) {
+            const draw = this.createScatterCanvas(container, svg, margin, width, height, filteredData, {
+                color: pointColor,
+                opacity: d => selectedRange && !isSelected(d) ? 0.15 : 0.6
+            });
+            let frame = null;
+            scheduleCanvasDraw = (x, y) => {
+                cancelAnimationFrame(frame);
+                frame = requestAnimationFrame(() => draw(x, y));
+            };
+            draw(xScale, yScale);
+
+            // Tooltips: find the nearest point in unzoomed pixel space, where the quadtree was built
+            const quadtree = d3.quadtree()
+                .x(d => xScale(d.views))
+                .y(d => yScale(d.likes))
+                .addAll(filteredData);
+            const hoverPoint = g.append('circle')
+                .attr('class', 'hover-point')
+                .attr('r', 6)
+                .attr('stroke', 'white')
+                .attr('stroke-width', 2)
+                .style('pointer-events', 'none')
+                .style('display', 'none');
+            let hovered = null;
+            const hideHover = () => {
+                hovered = null;
+                hoverPoint.style('display', 'none');
                 this.tooltip.transition().duration(500).style('opacity', 0);
+            };
+            svg.on('mousemove.hover', (event) => {
+                const [mouseX, mouseY] = d3.pointer(event, g.node());
+                if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) {
+                    hideHover();
+                    return;
+                }
+                const [baseX, baseY] = currentTransform.invert([mouseX, mouseY]);
+                const d = quadtree.find(baseX, baseY, Visualizations.HIT_RADIUS / currentTransform.k);
+                if (!d) {
+                    hideHover();
+                    return;
+                }
+                hovered = d;
+                hoverPoint
+                    .attr('cx', currentXScale(d.views))
+                    .attr('cy', currentYScale(d.likes))
+                    .attr('fill', pointColor(d))
+                    .style('display', null);
+                showPointTooltip(event, d);
             });
+            svg.on('mouseleave.hover', hideHover);
+            svg.on('click.video', () => {
+                if (hovered) this.openVideo(hovered.id);
+            });
+        } else {
+            // Points with better styling
+            g.selectAll('.dot')
+                .data(filteredData)
+                .enter().append('circle')
+                .attr('class', 'dot')
+                .classed('selected', isSelected)
+                .attr('cx', d => xScale(d.views))
+                .attr('cy', d => yScale(d.likes))
+                .attr('r', 4)
+                .attr('fill', pointColor)
+                .attr('stroke', 'white')
+                .attr('stroke-width', 1)
+                .attr('opacity', d => selectedRange && !isSelected(d) ? 0.15 : 0.7)
+                .style('cursor', 'pointer')
+                .on('click', (event, d) => this.openVideo(d.id))
+                .on('mouseover', (event, d) => {
+                    d3.select(event.target)
+                        .attr('r', 6)
+                        .attr('opacity', 1);
+                    showPointTooltip(event, d);
+                })
+                .on('mouseout', (event, d) => {
+                    d3.select(event.target)
+                        .attr('r', 4)
+                        .attr('opacity', selectedRange && !isSelected(d) ? 0.15 : 0.7);
+                    this.tooltip.transition().duration(500).style('opacity', 0);
+                });
+        }
 
-        // Add correlation coefficient
-        const correlation = this.calculateCorrelation(filteredData.map(d => d.views), filteredData.map(d => d.likes));
-        
-        g.append('text')
+        if (selection) {
+            this.showSelectionInfo(filteredData.filter(isSelected), container);
+        }
+
+        // Fit lines with confidence bands, above the points
+        const fits = this.createScatterFits(g, filteredData, { xType, yType, fit, colorBy, color: colorByCountry, width, height });
+        fits.draw(xScale, yScale);
+
+        // Correlation coefficients: Pearson in the axes' space, Spearman and Kendall on ranks (which no axis changes)
+        const transformX = xType === 'log' ? Math.log10 : value => value;
+        const transformY = yType === 'log' ? Math.log10 : value => value;
+        const xs = Float64Array.from(filteredData, d => transformX(d.views));
+        const ys = Float64Array.from(filteredData, d => transformY(d.likes));
+        const space = Visualizations.getFitSpaceLabel(xType, yType);
+        const summary = [
+            { text: `Pearson r = ${Stats.pearson(xs, ys).toFixed(3)} (${space})`, bold: true },
+            { text: `Spearman ρ = ${Stats.spearman(xs, ys).toFixed(3)}` },
+            { text: `Kendall τ = ${Stats.kendall(xs, ys).toFixed(3)}` },
+            ...fits.labels
+        ];
+        g.append('g')
+            .attr('class', 'correlation-summary')
+            .style('pointer-events', 'none')
+            .selectAll('text')
+            .data(summary)
+            .enter().append('text')
             .attr('x', width - 10)
-            .attr('y', 30)
+            .attr('y', (d, i) => 30 + i * 18)
             .attr('text-anchor', 'end')
-            .style('font-size', '14px')
-            .style('font-weight', 'bold')
-            .style('fill', '#2c3e50')
-            .text(`Correlation: ${correlation.toFixed(3)}`);
+            .style('font-size', (d, i) => i === 0 ? '14px' : '12px')
+            .style('font-weight', d => d.bold ? 'bold' : 'normal')
+            .style('fill', d => d.color || '#2c3e50')
+            .text(d => d.text);
 
         // Labels
         g.append('text')
@@ -533,44 +783,51 @@ class Visualizations {
             // Keep the zoomed viewport within the chart area to avoid losing data off-screen
             .translateExtent([[0, 0], [width, height]])
             .extent([[0, 0], [width, height]])
+            .filter(event => !event.shiftKey && (!event.ctrlKey || event.type === 'wheel') && !event.button)
             .on('zoom', (event) => {
                 const { transform } = event;
                 
                 // Update scales with zoom transform
                 const newXScale = transform.rescaleX(xScale);
                 const newYScale = transform.rescaleY(yScale);
+                currentXScale = newXScale;
+                currentYScale = newYScale;
+                currentTransform = transform;
+                moveBrush(brushGroup, newXScale, newYScale);
                 
                 // Update axes
-                g.select('.x-axis').call(d3.axisBottom(newXScale).tickFormat(d => {
-                    if (d >= 1e6) return (d / 1e6).toFixed(1) + 'M';
-                    if (d >= 1e3) return (d / 1e3).toFixed(1) + 'K';
-                    return d;
-                }));
-                
-                g.select('.y-axis').call(d3.axisLeft(newYScale).tickFormat(d => {
-                    if (d >= 1e6) return (d / 1e6).toFixed(1) + 'M';
-                    if (d >= 1e3) return (d / 1e3).toFixed(1) + 'K';
-                    return d;
-                }));
+                g.select('.x-axis').call(countAxis(d3.axisBottom(newXScale), newXScale));
+                g.select('.y-axis').call(countAxis(d3.axisLeft(newYScale), newYScale));
                 
                 // Update grid lines
                 g.select('.x-grid').call(d3.axisBottom(newXScale).tickSize(-height).tickFormat(''));
                 g.select('.y-grid').call(d3.axisLeft(newYScale).tickSize(-width).tickFormat(''));
+
+                fits.draw(newXScale, newYScale);
+
+                if (density) {
+                    g.select('.hover-bin').style('display', 'none');
+                    density.preview(transform);
+                    return;
+                }
                 
+                if (scheduleCanvasDraw) {
+                    g.select('.hover-point').style('display', 'none');
+                    scheduleCanvasDraw(newXScale, newYScale);
+                    return;
+                }
+
                 // Update points
                 g.selectAll('.dot')
                     .attr('cx', d => newXScale(d.views))
                     .attr('cy', d => newYScale(d.likes));
-                
-                // Update trend line
-                const newTrendLine = d3.line()
-                    .x(d => newXScale(d.views))
-                    .y(d => newYScale(d.likes))
-                    .curve(d3.curveLinear);
-                
-                g.select('.trend-line').attr('d', newTrendLine(sortedData));
             });
 
+        // Density is recomputed for the new view once a zoom gesture ends
+        if (density) {
+            zoom.on('end.density', () => density.draw(currentXScale, currentYScale, currentTransform));
+        }
+
         // Apply zoom to entire SVG for better control
         svg.call(zoom);
 
@@ -600,21 +857,325 @@ class Visualizations {
             .style('font-weight', 'bold')
             .style('pointer-events', 'none')
             .text('Reset Zoom');
+
+        this.bindZoomState(svg, zoom, container);
     }
 
-    // Helper method to calculate correlation coefficient
-    calculateCorrelation(x, y) {
-        const n = x.length;
-        const sumX = x.reduce((a, b) => a + b, 0);
-        const sumY = y.reduce((a, b) => a + b, 0);
-        const sumXY = x.reduce((a, b, i) => a + b * y[i], 0);
-        const sumX2 = x.reduce((a, b) => a + b * b, 0);
-        const sumY2 = y.reduce((a, b) => a + b * b, 0);
-        
-        const numerator = n * sumXY - sumX * sumY;
-        const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-        
-        return denominator === 0 ? 0 : numerator / denominator;
+    // Point objects ({ id, views, likes, title, country, category }) from the scatter plot's columns
+    getScatterPoints(data) {
+        const { ids, views, likes, country, category, titles } = data.points;
+        const points = new Array(ids.length);
+        for (let i = 0; i < ids.length; i++) {
+            points[i] = {
+                id: ids[i],
+                views: views[i],
+                likes: likes[i],
+                title: titles[i] || '',
+                country: data.countries[country[i]],
+                category: data.categories[category[i]]
+            };
+        }
+        return points;
+    }
+
+    // Canvas under a chart's SVG plot area (the SVG stays on top for axes, brush, fit lines and hover marks).
+    // Returns draw(x, y), which paints the points with the given scales.
+    createScatterCanvas(container, svg, margin, width, height, points, style) {
+        const ratio = window.devicePixelRatio || 1;
+        const svgNode = svg.node();
+        // The SVG is positioned so it paints above the absolutely positioned canvas
+        svg.style('position', 'relative');
+        const canvas = d3.select(container)
+            .insert('canvas', 'svg')
+            .attr('class', 'scatter-canvas')
+            .attr('width', Math.round(width * ratio))
+            .attr('height', Math.round(height * ratio))
+            .style('position', 'absolute')
+            .style('left', `${svgNode.offsetLeft + margin.left}px`)
+            .style('top', `${svgNode.offsetTop + margin.top}px`)
+            .style('width', `${width}px`)
+            .style('height', `${height}px`)
+            .style('pointer-events', 'none');
+        const context = canvas.node().getContext('2d');
+        context.scale(ratio, ratio);
+
+        // One fill color per group, set once per frame
+        const byColor = d3.group(points, style.color);
+        const size = points.length > 50000 ? 2 : 3;
+
+        return (x, y) => {
+            context.clearRect(0, 0, width, height);
+            byColor.forEach((group, color) => {
+                context.fillStyle = color;
+                group.forEach(d => {
+                    const px = x(d.views);
+                    const py = y(d.likes);
+                    if (px < 0 || px > width || py < 0 || py > height) return;
+                    context.globalAlpha = style.opacity(d);
+                    context.fillRect(px - size / 2, py - size / 2, size, size);
+                });
+            });
+            context.globalAlpha = 1;
+        };
+    }
+
+    // Linear scale from zero, or a log scale over the positive extent of the values
+    createCountScale(type, [min, max], range) {
+        if (type === 'log') {
+            return d3.scaleLog().domain([min || 1, Math.max(max || 1, (min || 1) * 10)]).range(range).nice();
+        }
+        return d3.scaleLinear().domain([0, max || 1]).range(range).nice();
+    }
+
+    // Axis labelled in K/M; log axes label only a few ticks per decade
+    formatCountAxis(axis, scale) {
+        const format = d => {
+            if (d >= 1e6) return (d / 1e6).toFixed(1) + 'M';
+            if (d >= 1e3) return (d / 1e3).toFixed(1) + 'K';
+            return d;
+        };
+        return typeof scale.base === 'function' ? axis.ticks(6, format) : axis.tickFormat(format);
+    }
+
+    // Fit lines and 95% confidence bands for the scatter plot, one per country when colored by country.
+    // Returns { draw(x, y), labels }, where labels describe each fit for the correlation summary.
+    createScatterFits(g, points, { xType, yType, fit, colorBy, color, width, height }) {
+        const layer = g.append('g')
+            .attr('class', 'fit-lines')
+            .attr('clip-path', 'url(#scatter-fit-clip)')
+            .style('pointer-events', 'none');
+        layer.append('clipPath')
+            .attr('id', 'scatter-fit-clip')
+            .append('rect')
+            .attr('width', width)
+            .attr('height', height);
+        if (fit === 'none') {
+            return { draw: () => {}, labels: [] };
+        }
+
+        const toX = xType === 'log' ? Math.log10 : value => value;
+        const toY = yType === 'log' ? Math.log10 : value => value;
+        const fromY = yType === 'log' ? value => Math.pow(10, value) : value => value;
+        const groups = colorBy === 'country'
+            ? d3.groups(points, d => d.country).map(([country, values]) => ({ key: country, color: color(country), values }))
+            : [{ key: null, color: Visualizations.FIT_COLOR, values: points }];
+
+        const lines = groups
+            .map(group => {
+                const xs = Float64Array.from(group.values, d => toX(d.views));
+                const ys = Float64Array.from(group.values, d => toY(d.likes));
+                const model = fit === 'theil-sen' ? Stats.theilSen(xs, ys) : Stats.leastSquares(xs, ys);
+                return model ? { ...group, model } : null;
+            })
+            .filter(Boolean);
+
+        const bands = layer.selectAll('.fit-band')
+            .data(lines)
+            .enter().append('path')
+            .attr('class', 'fit-band')
+            .attr('fill', d => d.color)
+            .attr('opacity', 0.15);
+        const paths = layer.selectAll('.fit-line')
+            .data(lines)
+            .enter().append('path')
+            .attr('class', 'fit-line')
+            .attr('fill', 'none')
+            .attr('stroke', d => d.color)
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '5,5');
+
+        const title = `${fit === 'theil-sen' ? 'Theil–Sen' : 'Least squares'} fit (${Visualizations.getFitSpaceLabel(xType, yType)})`;
+        const labels = colorBy === 'country'
+            ? [{ text: title }].concat(lines.map(line => ({
+                text: `${line.key}: slope ${line.model.slope.toPrecision(3)} (n=${line.model.n.toLocaleString()})`,
+                color: line.color
+            })))
+            : lines.map(line => ({ text: `${title}: slope ${line.model.slope.toPrecision(3)}` }));
+
+        // Curves are sampled across the plot width, so lines fitted in another space bend correctly on these axes
+        const draw = (x, y) => {
+            const samples = d3.range(0, width + 1, width / Visualizations.FIT_SAMPLES)
+                .map(px => ({ px, u: toX(x.invert(px)) }))
+                .filter(sample => Number.isFinite(sample.u));
+            const curve = model => d3.line()
+                .x(sample => sample.px)
+                .y(sample => y(fromY(model.predict(sample.u))))
+                .defined(sample => Number.isFinite(y(fromY(model.predict(sample.u)))))(samples);
+            const band = model => d3.area()
+                .x(sample => sample.px)
+                .y0(sample => y(fromY(model.interval(sample.u)[0])))
+                .y1(sample => y(fromY(model.interval(sample.u)[1])))
+                .defined(sample => model.interval(sample.u).every(value => Number.isFinite(y(fromY(value)))))(samples);
+            bands.attr('d', d => band(d.model));
+            paths.attr('d', d => curve(d.model));
+        };
+        return { draw, labels };
+    }
+
+    // Density layer for the scatter plot: hexagon counts ('hexbin') or 2D kernel density contours ('contours'),
+    // either for all videos or per country (hexagons take the color of their most common country).
+    // Density is computed in pixel space, so it follows log axes and is recomputed after each zoom.
+    // Returns { draw(x, y), preview(transform), lookup(px, py) }; lookup gives the hexagon under a pixel.
+    createScatterDensity(g, points, { mode, colorBy, color, width, height }) {
+        const layer = g.append('g')
+            .attr('class', 'density-layer')
+            .attr('clip-path', 'url(#scatter-density-clip)');
+        layer.append('clipPath')
+            .attr('id', 'scatter-density-clip')
+            .append('rect')
+            .attr('width', width)
+            .attr('height', height);
+        const shapes = layer.append('g').style('pointer-events', 'none');
+        const hexbin = d3.hexbin()
+            .radius(Visualizations.HEXBIN_RADIUS)
+            .extent([[0, 0], [width, height]]);
+        const perCountry = colorBy === 'country';
+
+        let bins = new Map();
+        let drawnAt = d3.zoomIdentity;
+        let legendRange = null;
+
+        const draw = (x, y, transform = d3.zoomIdentity) => {
+            drawnAt = transform;
+            shapes.attr('transform', null).selectAll('*').remove();
+
+            // Only points inside the plot are binned, so counts match what is visible
+            const inside = [];
+            points.forEach(d => {
+                const px = x(d.views);
+                const py = y(d.likes);
+                if (px >= 0 && px <= width && py >= 0 && py <= height) inside.push([px, py, d]);
+            });
+            const hexes = hexbin(inside).map(bin => {
+                const videos = bin.map(entry => entry[2]);
+                return {
+                    x: bin.x,
+                    y: bin.y,
+                    count: videos.length,
+                    ratio: d3.median(videos, d => d.likes / d.views),
+                    countries: d3.rollups(videos, v => v.length, d => d.country).sort((a, b) => b[1] - a[1]),
+                    videos
+                };
+            });
+            bins = new Map(hexes.map(bin => [`${bin.x},${bin.y}`, bin]));
+            const maxCount = d3.max(hexes, bin => bin.count) || 1;
+
+            if (mode === 'hexbin') {
+                legendRange = [1, maxCount];
+                const fill = d3.scaleSequentialLog(d3.interpolateYlGnBu).domain([1, Math.max(2, maxCount)]);
+                const opacity = d3.scaleLog().domain([1, Math.max(2, maxCount)]).range([0.3, 1]);
+                shapes.selectAll('.hexagon')
+                    .data(hexes)
+                    .enter().append('path')
+                    .attr('class', 'hexagon')
+                    .attr('d', hexbin.hexagon())
+                    .attr('transform', bin => `translate(${bin.x},${bin.y})`)
+                    .attr('fill', bin => perCountry ? color(bin.countries[0][0]) : fill(bin.count))
+                    .attr('fill-opacity', bin => perCountry ? opacity(bin.count) : 0.9)
+                    .attr('stroke', 'white')
+                    .attr('stroke-width', 0.5);
+            } else {
+                const contours = (videos) => d3.contourDensity()
+                    .x(d => x(d.views))
+                    .y(d => y(d.likes))
+                    .size([width, height])
+                    .bandwidth(Visualizations.DENSITY_BANDWIDTH)
+                    .thresholds(Visualizations.DENSITY_LEVELS)(videos);
+                const visible = inside.map(entry => entry[2]);
+                if (perCountry) {
+                    d3.groups(visible, d => d.country).forEach(([country, videos]) => {
+                        shapes.append('g')
+                            .selectAll('path')
+                            .data(contours(videos))
+                            .enter().append('path')
+                            .attr('class', 'density-contour')
+                            .attr('d', d3.geoPath())
+                            .attr('fill', color(country))
+                            .attr('fill-opacity', 0.04)
+                            .attr('stroke', color(country))
+                            .attr('stroke-width', 1.2);
+                    });
+                } else {
+                    const levels = contours(visible);
+                    const fill = d3.scaleSequential(d3.interpolateYlGnBu).domain([0, d3.max(levels, level => level.value) || 1]);
+                    shapes.selectAll('path')
+                        .data(levels)
+                        .enter().append('path')
+                        .attr('class', 'density-contour')
+                        .attr('d', d3.geoPath())
+                        .attr('fill', level => fill(level.value))
+                        .attr('stroke', '#2c3e50')
+                        .attr('stroke-opacity', 0.25);
+                }
+            }
+            drawLegend();
+        };
+
+        // Between redraws a zoom only moves and scales what was drawn for the previous view
+        const preview = (transform) => {
+            const k = transform.k / drawnAt.k;
+            shapes.attr('transform', `translate(${transform.x - k * drawnAt.x},${transform.y - k * drawnAt.y}) scale(${k})`);
+        };
+
+        const lookup = (px, py) => {
+            const [bin] = hexbin([[px, py]]);
+            return bin ? bins.get(`${bin.x},${bin.y}`) || null : null;
+        };
+
+        // Legend: a count (or density) ramp for all videos, country swatches per country
+        const legend = g.append('g')
+            .attr('class', 'density-legend')
+            .attr('transform', 'translate(10,10)')
+            .style('pointer-events', 'none');
+        const drawLegend = () => {
+            legend.selectAll('*').remove();
+            const background = legend.append('rect')
+                .attr('fill', 'white')
+                .attr('fill-opacity', 0.85)
+                .attr('rx', 4);
+            const title = mode === 'hexbin' ? 'Videos per hexagon' : 'Video density';
+            legend.append('text')
+                .attr('x', 8).attr('y', 16)
+                .style('font-size', '12px')
+                .style('font-weight', 'bold')
+                .text(perCountry ? `${title} by country${mode === 'hexbin' ? ' (opacity = count)' : ''}` : title);
+
+            if (perCountry) {
+                color.domain().forEach((country, i) => {
+                    const item = legend.append('g').attr('transform', `translate(${8 + (i % 4) * 60},${24 + Math.floor(i / 4) * 16})`);
+                    item.append('rect').attr('width', 10).attr('height', 10).attr('fill', color(country));
+                    item.append('text').attr('x', 14).attr('y', 9).style('font-size', '11px').text(country);
+                });
+            } else {
+                const rampWidth = 160;
+                const gradientId = 'scatter-density-gradient';
+                const gradient = legend.append('defs').append('linearGradient').attr('id', gradientId);
+                d3.range(0, 1.01, 0.1).forEach(t => {
+                    gradient.append('stop').attr('offset', `${t * 100}%`).attr('stop-color', d3.interpolateYlGnBu(t));
+                });
+                legend.append('rect')
+                    .attr('x', 8).attr('y', 24)
+                    .attr('width', rampWidth).attr('height', 10)
+                    .attr('fill', `url(#${gradientId})`);
+                const labels = mode === 'hexbin' && legendRange
+                    ? legendRange.map(d3.format(','))
+                    : ['low', 'high'];
+                legend.append('text').attr('x', 8).attr('y', 46).style('font-size', '11px').text(labels[0]);
+                legend.append('text').attr('x', 8 + rampWidth).attr('y', 46).attr('text-anchor', 'end').style('font-size', '11px').text(labels[1]);
+            }
+            const box = legend.node().getBBox();
+            background.attr('width', box.width + 16).attr('height', box.height + 10);
+        };
+
+        return { draw, preview, lookup, hexagon: hexbin.hexagon() };
+    }
+
+    // Name of the space a scatter fit is made in
+    static getFitSpaceLabel(xType, yType) {
+        if (xType === 'log' && yType === 'log') return 'log–log';
+        if (xType === 'log') return 'log views';
+        if (yType === 'log') return 'log likes';
+        return 'linear';
     }
 
     // Helper method to show selection info
@@ -624,8 +1185,8 @@ class Visualizations {
         
         const totalViews = selectedPoints.reduce((sum, d) => sum + d.views, 0);
         const totalLikes = selectedPoints.reduce((sum, d) => sum + d.likes, 0);
-        const avgViews = totalViews / selectedPoints.length;
-        const avgLikes = totalLikes / selectedPoints.length;
+        const avgViews = selectedPoints.length > 0 ? totalViews / selectedPoints.length : 0;
+        const avgLikes = selectedPoints.length > 0 ? totalLikes / selectedPoints.length : 0;
         
         const infoDiv = d3.select(container)
             .append('div')
@@ -641,7 +1202,7 @@ class Visualizations {
             .style('z-index', '1000');
         
         infoDiv.html(`
-            <strong>Selected: ${selectedPoints.length} videos</strong><br/>
+            <strong>Selected: ${selectedPoints.length} plotted videos</strong><br/>
             Avg Views: ${d3.format(',')(Math.round(avgViews))}<br/>
             Avg Likes: ${d3.format(',')(Math.round(avgLikes))}<br/>
             <button onclick="this.parentElement.remove()" style="margin-top: 5px; padding: 2px 8px; font-size: 10px;">Close</button>
@@ -779,12 +1340,7 @@ class Visualizations {
 
         // Add title if country is selected
         if (selectedCountry && selectedCountry !== 'all') {
-            const countryNames = {
-                'CA': 'Canada', 'DE': 'Germany', 'FR': 'France', 'GB': 'Great Britain',
-                'IN': 'India', 'JP': 'Japan', 'KR': 'South Korea', 'MX': 'Mexico',
-                'RU': 'Russia', 'US': 'United States'
-            };
-            const countryName = countryNames[selectedCountry] || selectedCountry;
+            const countryName = this.getCountryName(selectedCountry);
             
             svg.append('text')
                 .attr('x', (width + margin.left + margin.right) / 2)
@@ -805,15 +1361,56 @@ class Visualizations {
             .domain([0, d3.max(data, d => d.count)])
             .range([height, 0]);
 
+        // Shift-drag selects a range of trending days for every other chart (plain drags pan)
+        const selection = this.getOwnSelection(container);
+        const selectedFrom = selection ? FilterState.parseDate(selection.filters.dateFrom) : null;
+        const selectedTo = selection ? FilterState.parseDate(selection.filters.dateTo) : null;
+        const isSelected = d => !!selection && (!selectedFrom || d.date >= selectedFrom) && (!selectedTo || d.date <= selectedTo);
+        let currentXScale = xScale;
+        const brush = d3.brushX()
+            .extent([[0, 0], [width, height]])
+            .filter(event => event.shiftKey && !event.button)
+            .on('end', (event) => {
+                // Moves made when the chart is drawn or zoomed are not user selections
+                if (!event.sourceEvent) return;
+                const days = event.selection
+                    ? data.filter(d => {
+                        const x = currentXScale(d.date);
+                        return x >= event.selection[0] && x <= event.selection[1];
+                    })
+                    : [];
+                if (days.length === 0) {
+                    this.clearSelection();
+                    return;
+                }
+                const dateFrom = FilterState.formatDate(days[0].date);
+                const dateTo = FilterState.formatDate(days[days.length - 1].date);
+                this.select(container, dateFrom === dateTo ? `Trending on ${dateFrom}` : `Trending ${dateFrom} to ${dateTo}`,
+                    { dateFrom, dateTo });
+            });
+        // Selected days run from the middle of the night before the first to the middle of the night after the last
+        const moveBrush = (brushGroup, scale) => {
+            if (!selection) return;
+            const halfDay = 12 * 60 * 60 * 1000;
+            const [rangeStart, rangeEnd] = scale.range();
+            const x0 = selectedFrom ? scale(new Date(selectedFrom.getTime() - halfDay)) : rangeStart;
+            const x1 = selectedTo ? scale(new Date(selectedTo.getTime() + halfDay)) : rangeEnd;
+            const clamped = [Math.max(rangeStart, x0), Math.min(rangeEnd, x1)];
+            brushGroup.call(brush.move, clamped[0] < clamped[1] ? clamped : null);
+        };
+
         // Create zoom behavior
         const zoom = d3.zoom()
             .scaleExtent([0.5, 10])
+            .filter(event => !event.shiftKey && (!event.ctrlKey || event.type === 'wheel') && !event.button)
             .on('zoom', (event) => {
                 const { transform } = event;
                 
                 // Update scales with zoom transform
                 const newXScale = transform.rescaleX(xScale);
                 const newYScale = transform.rescaleY(yScale);
+                currentXScale = newXScale;
+                moveBrush(g.select('.brush'), newXScale);
                 
                 // Update axes
                 g.select('.x-axis').call(d3.axisBottom(newXScale).tickFormat(d3.timeFormat('%m/%d')));
@@ -875,15 +1472,23 @@ class Visualizations {
                 .curve(d3.curveMonotoneX)
             );
 
+        // Brush below the points so hovering them still shows their tooltips
+        const brushGroup = g.append('g')
+            .attr('class', 'brush')
+            .call(brush);
+        moveBrush(brushGroup, xScale);
+
         // Points with enhanced interactivity
         g.selectAll('.dot')
             .data(data)
             .enter().append('circle')
             .attr('class', 'dot')
+            .classed('selected', isSelected)
             .attr('cx', d => xScale(d.date))
             .attr('cy', d => yScale(d.count))
             .attr('r', 4)
             .attr('fill', '#e74c3c')
+            .attr('opacity', d => selection && !isSelected(d) ? 0.35 : 1)
             .attr('stroke', 'white')
             .attr('stroke-width', 1)
             .style('cursor', 'pointer')
@@ -920,6 +1525,8 @@ class Visualizations {
             .style('text-anchor', 'middle')
             .style('font-weight', 'bold')
             .text('Number of Trending Videos');
+
+        this.bindZoomState(svg, zoom, container);
     }
 
     // 5. Heatmap - Country Activity
@@ -1069,18 +1676,32 @@ class Visualizations {
             .domain([0, maxValue])
             .range(['#2563eb', '#f59e0b']);
 
+        // Clicking a cell selects that country's videos in that category in every other chart
+        const selection = this.getOwnSelection(container);
+        const isSelected = d => !!selection &&
+            selection.filters.countries.includes(d.country) && selection.filters.categories.includes(d.category);
+
         // Rectangles
         g.selectAll('.cell')
             .data(heatmapData)
             .enter().append('rect')
             .attr('class', 'cell')
+            .classed('selected', isSelected)
             .attr('x', d => xScale(d.country))
             .attr('y', d => yScale(d.category))
             .attr('width', xScale.bandwidth())
             .attr('height', yScale.bandwidth())
             .attr('fill', d => colorScale(d.value))
-            .attr('stroke', 'white')
-            .attr('stroke-width', 1)
+            .attr('opacity', d => selection && !isSelected(d) ? 0.35 : 1)
+            .attr('stroke', d => isSelected(d) ? '#2c3e50' : 'white')
+            .attr('stroke-width', d => isSelected(d) ? 3 : 1)
+            .style('cursor', 'pointer')
+            .on('click', (event, d) => {
+                this.select(container, `${this.getCountryName(d.country)} × ${d.category}`, {
+                    countries: [d.country],
+                    categories: [d.category]
+                });
+            })
             .on('mouseover', (event, d) => {
                 this.tooltip.transition().duration(200).style('opacity', 0.9);
                 this.tooltip.html(`
@@ -1159,19 +1780,34 @@ class Visualizations {
             .attr('class', 'leaf')
             .attr('transform', d => `translate(${d.x0},${d.y0})`);
 
+        // Clicking a tile opens the channel's profile; Shift+click selects its videos in every other chart
+        const selected = this.getOwnSelection(container)?.filters.channels || [];
+        const isDimmed = d => selected.length > 0 && !selected.includes(d.data.name);
+
         leaves.append('rect')
+            .classed('selected', d => selected.includes(d.data.name))
             .attr('width', d => d.x1 - d.x0)
             .attr('height', d => d.y1 - d.y0)
             .attr('fill', (d, i) => this.colorScale(i))
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2)
+            .attr('opacity', d => isDimmed(d) ? 0.35 : 1)
+            .attr('stroke', d => selected.includes(d.data.name) ? '#2c3e50' : 'white')
+            .attr('stroke-width', d => selected.includes(d.data.name) ? 3 : 2)
+            .style('cursor', 'pointer')
+            .on('click', (event, d) => {
+                if (event.shiftKey) {
+                    this.select(container, `Channel: ${d.data.name}`, { channels: [d.data.name] });
+                } else {
+                    this.openChannel(d.data.name);
+                }
+            })
             .on('mouseover', (event, d) => {
                 this.tooltip.transition().duration(200).style('opacity', 0.9);
                 this.tooltip.html(`
                     <strong>${d.data.name}</strong><br/>
                     Total Views: ${d3.format('.2s')(d.data.totalViews)}<br/>
                     Videos: ${d.data.videoCount}<br/>
-                    Countries: ${d.data.countries.join(', ')}
+                    Countries: ${d.data.countries.join(', ')}<br/>
+                    <em>Click for the profile, Shift+click to select</em>
                 `)
                 .style('left', (event.pageX + 10) + 'px')
                 .style('top', (event.pageY - 28) + 'px');
@@ -1186,6 +1822,7 @@ class Visualizations {
             .style('font-size', '11px')
             .style('font-weight', 'bold')
             .style('fill', 'white')
+            .style('pointer-events', 'none')
             .text(d => {
                 const rectWidth = d.x1 - d.x0;
                 const name = d.data.name;
@@ -1197,6 +1834,20 @@ class Visualizations {
     }
 
     // 7. Publishing Timing Heatmap - When to Publish for Success
+    // Which clock the timing heatmap's days and hours are read on
+    describeTimeBasis(data) {
+        const zones = data.timeZones || [];
+        if (data.timeBasis === 'utc') return 'UTC';
+        if (data.timeBasis === 'viewer') {
+            return `your time zone (${Intl.DateTimeFormat().resolvedOptions().timeZone})`;
+        }
+
+        const fallbacks = zones.filter(zone => zone.fallback).map(zone => zone.country);
+        const note = fallbacks.length > 0 ? `; UTC for ${fallbacks.join(', ')} (time zone unknown)` : '';
+        if (zones.length === 1) return `local time (${zones[0].timeZone})${note}`;
+        return `each country's local time${note}`;
+    }
+
     createPublishingTimingHeatmap(data, container) {
         this.clearVisualization(container);
         
@@ -1257,13 +1908,17 @@ class Visualizations {
                         Videos Published: ${d.count}<br/>
                         Avg Views: ${d.avgViews.toLocaleString()}<br/>
                         Avg Likes: ${d.avgLikes.toLocaleString()}<br/>
-                        Success Score: ${d.successRate.toFixed(1)}%
+                        Success Score: ${d.successRate.toFixed(1)}%<br/>
+                        <em>Click to list the videos</em>
                     `)
                     .style('left', (event.pageX + 10) + 'px')
                     .style('top', (event.pageY - 28) + 'px');
             })
             .on('mouseout', () => {
                 this.tooltip.style('opacity', 0);
+            })
+            .on('click', (event, d) => {
+                if (d.count > 0) this.openVideoList(`Published ${d.dayName} ${d.hour}:00`, d.videos);
             });
 
         // Add day labels (Y-axis)
@@ -1311,7 +1966,7 @@ class Visualizations {
             .attr('text-anchor', 'middle')
             .style('font-size', '12px')
             .style('fill', '#7f8c8d')
-            .text('Optimal times to publish content for maximum engagement');
+            .text(`Optimal times to publish content • Hours in ${this.describeTimeBasis(data)}`);
 
         // Add legend with safe positioning
         const legendWidth = Math.min(200, width * 0.4); // Responsive legend width
@@ -1979,6 +2634,29 @@ class Visualizations {
 
 }
 
+// Above this many points the scatter plot draws on a canvas instead of one SVG circle per video
+Visualizations.CANVAS_POINT_THRESHOLD = 2000;
+// Pointer distance (px) within which a canvas point shows its tooltip
+Visualizations.HIT_RADIUS = 6;
+// Scatter point color when not colored by country, and the color of a single fit line
+Visualizations.SCATTER_COLOR = '#3498db';
+Visualizations.FIT_COLOR = '#e74c3c';
+// Points each fit line and band is sampled at across the plot width
+Visualizations.FIT_SAMPLES = 60;
+// Scatter density mode: hexagon radius (px), contour kernel bandwidth (px) and number of contour levels
+Visualizations.HEXBIN_RADIUS = 12;
+Visualizations.DENSITY_BANDWIDTH = 14;
+Visualizations.DENSITY_LEVELS = 12;
+// Engagement outliers: more likes than expected, fewer, and within the threshold
+Visualizations.RESIDUAL_COLORS = { above: '#27ae60', below: '#e74c3c', expected: '#bdc3c7' };
+// Data table: row height (px), rows drawn beyond each edge of the view, rows fetched per request,
+// column widths (px) by column type and the hint shown in each type's filter box
+Visualizations.DATA_ROW_HEIGHT = 28;
+Visualizations.DATA_OVERSCAN = 10;
+Visualizations.DATA_PAGE_SIZE = 200;
+Visualizations.DATA_COLUMN_WIDTHS = { title: 320, text: 160, number: 110, percent: 90, date: 110, flag: 80 };
+Visualizations.DATA_FILTER_HINTS = { text: 'contains…', number: '>1m, 1k..10k', percent: '>2.5', date: '2018-01, >2018-02-15', flag: 'yes / no' };
+
 // Extend Visualizations with two new charts
 Visualizations.prototype.createCategoryEngagementStacked = function(data, container) {
     this.clearVisualization(container);
@@ -1995,8 +2673,9 @@ Visualizations.prototype.createCategoryEngagementStacked = function(data, contai
     const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
 
     const categories = Object.keys(data);
-    const seriesKeys = ['Likes', 'Comments', 'Dislikes'];
-    const stacked = d3.stack().keys(seriesKeys)(categories.map(c => ({ category: c, ...data[c] })));
+    // Dislikes are missing for datasets that no longer publish them
+    const seriesKeys = ['Likes', 'Comments', 'Dislikes'].filter(k => categories.some(c => data[c][k] !== undefined));
+    const stacked = d3.stack().keys(seriesKeys).value((d, k) => d[k] || 0)(categories.map(c => ({ category: c, ...data[c] })));
 
     const x = d3.scaleBand().domain(categories).range([0, width]).padding(0.15);
     const y = d3.scaleLinear()
@@ -2021,7 +2700,7 @@ Visualizations.prototype.createCategoryEngagementStacked = function(data, contai
         .attr('width', x.bandwidth())
         .on('mouseover', (event, d) => {
             this.tooltip.transition().duration(150).style('opacity', 0.95);
-            this.tooltip.html(`<strong>${d.category}</strong><br/>${d.key}: ${d3.format(',')(d.value)}`)
+            this.tooltip.html(`<strong>${d.category}</strong><br/>${d.key}: ${d3.format(',.2f')(d.value)} per 1,000 views`)
                 .style('left', `${event.pageX + 10}px`).style('top', `${event.pageY - 24}px`);
         })
         .on('mouseout', () => this.tooltip.transition().duration(300).style('opacity', 0));
@@ -2029,6 +2708,13 @@ Visualizations.prototype.createCategoryEngagementStacked = function(data, contai
     g.append('g').attr('transform', `translate(0,${height})`).call(d3.axisBottom(x))
         .selectAll('text').attr('transform', 'rotate(-35)').style('text-anchor', 'end');
     g.append('g').call(d3.axisLeft(y).tickFormat(d3.format('.2s')));
+    g.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -margin.left + 14)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text('Per 1,000 views');
 
     const legend = svg.append('g').attr('transform', `translate(${margin.left},10)`);
     seriesKeys.forEach((k, i) => {
@@ -2056,6 +2742,8 @@ Visualizations.prototype.createTopVideosBubble = function(videos, container) {
     const y = d3.scaleLinear().domain([0, d3.max(videos, d => d.likes) || 1]).nice().range([height, 0]);
     const r = d3.scaleSqrt().domain([0, d3.max(videos, d => d.views) || 1]).range([3, 28]);
     const color = d3.scaleSequential(d3.interpolateBlues).domain([0, d3.max(videos, d => d.ratio) || 0.1]);
+    // Videos with ratings disabled have no like ratio
+    const fill = d => d.ratio === null ? '#bdc3c7' : color(d.ratio);
 
     g.append('g').attr('transform', `translate(0,${height})`).call(d3.axisBottom(x).tickFormat(d => d3.format('.2s')(d)));
     g.append('g').call(d3.axisLeft(y).tickFormat(d => d3.format('.2s')(d)));
@@ -2066,17 +2754,22 @@ Visualizations.prototype.createTopVideosBubble = function(videos, container) {
         .attr('cx', d => x(d.views))
         .attr('cy', d => y(d.likes))
         .attr('r', d => r(d.views))
-        .attr('fill', d => color(d.ratio))
+        .attr('fill', fill)
         .attr('opacity', 0.8)
         .attr('stroke', 'white')
+        .style('cursor', 'pointer')
         .on('mouseover', (event, d) => {
             this.tooltip.transition().duration(150).style('opacity', 0.95);
             this.tooltip.html(
                 `<strong>${d.title.substring(0, 60)}</strong><br/>` +
-                `Views: ${d3.format(',')(d.views)}<br/>Likes: ${d3.format(',')(d.likes)}<br/>Ratio: ${(d.ratio*100).toFixed(2)}%`
+                `Views: ${d3.format(',')(d.views)}<br/>` +
+                (d.ratio === null
+                    ? 'Ratings disabled'
+                    : `Likes: ${d3.format(',')(d.likes)}<br/>Ratio: ${(d.ratio*100).toFixed(2)}%`)
             ).style('left', `${event.pageX + 10}px`).style('top', `${event.pageY - 24}px`);
         })
-        .on('mouseout', () => this.tooltip.transition().duration(300).style('opacity', 0));
+        .on('mouseout', () => this.tooltip.transition().duration(300).style('opacity', 0))
+        .on('click', (event, d) => this.openVideo(d.row));
 
     // Axis labels
     g.append('text').attr('x', width/2).attr('y', height + 35).attr('text-anchor', 'middle').text('Views');
@@ -2124,6 +2817,8 @@ Visualizations.prototype.createChannelLeaderboard = function(channels, container
         .attr('width', d => x(d.totalViews))
         .attr('fill', '#3498db')
         .attr('stroke', '#fff')
+        .style('cursor', 'pointer')
+        .on('click', (event, d) => this.openChannel(d.name))
         .on('mouseover', (event, d) => {
             this.tooltip.transition().duration(150).style('opacity', 0.95);
             this.tooltip.html(`
@@ -2145,4 +2840,781 @@ Visualizations.prototype.createChannelLeaderboard = function(channels, container
         .attr('dy', '0.35em')
         .style('font-size', '11px')
         .text(d => d3.format('.2s')(d.totalViews));
-};
\ No newline at end of file
+};
+
+Visualizations.prototype.createFlagBreakdown = function(data, container) {
+    this.clearVisualization(container);
+    const margin = { top: 40, right: 20, bottom: 90, left: 60 };
+    const { width: cw, height: ch } = container.getBoundingClientRect();
+    const width = cw - margin.left - margin.right;
+    const height = Math.max(320, ch - margin.top - margin.bottom);
+
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width + margin.left + margin.right)
+        .attr('height', height + margin.top + margin.bottom);
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const groups = data.groups.filter(group => group.total > 0);
+    const share = (group, flag) => group.counts[flag] / group.total;
+    const unitLabel = data.unit === 'videos' ? 'videos' : 'trending rows';
+
+    const x0 = d3.scaleBand().domain(groups.map(group => group.key)).range([0, width]).padding(0.2);
+    const x1 = d3.scaleBand().domain(data.flags).range([0, x0.bandwidth()]).padding(0.05);
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(groups, group => d3.max(data.flags, flag => share(group, flag))) || 0.01])
+        .nice()
+        .range([height, 0]);
+    const color = d3.scaleOrdinal().domain(data.flags).range(['#e67e22', '#9b59b6', '#c0392b']);
+
+    g.selectAll('.flag-group')
+        .data(groups)
+        .enter().append('g')
+        .attr('class', 'flag-group')
+        .attr('transform', group => `translate(${x0(group.key)},0)`)
+        .selectAll('rect')
+        .data(group => data.flags.map(flag => ({ group, flag, value: share(group, flag) })))
+        .enter().append('rect')
+        .attr('x', d => x1(d.flag))
+        .attr('width', x1.bandwidth())
+        .attr('y', height)
+        .attr('height', 0)
+        .attr('fill', d => color(d.flag))
+        .on('mouseover', (event, d) => {
+            this.tooltip.transition().duration(150).style('opacity', 0.95);
+            this.tooltip.html(
+                `<strong>${d.group.label}</strong><br/>${ColumnStore.FLAG_LABELS[d.flag]}: ` +
+                `${d3.format(',')(d.group.counts[d.flag])} of ${d3.format(',')(d.group.total)} ${unitLabel} ` +
+                `(${d3.format('.2%')(d.value)})`
+            ).style('left', `${event.pageX + 10}px`).style('top', `${event.pageY - 24}px`);
+        })
+        .on('mouseout', () => this.tooltip.transition().duration(300).style('opacity', 0))
+        .transition()
+        .duration(800)
+        .attr('y', d => y(d.value))
+        .attr('height', d => height - y(d.value));
+
+    const labels = new Map(groups.map(group => [group.key, group.label]));
+    g.append('g').attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x0).tickFormat(key => labels.get(key)))
+        .selectAll('text').attr('transform', 'rotate(-35)').style('text-anchor', 'end');
+    g.append('g').call(d3.axisLeft(y).tickFormat(d3.format('.1%')));
+
+    g.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2).attr('y', -45)
+        .attr('text-anchor', 'middle')
+        .text(`Share of ${unitLabel}`);
+
+    const legend = svg.append('g').attr('transform', `translate(${margin.left},12)`);
+    data.flags.forEach((flag, i) => {
+        const lg = legend.append('g').attr('transform', `translate(${i * 160},0)`);
+        lg.append('rect').attr('width', 12).attr('height', 12).attr('fill', color(flag));
+        lg.append('text').attr('x', 18).attr('y', 10).text(ColumnStore.FLAG_LABELS[flag]).style('font-size', '12px');
+    });
+};
+
+// Engagement outliers: a log–log least-squares fit of likes on views, with each video's standardized
+// residual (how far its likes sit above or below the fit, in standard errors). Every video is drawn
+// on a canvas; the ones listed in the side table are drawn on top with tooltips.
+// options: threshold (|residual| that counts as an outlier) and limit (videos listed on each side).
+Visualizations.prototype.createResidualExplorer = function(data, container, options = {}) {
+    this.clearVisualization(container);
+    const { threshold = 2, limit = 25 } = options;
+
+    const points = this.getScatterPoints(data).filter(d => d.views > 0 && d.likes > 0);
+    const xs = Float64Array.from(points, d => Math.log10(d.views));
+    const ys = Float64Array.from(points, d => Math.log10(d.likes));
+    const model = Stats.leastSquares(xs, ys);
+    if (!model) {
+        d3.select(container).append('p')
+            .attr('class', 'chart-note')
+            .text('Not enough videos with views and likes to fit the expected like rate.');
+        return;
+    }
+    const residuals = Stats.standardizedResiduals(xs, ys, model);
+    points.forEach((d, i) => {
+        d.residual = residuals[i];
+        d.expectedLikes = Math.pow(10, model.predict(xs[i]));
+    });
+    const above = points.filter(d => d.residual >= threshold).length;
+    const below = points.filter(d => d.residual <= -threshold).length;
+
+    const layout = d3.select(container).append('div').attr('class', 'residual-layout');
+    const plot = layout.append('div').attr('class', 'residual-plot');
+    const side = layout.append('div').attr('class', 'residual-side');
+
+    const margin = { top: 20, right: 20, bottom: 50, left: 70 };
+    const plotRect = plot.node().getBoundingClientRect();
+    const width = Math.max(200, plotRect.width - margin.left - margin.right);
+    const height = Math.max(200, plotRect.height - margin.top - margin.bottom);
+    const svg = plot.append('svg')
+        .attr('width', width + margin.left + margin.right)
+        .attr('height', height + margin.top + margin.bottom);
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = this.createCountScale('log', d3.extent(points, d => d.views), [0, width]);
+    const y = this.createCountScale('log', d3.extent(points, d => d.likes), [height, 0]);
+    g.append('g')
+        .attr('class', 'axis x-axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(this.formatCountAxis(d3.axisBottom(x), x));
+    g.append('g')
+        .attr('class', 'axis y-axis')
+        .call(this.formatCountAxis(d3.axisLeft(y), y));
+    g.append('text')
+        .attr('x', width / 2).attr('y', height + 40)
+        .attr('text-anchor', 'middle')
+        .style('font-weight', 'bold')
+        .text('Views (log)');
+    g.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2).attr('y', -55)
+        .attr('text-anchor', 'middle')
+        .style('font-weight', 'bold')
+        .text('Likes (log)');
+
+    const residualColor = d => {
+        if (d.residual >= threshold) return Visualizations.RESIDUAL_COLORS.above;
+        if (d.residual <= -threshold) return Visualizations.RESIDUAL_COLORS.below;
+        return Visualizations.RESIDUAL_COLORS.expected;
+    };
+    const draw = this.createScatterCanvas(plot.node(), svg, margin, width, height, points, {
+        color: residualColor,
+        opacity: d => Math.abs(d.residual) >= threshold ? 0.8 : 0.35
+    });
+    draw(x, y);
+
+    // Expected likes, and the lines threshold residual standard errors above and below it
+    svg.append('clipPath')
+        .attr('id', 'residual-clip')
+        .append('rect')
+        .attr('width', width)
+        .attr('height', height);
+    const fitLines = g.append('g').attr('clip-path', 'url(#residual-clip)');
+    const [minViews, maxViews] = x.domain();
+    [
+        { offset: 0, label: 'expected', dash: null },
+        { offset: threshold, label: `+${threshold}σ`, dash: '5,5' },
+        { offset: -threshold, label: `−${threshold}σ`, dash: '5,5' }
+    ].forEach(line => {
+        const likesAt = views => Math.pow(10, model.predict(Math.log10(views)) + line.offset * model.residualSE);
+        fitLines.append('line')
+            .attr('class', 'residual-fit')
+            .attr('x1', x(minViews)).attr('y1', y(likesAt(minViews)))
+            .attr('x2', x(maxViews)).attr('y2', y(likesAt(maxViews)))
+            .attr('stroke', '#2c3e50')
+            .attr('stroke-width', line.offset === 0 ? 2 : 1)
+            .attr('stroke-dasharray', line.dash);
+        fitLines.append('text')
+            .attr('x', width - 4)
+            .attr('y', y(likesAt(maxViews)) - 4)
+            .attr('text-anchor', 'end')
+            .style('font-size', '11px')
+            .style('fill', '#2c3e50')
+            .text(line.label);
+    });
+
+    const listed = g.append('g').attr('class', 'residual-listed');
+    const showTooltip = (event, d) => {
+        this.tooltip.transition().duration(150).style('opacity', 0.95);
+        // Titles and names come from the data files (uploads included), so they are set as text
+        this.tooltip.html('');
+        this.tooltip.append('strong').text(d.title.substring(0, 60));
+        this.tooltip.append('br');
+        this.tooltip.append('span').text(`${d.country} • ${d.category}`);
+        this.tooltip.append('br');
+        this.tooltip.append('span').html(`
+            Views: ${d3.format(',')(d.views)}<br/>
+            Likes: ${d3.format(',')(d.likes)} (expected ${d3.format(',.0f')(d.expectedLikes)}, ${d3.format('.2~f')(d.likes / d.expectedLikes)}×)<br/>
+            Residual: ${d3.format('+.2f')(d.residual)}σ
+        `);
+        this.tooltip.style('left', `${event.pageX + 10}px`).style('top', `${event.pageY - 24}px`);
+    };
+    const hideTooltip = () => this.tooltip.transition().duration(300).style('opacity', 0);
+
+    // Side table: the largest residuals on each side among the videos of the chosen country and category
+    side.append('p')
+        .attr('class', 'residual-summary')
+        .text(`${above.toLocaleString()} videos at least ${threshold}σ above the expected likes, ${below.toLocaleString()} at least ${threshold}σ below ` +
+            `(of ${points.length.toLocaleString()}). Expected likes ∝ views^${model.slope.toFixed(3)}.`);
+    const filters = side.append('div').attr('class', 'residual-filters');
+    const addFilter = (label, values) => {
+        const select = filters.append('label').text(`${label} `).append('select');
+        select.selectAll('option')
+            .data(['all', ...values])
+            .enter().append('option')
+            .attr('value', d => d)
+            .text(d => d === 'all' ? 'All' : d);
+        return select;
+    };
+    const countryFilter = addFilter('Country', Array.from(new Set(points.map(d => d.country))).sort());
+    const categoryFilter = addFilter('Category', Array.from(new Set(points.map(d => d.category))).sort());
+
+    const columns = [
+        { key: 'title', label: 'Video', format: d => d.title },
+        { key: 'country', label: 'Country', format: d => d.country },
+        { key: 'category', label: 'Category', format: d => d.category },
+        { key: 'views', label: 'Views', format: d => d3.format('.3s')(d.views), numeric: true },
+        { key: 'likes', label: 'Likes', format: d => d3.format('.3s')(d.likes), numeric: true },
+        { key: 'expectedLikes', label: 'Expected', format: d => d3.format('.3s')(d.expectedLikes), numeric: true },
+        { key: 'residual', label: 'Residual', format: d => d3.format('+.2f')(d.residual), numeric: true }
+    ];
+    let sort = { key: 'residual', descending: true };
+    const table = side.append('div').attr('class', 'residual-table-wrap').append('table').attr('class', 'residual-table');
+    const header = table.append('thead').append('tr')
+        .selectAll('th')
+        .data(columns)
+        .enter().append('th')
+        .classed('numeric', d => d.numeric)
+        .on('click', (event, column) => {
+            sort = { key: column.key, descending: sort.key === column.key ? !sort.descending : !!column.numeric };
+            renderTable();
+        });
+    const body = table.append('tbody');
+
+    const renderTable = () => {
+        const country = countryFilter.property('value');
+        const category = categoryFilter.property('value');
+        const candidates = points.filter(d =>
+            (country === 'all' || d.country === country) && (category === 'all' || d.category === category));
+        const top = candidates.filter(d => d.residual > 0).sort((a, b) => b.residual - a.residual).slice(0, limit);
+        const bottom = candidates.filter(d => d.residual < 0).sort((a, b) => a.residual - b.residual).slice(0, limit);
+        const compare = sort.descending ? d3.descending : d3.ascending;
+        const rows = top.concat(bottom).sort((a, b) => compare(a[sort.key], b[sort.key]));
+
+        header.text(d => `${d.label}${d.key === sort.key ? (sort.descending ? ' ▼' : ' ▲') : ''}`);
+        const tr = body.selectAll('tr')
+            .data(rows, d => d.id)
+            .join('tr')
+            .attr('class', d => d.residual > 0 ? 'residual-above' : 'residual-below')
+            .classed('residual-outlier', d => Math.abs(d.residual) >= threshold)
+            .on('mouseover', (event, d) => {
+                listed.selectAll('circle').filter(point => point === d).attr('r', 8).raise();
+            })
+            .on('mouseout', (event, d) => {
+                listed.selectAll('circle').filter(point => point === d).attr('r', 5);
+            })
+            .on('click', (event, d) => this.openVideo(d.id));
+        tr.selectAll('td')
+            .data(d => columns.map(column => ({ column, d })))
+            .join('td')
+            .classed('numeric', cell => cell.column.numeric)
+            .attr('title', cell => cell.column.key === 'title' ? cell.d.title : null)
+            .text(cell => cell.column.format(cell.d));
+        tr.order();
+
+        listed.selectAll('circle')
+            .data(rows, d => d.id)
+            .join('circle')
+            .attr('cx', d => x(d.views))
+            .attr('cy', d => y(d.likes))
+            .attr('r', 5)
+            .attr('fill', d => d.residual > 0 ? Visualizations.RESIDUAL_COLORS.above : Visualizations.RESIDUAL_COLORS.below)
+            .attr('stroke', 'white')
+            .attr('stroke-width', 1.5)
+            .style('cursor', 'pointer')
+            .on('mouseover', showTooltip)
+            .on('mouseout', hideTooltip)
+            .on('click', (event, d) => this.openVideo(d.id));
+    };
+    countryFilter.on('change', renderTable);
+    categoryFilter.on('change', renderTable);
+    renderTable();
+};
+
+// Sparkline - a small line chart without axes. series: [{ key, color, values: [{ time, value }] }];
+// the latest and highest values are written beside it.
+Visualizations.prototype.createSparkline = function(container, series, options = {}) {
+    if (!container) return;
+    this.clearVisualization(container);
+    const { width = 220, height = 44 } = options;
+    const values = series.flatMap(line => line.values);
+    if (values.length === 0) {
+        d3.select(container).append('span').attr('class', 'sparkline-empty').text('No data');
+        return;
+    }
+
+    const x = d3.scaleTime().domain(d3.extent(values, d => d.time)).range([3, width - 3]);
+    const y = d3.scaleLinear().domain(d3.extent(values, d => d.value)).range([height - 3, 3]);
+    // A single day (or an unchanged value) is drawn in the middle rather than collapsed to one edge
+    if (x.domain()[0].getTime() === x.domain()[1].getTime()) x.range([width / 2, width / 2]);
+    if (y.domain()[0] === y.domain()[1]) y.range([height / 2, height / 2]);
+
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height);
+    const line = d3.line().x(d => x(d.time)).y(d => y(d.value));
+    series.forEach(entry => {
+        svg.append('path')
+            .datum(entry.values)
+            .attr('fill', 'none')
+            .attr('stroke', entry.color)
+            .attr('stroke-width', 1.5)
+            .attr('d', line);
+        const last = entry.values[entry.values.length - 1];
+        svg.append('circle')
+            .attr('cx', x(last.time))
+            .attr('cy', y(last.value))
+            .attr('r', 2.5)
+            .attr('fill', entry.color)
+            .append('title')
+            .text(`${entry.key}: ${d3.format(',')(last.value)} on ${d3.timeFormat('%Y-%m-%d')(new Date(last.time))}`);
+    });
+
+    const latest = d3.greatest(values, d => d.time);
+    d3.select(container).append('span')
+        .attr('class', 'sparkline-values')
+        .text(`${d3.format('.3s')(latest.value)} latest • ${d3.format('.3s')(d3.max(values, d => d.value))} peak`);
+};
+
+// Channel Profile - totals, category and country mix, trending days, top videos, tags and peer ranks of one channel
+Visualizations.prototype.createChannelProfile = function(profile, container) {
+    this.clearVisualization(container);
+    const root = d3.select(container).append('div').attr('class', 'channel-profile');
+    const number = d3.format(',');
+    const short = d3.format('.3s');
+
+    const header = root.append('div').attr('class', 'channel-profile-header');
+    header.append('h3').text(profile.name);
+    if (profile.totals.rows === 0) {
+        header.append('p').attr('class', 'channel-profile-meta')
+            .text('None of this channel\'s rows are in the current filters.');
+        return;
+    }
+    header.append('p').attr('class', 'channel-profile-meta')
+        .text(`${number(profile.totals.videos)} videos over ${number(profile.totals.rows)} counted rows` +
+            ` • main category ${profile.categories[0].name}`);
+
+    const stats = [
+        { label: 'Total Views', value: short(profile.totals.views) },
+        { label: 'Total Likes', value: short(profile.totals.likes) },
+        { label: 'Total Comments', value: short(profile.totals.comments) },
+        { label: 'Avg Views', value: short(profile.averages.views) },
+        { label: 'Avg Likes', value: short(profile.averages.likes) },
+        { label: 'Avg Comments', value: short(profile.averages.comments) },
+        { label: 'Like Ratio', value: profile.likeRatio === null ? '—' : `${profile.likeRatio.toFixed(2)}%` }
+    ];
+    const cards = root.append('div').attr('class', 'channel-profile-stats')
+        .selectAll('.channel-profile-stat')
+        .data(stats)
+        .enter().append('div')
+        .attr('class', 'channel-profile-stat');
+    cards.append('span').attr('class', 'channel-profile-value').text(d => d.value);
+    cards.append('span').attr('class', 'channel-profile-label').text(d => d.label);
+
+    const grid = root.append('div').attr('class', 'channel-profile-grid');
+    const panel = (title, wide = false) => {
+        const section = grid.append('section').attr('class', `channel-profile-panel${wide ? ' wide' : ''}`);
+        section.append('h4').text(title);
+        return section;
+    };
+
+    // Share of the channel's counted rows per entry, with the views behind them in the tooltip
+    const drawShares = (section, entries, label) => {
+        const shown = entries.slice(0, 8);
+        const margin = { top: 4, right: 50, bottom: 4, left: 110 };
+        const width = Math.max(160, section.node().clientWidth - margin.left - margin.right);
+        const height = shown.length * 22;
+        const x = d3.scaleLinear().domain([0, d3.max(shown, d => d.count)]).range([0, width]);
+        const y = d3.scaleBand().domain(shown.map(d => d.name)).range([0, height]).padding(0.2);
+
+        const g = section.append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        g.append('g').call(d3.axisLeft(y).tickSize(0).tickFormat(d => {
+            const name = label(d);
+            return name.length > 16 ? `${name.substring(0, 16)}...` : name;
+        })).select('.domain').remove();
+        g.selectAll('rect')
+            .data(shown)
+            .enter().append('rect')
+            .attr('y', d => y(d.name))
+            .attr('height', y.bandwidth())
+            .attr('width', d => x(d.count))
+            .attr('fill', '#3498db')
+            .on('mouseover', (event, d) => {
+                this.tooltip.transition().duration(150).style('opacity', 0.95);
+                this.tooltip.html(`
+                    <strong>${label(d.name)}</strong><br/>
+                    Rows: ${number(d.count)} (${(d.count / profile.totals.rows * 100).toFixed(1)}%)<br/>
+                    Views: ${number(d.views)}
+                `).style('left', `${event.pageX + 10}px`).style('top', `${event.pageY - 24}px`);
+            })
+            .on('mouseout', () => this.tooltip.transition().duration(300).style('opacity', 0));
+        g.selectAll('.channel-profile-share')
+            .data(shown)
+            .enter().append('text')
+            .attr('class', 'channel-profile-share')
+            .attr('x', d => x(d.count) + 4)
+            .attr('y', d => y(d.name) + y.bandwidth() / 2)
+            .attr('dy', '0.35em')
+            .style('font-size', '11px')
+            .text(d => `${Math.round(d.count / profile.totals.rows * 100)}%`);
+        if (entries.length > shown.length) {
+            section.append('p').attr('class', 'channel-profile-meta').text(`and ${entries.length - shown.length} more`);
+        }
+    };
+
+    drawShares(panel('Category Mix'), profile.categories, name => name);
+    drawShares(panel('Countries'), profile.countries, code => this.getCountryName(code));
+
+    // Videos trending per day, one bar per trending date
+    const timeline = panel('Trending Days', true);
+    timeline.append('p').attr('class', 'channel-profile-meta')
+        .text(`${profile.timeline.length} trending days, at most ${d3.max(profile.timeline, d => d.videos) || 0} videos on one day`);
+    if (profile.timeline.length > 0) {
+        const margin = { top: 8, right: 16, bottom: 24, left: 36 };
+        const width = Math.max(200, timeline.node().clientWidth - margin.left - margin.right);
+        const height = 120;
+        const day = 24 * 60 * 60 * 1000;
+        const [first, last] = d3.extent(profile.timeline, d => d.time);
+        const x = d3.scaleTime().domain([first - day / 2, last + day / 2]).range([0, width]);
+        const y = d3.scaleLinear().domain([0, d3.max(profile.timeline, d => d.videos)]).nice().range([height, 0]);
+        const barWidth = Math.max(1, Math.min(12, x(first + day) - x(first) - 1));
+
+        const g = timeline.append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        g.append('g').attr('transform', `translate(0,${height})`).call(d3.axisBottom(x).ticks(Math.min(8, profile.timeline.length)));
+        g.append('g').call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('d')));
+        g.selectAll('rect')
+            .data(profile.timeline)
+            .enter().append('rect')
+            .attr('x', d => x(d.time) - barWidth / 2)
+            .attr('width', barWidth)
+            .attr('y', d => y(d.videos))
+            .attr('height', d => height - y(d.videos))
+            .attr('fill', '#9b59b6')
+            .append('title')
+            .text(d => `${d.date}: ${d.videos} video${d.videos === 1 ? '' : 's'} trending`);
+    }
+
+    const videos = panel('Top Videos');
+    videos.append('ol').attr('class', 'channel-profile-videos')
+        .selectAll('li')
+        .data(profile.topVideos)
+        .enter().append('li')
+        .append('button')
+        .attr('type', 'button')
+        .on('click', (event, d) => this.openVideo(d.row))
+        .call(button => {
+            button.append('span').text(d => d.title);
+            button.append('small').text(d =>
+                `${short(d.views)} views • ${short(d.likes)} likes • ${this.getCountryName(d.country)} • ${d.daysTrending} days trending`);
+        });
+
+    const tags = panel('Most Used Tags');
+    if (profile.tags.length === 0) {
+        tags.append('p').attr('class', 'channel-profile-meta').text('No tags');
+    } else {
+        tags.append('p').attr('class', 'channel-profile-meta').text('Number of the channel\'s videos using each tag');
+        tags.append('ul').attr('class', 'channel-profile-tags')
+            .selectAll('li')
+            .data(profile.tags)
+            .enter().append('li')
+            .text(d => d.tag)
+            .append('span')
+            .text(d => d.count);
+    }
+
+    const peers = panel(profile.peers ? `Among ${profile.peers.category} Channels` : 'Peers', true);
+    if (!profile.peers) {
+        peers.append('p').attr('class', 'channel-profile-meta').text('No peers to compare with');
+        return;
+    }
+    const rankText = (rank, label, format) => rank === null
+        ? `${label}: no rated videos`
+        : `${label}: #${number(rank.rank)} of ${number(rank.of)} (${format(rank.value)}, top ${Math.max(1, Math.round(rank.rank / rank.of * 100))}%)`;
+    peers.append('ul').attr('class', 'channel-profile-ranks')
+        .selectAll('li')
+        .data([
+            rankText(profile.peers.ranks.views, 'Total views', short),
+            rankText(profile.peers.ranks.avgViews, 'Average views', short),
+            rankText(profile.peers.ranks.likeRatio, 'Like ratio', value => `${value.toFixed(2)}%`)
+        ])
+        .enter().append('li')
+        .text(d => d);
+
+    const rows = peers.append('table').attr('class', 'channel-profile-peers');
+    rows.append('thead').append('tr')
+        .selectAll('th')
+        .data(['Rank', 'Channel', 'Views', 'Rows', 'Like Ratio'])
+        .enter().append('th')
+        .text(d => d);
+    const peerRows = rows.append('tbody')
+        .selectAll('tr')
+        .data(profile.peers.neighbours)
+        .enter().append('tr')
+        .classed('current', d => d.isChannel);
+    peerRows.append('td').text(d => `#${number(d.rank)}`);
+    peerRows.append('td').each(function(d) {
+        const cell = d3.select(this);
+        if (d.isChannel) {
+            cell.text(d.name);
+        } else {
+            cell.append('button').attr('type', 'button').text(d.name);
+        }
+    });
+    peerRows.select('button').on('click', (event, d) => this.openChannel(d.name));
+    peerRows.append('td').text(d => short(d.views));
+    peerRows.append('td').text(d => number(d.count));
+    peerRows.append('td').text(d => d.likeRatio === null ? '—' : `${d.likeRatio.toFixed(2)}%`);
+};
+
+// Data Table - a virtualized, sortable table of one Data view source. Only the rows in view (plus a margin)
+// are in the DOM, and their values are fetched a page at a time as the table scrolls. table is the first
+// page from DataLoader.getDataTable; options.fetch({ sort, filters, offset, limit }) returns later pages,
+// options.visible lists the shown column keys (null for the defaults) and options.onStateChange receives
+// { sort, filters, visible } whenever the user changes them, with typed true when filter text changed.
+Visualizations.prototype.createDataTable = function(container, table, options = {}) {
+    this.clearVisualization(container);
+    const rowHeight = Visualizations.DATA_ROW_HEIGHT;
+    const pageSize = Visualizations.DATA_PAGE_SIZE;
+    const columnsByKey = new Map(table.columns.map(column => [column.key, column]));
+    const state = {
+        sort: table.sort,
+        filters: { ...table.filters },
+        visible: (options.visible || []).filter(key => columnsByKey.has(key))
+    };
+    if (state.visible.length === 0) {
+        state.visible = table.columns.filter(column => !column.hidden).map(column => column.key);
+    }
+
+    // Pages of the current sort and filters; a newer generation drops answers to older requests
+    let current = table;
+    let pages = new Map([[0, { rows: table.rows, keys: table.keys }]]);
+    let pending = new Set();
+    let generation = 0;
+    let frame = null;
+    let filterTimer = null;
+
+    const report = (typed = false) => {
+        if (typeof options.onStateChange === 'function') {
+            options.onStateChange({ sort: { ...state.sort }, filters: { ...state.filters }, visible: state.visible.slice() }, typed);
+        }
+    };
+    const formatValue = (column, value) => {
+        if (value === null || value === undefined) return '—';
+        if (column.type === 'number') return Number.isInteger(value) ? d3.format(',')(value) : d3.format(',.1f')(value);
+        if (column.type === 'percent') return `${value.toFixed(2)}%`;
+        if (column.type === 'flag') return value ? 'Yes' : 'No';
+        return value;
+    };
+
+    const root = d3.select(container).append('div').attr('class', 'data-table');
+    const toolbar = root.append('div').attr('class', 'data-table-toolbar');
+    const status = toolbar.append('span').attr('class', 'data-table-status');
+
+    // Column chooser: at least one column stays visible
+    const chooser = toolbar.append('details').attr('class', 'data-table-chooser');
+    chooser.append('summary').text('Columns');
+    const choices = chooser.append('div').attr('class', 'data-table-choices')
+        .selectAll('label')
+        .data(table.columns)
+        .enter().append('label');
+    choices.append('input')
+        .attr('type', 'checkbox')
+        .property('checked', d => state.visible.includes(d.key))
+        .on('change', (event, d) => {
+            const visible = table.columns
+                .filter(column => column.key === d.key ? event.target.checked : state.visible.includes(column.key))
+                .map(column => column.key);
+            if (visible.length === 0) {
+                event.target.checked = true;
+                return;
+            }
+            state.visible = visible;
+            drawHeader();
+            drawRows();
+            report();
+        });
+    choices.append('span').text(d => d.label);
+
+    toolbar.append('button')
+        .attr('type', 'button')
+        .attr('class', 'control-btn')
+        .text('Clear Column Filters')
+        .on('click', () => {
+            if (Object.keys(state.filters).length === 0) return;
+            state.filters = {};
+            drawHeader();
+            reload();
+        });
+
+    const viewport = root.append('div').attr('class', 'data-table-viewport');
+    const grid = viewport.append('table').attr('class', 'data-table-grid');
+    const colgroup = grid.append('colgroup');
+    const thead = grid.append('thead');
+    const tbody = grid.append('tbody');
+
+    const updateStatus = () => {
+        const invalid = current.invalid || [];
+        status.text(`${current.count.toLocaleString()} of ${current.total.toLocaleString()} shown` +
+            (invalid.length > 0 ? ` • unreadable filters ignored: ${invalid.map(key => columnsByKey.get(key).label).join(', ')}` : ''));
+        thead.selectAll('input').classed('invalid', d => invalid.includes(d.key));
+    };
+
+    // Labels (click to sort) over one filter input per visible column
+    const drawHeader = () => {
+        const columns = state.visible.map(key => columnsByKey.get(key));
+        colgroup.selectAll('col').data(columns).join('col')
+            .style('width', d => `${Visualizations.DATA_COLUMN_WIDTHS[d.key === 'title' ? 'title' : d.type]}px`);
+        grid.style('width', `${d3.sum(columns, d => Visualizations.DATA_COLUMN_WIDTHS[d.key === 'title' ? 'title' : d.type])}px`);
+
+        thead.selectAll('*').remove();
+        thead.append('tr').attr('class', 'data-table-labels')
+            .selectAll('th')
+            .data(columns)
+            .enter().append('th')
+            .attr('class', d => d.type === 'number' || d.type === 'percent' ? 'numeric' : null)
+            .attr('aria-sort', d => d.key !== state.sort.key ? 'none' : state.sort.direction === 'asc' ? 'ascending' : 'descending')
+            .attr('title', 'Click to sort')
+            .text(d => d.key !== state.sort.key ? d.label : `${d.label} ${state.sort.direction === 'asc' ? '▲' : '▼'}`)
+            .on('click', (event, d) => {
+                // Text starts A to Z, numbers and dates largest first
+                state.sort = d.key === state.sort.key
+                    ? { key: d.key, direction: state.sort.direction === 'asc' ? 'desc' : 'asc' }
+                    : { key: d.key, direction: d.type === 'text' ? 'asc' : 'desc' };
+                drawHeader();
+                reload();
+            });
+        thead.append('tr').attr('class', 'data-table-filters')
+            .selectAll('th')
+            .data(columns)
+            .enter().append('th')
+            .append('input')
+            .attr('type', 'text')
+            .attr('aria-label', d => `Filter ${d.label}`)
+            .attr('placeholder', d => Visualizations.DATA_FILTER_HINTS[d.type])
+            .property('value', d => state.filters[d.key] || '')
+            .on('input', (event, d) => {
+                const text = event.target.value.trim();
+                if (text) {
+                    state.filters[d.key] = text;
+                } else {
+                    delete state.filters[d.key];
+                }
+                clearTimeout(filterTimer);
+                filterTimer = setTimeout(() => reload(true), 300);
+            });
+        updateStatus();
+    };
+
+    // Fetch a page unless it is loaded or on its way
+    const fetchPage = (page) => {
+        if (pages.has(page) || pending.has(page) || typeof options.fetch !== 'function') return;
+        const requested = generation;
+        pending.add(page);
+        options.fetch({ sort: state.sort, filters: state.filters, offset: page * pageSize, limit: pageSize })
+            .then(result => {
+                if (requested !== generation) return;
+                pending.delete(page);
+                pages.set(page, { rows: result.rows, keys: result.keys });
+                current = result;
+                updateStatus();
+                drawRows();
+            })
+            .catch(error => {
+                console.error('Error loading table rows:', error);
+                pending.delete(page);
+            });
+    };
+
+    // The rows in view between two spacer rows standing in for the rest
+    const drawRows = () => {
+        const node = viewport.node();
+        const headerHeight = thead.node().getBoundingClientRect().height;
+        const scrolled = Math.max(0, node.scrollTop);
+        const first = Math.max(0, Math.floor(scrolled / rowHeight) - Visualizations.DATA_OVERSCAN);
+        const last = Math.min(current.count, Math.ceil((scrolled + node.clientHeight - headerHeight) / rowHeight) + Visualizations.DATA_OVERSCAN);
+        for (let page = Math.floor(first / pageSize); page * pageSize < last; page++) fetchPage(page);
+
+        const columns = state.visible.map(key => columnsByKey.get(key));
+        const indexes = table.columns.map(column => column.key);
+        const rows = d3.range(first, last).map(index => {
+            const page = pages.get(Math.floor(index / pageSize));
+            const offset = index % pageSize;
+            return {
+                index,
+                values: page ? page.rows[offset] : null,
+                key: page && page.keys ? page.keys[offset] : null
+            };
+        });
+
+        tbody.selectAll('tr.data-table-spacer')
+            .data(['top', 'bottom'])
+            .join(enter => {
+                const spacer = enter.append('tr').attr('class', 'data-table-spacer');
+                spacer.append('td');
+                return spacer;
+            })
+            .style('height', d => `${(d === 'top' ? first : current.count - last) * rowHeight}px`)
+            .select('td')
+            .attr('colspan', columns.length);
+        const rowSelection = tbody.selectAll('tr.data-table-row')
+            .data(rows, d => d.index)
+            .join('tr')
+            .attr('class', 'data-table-row')
+            .classed('loading', d => d.values === null)
+            .classed('clickable', d => d.key !== null && table.opens !== null)
+            .style('height', `${rowHeight}px`)
+            .on('click', (event, d) => {
+                if (d.key === null) return;
+                if (table.opens === 'video') this.openVideo(d.key);
+                if (table.opens === 'channel') this.openChannel(d.key);
+            });
+        rowSelection.selectAll('td')
+            .data(d => columns.map(column => ({
+                column,
+                text: d.values === null ? '…' : formatValue(column, d.values[indexes.indexOf(column.key)])
+            })))
+            .join('td')
+            .attr('class', d => d.column.type === 'number' || d.column.type === 'percent' ? 'numeric' : null)
+            .attr('title', d => d.column.type === 'text' ? d.text : null)
+            .text(d => d.text);
+
+        // Rows in index order between the spacers
+        const body = tbody.node();
+        const [top, bottom] = tbody.selectAll('tr.data-table-spacer').nodes();
+        rowSelection.order();
+        body.insertBefore(top, body.firstChild);
+        body.appendChild(bottom);
+    };
+
+    // Start over from the first page after the sort or a filter changes
+    const reload = (typed = false) => {
+        generation++;
+        pages = new Map();
+        pending = new Set();
+        viewport.node().scrollTop = 0;
+        const requested = generation;
+        report(typed);
+        options.fetch({ sort: state.sort, filters: state.filters, offset: 0, limit: pageSize })
+            .then(result => {
+                if (requested !== generation) return;
+                pages.set(0, { rows: result.rows, keys: result.keys });
+                current = result;
+                updateStatus();
+                drawRows();
+            })
+            .catch(error => console.error('Error loading table rows:', error));
+    };
+
+    viewport.on('scroll', () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            drawRows();
+        });
+    });
+
+    drawHeader();
+    drawRows();
+};